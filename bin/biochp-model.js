@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+// Headless runner for the BioCHP financial model. Runs one or more scenario
+// files (or presets) and prints headline metrics, or the full yearly table.
+import { readFileSync, writeFileSync } from "node:fs";
+import { basename } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  SCENARIOS, DEFAULT_INPUTS, validateInputs, splitCarbonPrice, runFinancialModel, YEAR_COLUMNS, toCsv, parseLoadCsv, parseTouCsv,
+} from "../src/engine/index.js";
+
+const USAGE = `Usage: biochp-model [options] [scenario.json ...]
+
+Each scenario file holds an inputs object, { "name", "inputs" }, an array of
+those, or a scenarios file exported from the app. Inputs not given fall back to
+the defaults (or to the preset given with --preset).
+
+Options:
+  -p, --preset <name>   start from a preset: ${Object.keys(SCENARIOS).join(", ")}
+  -l, --load <csv>      dispatch against an 8760-hour site load (electric kW,
+                        optional thermal kWth) instead of the utilization inputs
+      --tou <csv>       price displaced power with a time-of-use tariff
+                        (12 or 24 monthly rows of 24 hourly $/kWh rates)
+  -t, --table           output the yearly cash-flow table instead of metrics
+  -f, --format <fmt>    text (default), json or csv
+  -o, --out <file>      write to a file instead of stdout
+  -h, --help            show this help
+`;
+
+const METRICS = [
+  { key: "NPV", label: "Equity NPV" },
+  { key: "IRR", label: "Equity IRR" },
+  { key: "NPV_project", label: "Project NPV" },
+  { key: "IRR_project", label: "Project IRR" },
+  { key: "MIRR", label: "Equity MIRR" },
+  { key: "MIRR_project", label: "Project MIRR" },
+  { key: "DSCR_min", label: "Min DSCR" },
+  { key: "payback_disc", label: "Discounted Payback" },
+  { key: "payback_simple", label: "Simple Payback" },
+  { key: "capex_fleet_total", label: "Fleet CAPEX" },
+  { key: "loan_amount", label: "Loan Amount" },
+  { key: "tax_total", label: "Income Tax" },
+  { key: "savings_annual", label: "Customer Savings / yr" },
+  { key: "savings_pct", label: "Customer Savings %" },
+];
+
+// Flatten a scenario file into [{ name, inputs }]. App exports before version 2
+// priced fuel-displacement credits at P_carbon.
+function readScenarios(file) {
+  const data = JSON.parse(readFileSync(file, "utf8"));
+  const list = Array.isArray(data) ? data : Array.isArray(data.scenarios) ? data.scenarios : [data];
+  const legacy = data?.schema === "enexor-biochp-scenarios" && data.version < 2;
+  return list.map((s, i) => {
+    const named = s && typeof s.inputs === "object";
+    const fallback = list.length > 1 ? `${basename(file, ".json")}#${i + 1}` : basename(file, ".json");
+    const inputs = named ? s.inputs : s;
+    return { name: (named && s.name) || fallback, inputs: legacy ? splitCarbonPrice(inputs) : inputs };
+  });
+}
+
+// Parse an imported CSV, failing the run on anything the parser could not read
+function readImport(file, parse) {
+  const parsed = parse(readFileSync(file, "utf8"));
+  if (parsed.issues.length > 0) throw new Error(`${file}: ${parsed.issues.join(" ")}`);
+  return parsed;
+}
+
+function formatMetric(key, value, results) {
+  if (key === "IRR" || key === "IRR_project") {
+    const info = results[`${key}_info`];
+    if (info.status === "multiple") return `multiple (${info.roots.map(r => `${(r * 100).toFixed(1)}%`).join(", ")})`;
+    if (info.status === "none") return "none";
+  }
+  if (value === null || value === undefined) return "n/a";
+  if (key.includes("IRR")) return `${(value * 100).toFixed(1)}%`;
+  if (key === "savings_pct") return `${value.toFixed(1)}%`;
+  if (key === "DSCR_min") return `${value.toFixed(2)}x`;
+  if (key.startsWith("payback")) return `${value} yrs`;
+  return `$${Math.round(value).toLocaleString("en-US")}`;
+}
+
+function render(runs, { table, format }) {
+  if (table) {
+    if (format === "json") return JSON.stringify(runs.map(r => ({ name: r.name, years: r.results.years })), null, 2) + "\n";
+    if (format === "csv") {
+      const rows = runs.flatMap(r => r.results.years.map(yr => [r.name, ...YEAR_COLUMNS.map(c => yr[c.key])]));
+      return toCsv([["Scenario", ...YEAR_COLUMNS.map(c => c.label)], ...rows]);
+    }
+    return runs.map(r => [
+      `== ${r.name}`,
+      ["Year", "Units", "Revenue", "OPEX", "EBITDA", "Debt Svc", "Tax", "Equity CF", "Cum. NPV"].map(h => h.padStart(12)).join(""),
+      ...r.results.years.map(yr => [yr.year, yr.N_deployed, ...["R_total", "OPEX", "EBITDA", "DS", "tax", "CF", "cumNPV"]
+        .map(k => Math.round(yr[k]).toLocaleString("en-US"))].map(v => String(v).padStart(12)).join("")),
+    ].join("\n")).join("\n\n") + "\n";
+  }
+
+  if (format === "json") {
+    return JSON.stringify(runs.map(r => ({
+      name: r.name, ...Object.fromEntries(METRICS.map(m => [m.key, r.results[m.key]])),
+      IRR_status: r.results.IRR_info.status, IRR_project_status: r.results.IRR_project_info.status, warnings: r.results.warnings,
+    })), null, 2) + "\n";
+  }
+  if (format === "csv") {
+    return toCsv([["Scenario", ...METRICS.map(m => m.key), "IRR_status", "IRR_project_status", "warnings"],
+      ...runs.map(r => [r.name, ...METRICS.map(m => r.results[m.key]), r.results.IRR_info.status, r.results.IRR_project_info.status,
+        r.results.warnings.join(" | ")])]);
+  }
+  return runs.map(r => [
+    `== ${r.name}`,
+    ...METRICS.map(m => `${m.label.padEnd(24)}${formatMetric(m.key, r.results[m.key], r.results)}`),
+    ...(r.results.sites || []).map(({ name, results: site }) =>
+      `  ${name.padEnd(22)}NPV ${formatMetric("NPV", site.NPV, site)} · IRR ${formatMetric("IRR", site.IRR, site)}`),
+    ...r.results.warnings.map(w => `! ${w}`),
+  ].join("\n")).join("\n\n") + "\n";
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      preset: { type: "string", short: "p" },
+      load: { type: "string", short: "l" },
+      tou: { type: "string" },
+      table: { type: "boolean", short: "t" },
+      format: { type: "string", short: "f", default: "text" },
+      out: { type: "string", short: "o" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (!["text", "json", "csv"].includes(values.format)) throw new Error(`unknown format "${values.format}"`);
+  if (values.preset && !SCENARIOS[values.preset]) throw new Error(`unknown preset "${values.preset}"`);
+
+  const base = { ...DEFAULT_INPUTS, ...SCENARIOS[values.preset] };
+  if (values.load) base.load_profile = readImport(values.load, parseLoadCsv).profile;
+  if (values.tou) base.tou_power = readImport(values.tou, parseTouCsv).tariff;
+  const scenarios = positionals.length > 0
+    ? positionals.flatMap(readScenarios)
+    : [{ name: values.preset || "default", inputs: {} }];
+
+  let failed = false;
+  const runs = [];
+  for (const { name, inputs } of scenarios) {
+    const merged = { ...base, ...inputs };
+    const issues = validateInputs(merged);
+    if (issues.length > 0) {
+      failed = true;
+      process.stderr.write(`${name}: invalid inputs\n${issues.map(i => `  - ${i}\n`).join("")}`);
+      continue;
+    }
+    runs.push({ name, results: runFinancialModel(merged) });
+  }
+
+  const output = render(runs, values);
+  if (values.out) writeFileSync(values.out, output);
+  else process.stdout.write(output);
+  return failed ? 1 : 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  process.stderr.write(`biochp-model: ${err.message}\n\n${USAGE}`);
+  process.exitCode = 2;
+}
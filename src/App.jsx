@@ -1,8 +1,21 @@
-import React, { useState, useMemo } from "react";
+import React, { useState, useMemo, useEffect, useRef } from "react";
 import {
   ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip, Cell,
-  ComposedChart, Line, ReferenceLine,
+  ComposedChart, Line, LineChart, Legend, ReferenceLine, AreaChart, Area,
 } from "recharts";
+import {
+  SCENARIOS, DEFAULT_INPUTS, INPUT_GROUPS, INPUT_FIELDS, NUMERIC_FIELDS, normalizeInputs, splitCarbonPrice,
+  MONTH_LABELS, DAYS_IN_MONTH, ANNUAL_ONLY_INPUTS, MONTHLY_ONLY_INPUTS,
+  runFinancialModel, runSensitivity,
+  BREAK_EVEN, isValidDataTableAxis, contourSegments,
+  SENSITIVITY_METRICS, DEFAULT_SENSITIVITY_PARAMS, isValidSensitivityParam, sensitivityValue,
+  DISTRIBUTIONS, defaultDistribution, isValidDistribution,
+  YEAR_COLUMNS, yearsToCsv, MONTH_COLUMNS, monthsToCsv,
+  parseLoadCsv, parseTouCsv, importedInputKeys, loadDurationCurve,
+  SITE_INPUTS, validateInput, siteOverriddenKeys, deploymentSchedule,
+  CARBON_STREAMS, streamCredits, carbonPrice, FEEDSTOCK_PRESETS, asReceivedLHV,
+} from "./engine/index.js";
+import { createEngineClient } from "./engine/client.js";
 
 // ─── Design System (matches BioCO₂) ───
 const COLORS = {
@@ -14,391 +27,2572 @@ const COLORS = {
 
 const CHART_COLORS = {
   power: "#22c55e", thermal: "#f59e0b", tipping: "#06b6d4", carbon: "#a78bfa",
-  revenue: "#22c55e", opex: "#ef4444", capex: "#f59e0b", debt: "#f97316",
+  revenue: "#22c55e", opex: "#ef4444", capex: "#f59e0b", debt: "#f97316", tax: "#ec4899",
+  credits: "#38bdf8", export: "#84cc16", demand: "#e879f9", biochar: "#a8a29e",
 };
 
-const SCENARIOS = {
-  conservative: { R_power: 0.08, R_therm: 0.022, R_tipping: 50, P_carbon: 10, f_avail: 0.85, C_biochp: 750000, N_units: 1, f_equity: 0.60, r_disc: 10 },
-  base: { R_power: 0.10, R_therm: 0.027, R_tipping: 80, P_carbon: 20, f_avail: 0.92, C_biochp: 660000, N_units: 3, f_equity: 0.50, r_disc: 7 },
-  optimistic: { R_power: 0.12, R_therm: 0.034, R_tipping: 100, P_carbon: 40, f_avail: 0.95, C_biochp: 550000, N_units: 10, f_equity: 0.40, r_disc: 5 },
+// Every revenue line, in chart order: the year-row field, its per-unit result and its color
+const REVENUE_STREAMS = [
+  { name: "Power", key: "R_pwr", perUnit: "R_per_unit_power", color: CHART_COLORS.power },
+  { name: "Thermal", key: "R_thrm", perUnit: "R_per_unit_therm", color: CHART_COLORS.thermal },
+  { name: "Tipping", key: "R_tip", perUnit: "R_per_unit_tip", color: CHART_COLORS.tipping },
+  { name: "Carbon", key: "R_crb", perUnit: "R_per_unit_carbon", color: CHART_COLORS.carbon },
+  { name: "Export", key: "R_exp", perUnit: "R_per_unit_export", color: CHART_COLORS.export },
+  { name: "Demand", key: "R_dem", perUnit: "R_per_unit_demand", color: CHART_COLORS.demand },
+  { name: "Biochar", key: "R_char", perUnit: "R_per_unit_char", color: CHART_COLORS.biochar },
+];
+
+// ─── Scenario Persistence ───
+const SCENARIO_STORAGE_KEY = "enexor-biochp:scenarios";
+const SCENARIO_FILE_SCHEMA = "enexor-biochp-scenarios";
+const SCENARIO_FILE_VERSION = 2;
+
+// Each migration upgrades a parsed file from version n to n + 1. Version 0 covers
+// files written before the envelope existed: a bare inputs object or a plain array
+// of { name, inputs }. Version 1 priced fuel-displacement credits at P_carbon.
+const SCENARIO_MIGRATIONS = {
+  0: (data) => {
+    const list = Array.isArray(data) ? data : data.scenarios || [{ name: "Imported scenario", inputs: data }];
+    return { schema: SCENARIO_FILE_SCHEMA, version: 1, scenarios: list };
+  },
+  1: (data) => ({
+    ...data, version: 2,
+    scenarios: Array.isArray(data.scenarios) ? data.scenarios.map(s => (s ? { ...s, inputs: splitCarbonPrice(s.inputs) } : s)) : data.scenarios,
+  }),
 };
 
-// ─── Financial Model Engine ───
-function runFinancialModel(inputs) {
-  const {
-    P_elec, P_therm, f_avail, F_tpd, N_units,
-    R_power, f_power_util, r_power,
-    R_therm, f_therm_util, r_therm,
-    R_tipping, W_tpy, r_tipping,
-    CC_methane, CC_fuel, CC_emissions, P_carbon, r_carbon,
-    C_cust_power, C_cust_therm, C_cust_waste,
-    C_biochp, C_enexfuel, C_install, C_site,
-    R_maint, C_fuel_process, C_insurance, C_acct_mgmt, r_maint, r_fuel,
-    f_equity, r_debt, T_loan, f_loan_fees,
-    r_disc, T_project, Y_start, LR, units_per_year,
-  } = inputs;
-
-  const warnings = [];
-  const hours_yr = 8760 * f_avail;
-  const E_power_yr = P_elec * hours_yr;
-  const E_therm_yr = P_therm * hours_yr;
-  const F_tpy = F_tpd * 365 * f_avail;
-  const CC_net = Math.max(0, CC_methane + CC_fuel - CC_emissions);
-
-  // Customer savings (per unit, year 1)
-  const C_current_power = E_power_yr * f_power_util * C_cust_power;
-  const C_current_therm = E_therm_yr * f_therm_util * C_cust_therm;
-  const C_current_waste = Math.min(F_tpy, W_tpy) * C_cust_waste;
-  const C_current_total = C_current_power + C_current_therm + C_current_waste;
-
-  const C_enexor_power = E_power_yr * f_power_util * R_power;
-  const C_enexor_therm = E_therm_yr * f_therm_util * R_therm;
-  const C_enexor_waste = Math.min(F_tpy, W_tpy) * R_tipping;
-  const C_enexor_total = C_enexor_power + C_enexor_therm + C_enexor_waste;
-
-  const savings_annual = C_current_total - C_enexor_total;
-  const savings_pct = C_current_total > 0 ? (savings_annual / C_current_total) * 100 : 0;
-
-  // CAPEX
-  const CAPEX_unit1 = C_biochp + C_enexfuel + C_install;
-  const lr_exp = Math.log(LR) / Math.log(2);
-  const unit_capex = [];
-  for (let n = 1; n <= N_units; n++) {
-    unit_capex.push(CAPEX_unit1 * Math.pow(n, lr_exp));
-  }
-  const capex_fleet_total = unit_capex.reduce((s, v) => s + v, 0);
-
-  // Debt service
-  const CAPEX_debt = capex_fleet_total * (1 - f_equity);
-  const loan_amount = CAPEX_debt * (1 + f_loan_fees / 100);
-  let annual_debt_service = 0;
-  if (CAPEX_debt > 0 && T_loan > 0 && r_debt > 0) {
-    const r_monthly = r_debt / 100 / 12;
-    const n_months = T_loan * 12;
-    const monthly_payment = loan_amount * r_monthly / (1 - Math.pow(1 + r_monthly, -n_months));
-    annual_debt_service = monthly_payment * 12;
-  } else if (CAPEX_debt > 0 && T_loan > 0) {
-    annual_debt_service = loan_amount / T_loan;
+const newScenarioId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Parse, migrate and validate an exported scenario file. Returns the scenarios
+// that could be read plus a list of human-readable issues.
+function parseScenarioFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { scenarios: [], issues: ["File is not valid JSON."] };
   }
+  if (data === null || typeof data !== "object") return { scenarios: [], issues: ["File does not contain scenarios."] };
 
-  // Year-by-year
-  const years = [];
-  let cumulative_dcf = 0;
-  let cumulative_cf = 0;
-  let payback_disc = null;
-  let payback_simple = null;
-
-  for (let y = 0; y <= T_project; y++) {
-    const year = Y_start + y;
-    const N_deployed = Math.min(N_units, Math.floor(y * units_per_year) + 1);
-    const N_prev = y === 0 ? 0 : Math.min(N_units, Math.floor((y - 1) * units_per_year) + 1);
-
-    // CAPEX this year
-    let capex_year = 0;
-    for (let n = N_prev + 1; n <= N_deployed; n++) {
-      capex_year += unit_capex[n - 1] || 0;
+  let version = data.schema === SCENARIO_FILE_SCHEMA ? data.version : 0;
+  if (typeof version !== "number" || version > SCENARIO_FILE_VERSION) {
+    return { scenarios: [], issues: [`Unsupported file version ${data.version} — this app reads up to v${SCENARIO_FILE_VERSION}.`] };
+  }
+  while (version < SCENARIO_FILE_VERSION) {
+    data = SCENARIO_MIGRATIONS[version](data);
+    version++;
+  }
+  if (!Array.isArray(data.scenarios)) return { scenarios: [], issues: ["File does not contain a scenarios list."] };
+
+  const issues = [];
+  const scenarios = [];
+  data.scenarios.forEach((s, i) => {
+    if (!s || typeof s.inputs !== "object" || s.inputs === null) {
+      issues.push(`Scenario ${i + 1} has no inputs and was skipped.`);
+      return;
     }
+    const name = typeof s.name === "string" && s.name.trim() ? s.name.trim() : `Scenario ${i + 1}`;
+    const { inputs, issues: inputIssues } = normalizeInputs(s.inputs);
+    inputIssues.forEach(msg => issues.push(`${name}: ${msg}`));
+    const id = typeof s.id === "string" ? s.id : newScenarioId();
+    scenarios.push({ id, name, inputs, updatedAt: s.updatedAt || new Date().toISOString() });
+  });
+  return { scenarios, issues };
+}
 
-    // Revenue
-    const esc_power = Math.pow(1 + r_power / 100, y);
-    const esc_therm = Math.pow(1 + r_therm / 100, y);
-    const esc_tip = Math.pow(1 + r_tipping / 100, y);
-    const esc_carbon = Math.pow(1 + r_carbon / 100, y);
-
-    const R_pwr = N_deployed * E_power_yr * f_power_util * R_power * esc_power;
-    const R_thrm = N_deployed * E_therm_yr * f_therm_util * R_therm * esc_therm;
-    const W_tipped = Math.min(N_deployed * F_tpy, W_tpy);
-    const R_tip = W_tipped * R_tipping * esc_tip;
-    const R_crb = N_deployed * CC_net * P_carbon * esc_carbon;
-    const R_total = R_pwr + R_thrm + R_tip + R_crb;
-
-    // OPEX
-    const esc_maint = Math.pow(1 + r_maint / 100, y);
-    const esc_fuel = Math.pow(1 + r_fuel / 100, y);
-    const esc_fixed = Math.pow(1.03, y);
-
-    const C_maint = N_deployed * E_power_yr * R_maint * esc_maint;
-    const C_fuel = N_deployed * F_tpy * C_fuel_process * esc_fuel;
-    const C_fixed = N_deployed * (C_insurance + C_acct_mgmt) * esc_fixed;
-    const OPEX = C_maint + C_fuel + C_fixed;
-
-    const EBITDA = R_total - OPEX;
-    const DS = y < T_loan ? annual_debt_service : 0;
-    const DSCR = DS > 0 ? EBITDA / DS : null;
-    const CF = R_total - OPEX - capex_year - DS;
-
-    const discount_factor = Math.pow(1 + r_disc / 100, y);
-    const DCF = CF / discount_factor;
-    cumulative_dcf += DCF;
-    cumulative_cf += CF;
-
-    if (payback_disc === null && y > 0 && cumulative_dcf >= 0) payback_disc = y;
-    if (payback_simple === null && y > 0 && cumulative_cf >= 0) payback_simple = y;
-
-    years.push({
-      y, year, N_deployed, R_pwr, R_thrm, R_tip, R_crb, R_total,
-      OPEX, EBITDA, DS, DSCR, capex_year, CF, DCF, cumNPV: cumulative_dcf,
-    });
+// Exported files omit ids; local storage keeps them so the active selection survives a reload
+function serializeScenarios(scenarios, { withIds = false } = {}) {
+  return JSON.stringify({
+    schema: SCENARIO_FILE_SCHEMA, version: SCENARIO_FILE_VERSION, exportedAt: new Date().toISOString(),
+    scenarios: scenarios.map(({ id, name, inputs, updatedAt }) => (withIds ? { id, name, inputs, updatedAt } : { name, inputs, updatedAt })),
+  }, null, 2);
+}
+
+function loadSavedScenarios() {
+  try {
+    const text = window.localStorage.getItem(SCENARIO_STORAGE_KEY);
+    return text ? parseScenarioFile(text).scenarios : [];
+  } catch {
+    return [];
   }
+}
 
-  // NPV
-  const NPV = cumulative_dcf;
-
-  // IRR
-  let IRR = null;
-  let lo = -0.5, hi = 2.0;
-  for (let iter = 0; iter < 100; iter++) {
-    const mid = (lo + hi) / 2;
-    let npv_test = 0;
-    for (const yr of years) {
-      npv_test += yr.CF / Math.pow(1 + mid, yr.y);
-    }
-    if (npv_test > 0) lo = mid; else hi = mid;
-    if (Math.abs(hi - lo) < 0.0001) break;
+function persistScenarios(scenarios) {
+  try {
+    window.localStorage.setItem(SCENARIO_STORAGE_KEY, serializeScenarios(scenarios, { withIds: true }));
+  } catch {
+    // Storage full or unavailable (private mode) — scenarios stay in memory only
+  }
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ─── Shareable URL State ───
+// The hash carries only the inputs that differ from DEFAULT_INPUTS, so changing a
+// default changes what old links mean — bump URL_STATE_VERSION and migrate if so.
+const URL_STATE_VERSION = 2;
+
+// Each migration upgrades a link's inputs from version n to n + 1
+const URL_MIGRATIONS = {
+  1: splitCarbonPrice,
+};
+
+function encodeBase64Url(text) {
+  let bin = "";
+  new TextEncoder().encode(text).forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function decodeBase64Url(str) {
+  const bin = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+}
+
+function encodeUrlState(inputs, scenario, name) {
+  // Imported hourly data is far too large for a link; it travels in saved scenarios instead
+  const diff = Object.fromEntries(Object.entries(inputs)
+    .filter(([k, v]) => !(k in IMPORTED_INPUT_LABELS) && JSON.stringify(DEFAULT_INPUTS[k]) !== JSON.stringify(v)));
+  const params = new URLSearchParams({ v: URL_STATE_VERSION, s: scenario });
+  if (name) params.set("n", name);
+  if (Object.keys(diff).length > 0) params.set("i", encodeBase64Url(JSON.stringify(diff)));
+  return params.toString();
+}
+
+function decodeUrlState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  let version = Number(params.get("v"));
+  if (!Number.isInteger(version) || version < 1 || version > URL_STATE_VERSION) return null;
+  try {
+    let diff = params.has("i") ? JSON.parse(decodeBase64Url(params.get("i"))) : {};
+    for (; version < URL_STATE_VERSION; version++) diff = URL_MIGRATIONS[version](diff);
+    const scenario = params.get("s");
+    return {
+      inputs: normalizeInputs(diff).inputs,
+      scenario: SCENARIOS[scenario] ? scenario : "custom",
+      name: params.get("n") || null,
+    };
+  } catch {
+    return null;
+  }
+}
+
+function readUrlState() {
+  try {
+    return decodeUrlState(window.location.hash);
+  } catch {
+    return null;
+  }
+}
+
+// ─── Spreadsheet Export ───
+const NUM_FORMATS = { "$": '"$"#,##0;[Red]-"$"#,##0', x: '0.00"×"', int: "0", dec: "0.00", year: "0", pct: "0.0%" };
+
+// Live formulas for the derived cash-flow columns, so finance can audit the
+// waterfall in Excel. `col(key)` gives a column letter, `r` the sheet row and
+// `input(key)` an absolute reference into the Inputs sheet.
+const YEAR_FORMULAS = {
+  R_total: (col, r) => REVENUE_STREAMS.map(stream => `${col(stream.key)}${r}`).join("+"),
+  EBITDA: (col, r) => `${col("R_total")}${r}-${col("OPEX")}${r}`,
+  equity_capex: (col, r) => `${col("capex_year")}${r}-${col("loan_draw")}${r}`,
+  DS: (col, r) => `${col("interest")}${r}+${col("principal")}${r}`,
+  CFADS: (col, r) => `${col("EBITDA")}${r}-${col("capex_overhaul")}${r}-${col("reserve_deposit")}${r}+${col("reserve_release")}${r}`,
+  DSCR: (col, r) => `IF(${col("DS")}${r}>0,${col("CFADS")}${r}/${col("DS")}${r},"")`,
+  tax: (col, r) => `${col("tax_gross")}${r}-${col("credits_applied")}${r}`,
+  CF_pretax: (col, r) => `${col("CFADS")}${r}-${col("equity_capex")}${r}-${col("DS")}${r}+${col("salvage")}${r}-${col("decom")}${r}`,
+  CF: (col, r) => `${col("CF_pretax")}${r}-${col("tax")}${r}+${col("credit_sale")}${r}`,
+  DCF: (col, r, input) => `${col("CF")}${r}/(1+${input("r_disc")}/100)^${col("y")}${r}`,
+  cumNPV: (col, r) => (r === 2 ? `${col("DCF")}${r}` : `${col("cumNPV")}${r - 1}+${col("DCF")}${r}`),
+  CF_project: (col, r) => `${col("EBITDA")}${r}-${col("capex_year")}${r}-${col("capex_overhaul")}${r}+${col("salvage")}${r}-${col("decom")}${r}-${col("tax_project")}${r}+${col("credit_sale")}${r}`,
+  cumNPV_project: (col, r, input) => `${r === 2 ? "" : `${col("cumNPV_project")}${r - 1}+`}${col("CF_project")}${r}/(1+${input("r_disc")}/100)^${col("y")}${r}`,
+};
+
+async function buildWorkbook({ inputs, results, sensitivity, sensitivityMetric }) {
+  const { default: ExcelJS } = await import("exceljs");
+  const wb = new ExcelJS.Workbook();
+  wb.creator = "Enexor BioCHP Financial Analysis";
+  const header = (ws) => { ws.getRow(1).font = { bold: true }; ws.views = [{ state: "frozen", ySplit: 1 }]; };
+
+  // Inputs
+  const wsIn = wb.addWorksheet("Inputs");
+  wsIn.columns = [{ header: "Key", width: 20 }, { header: "Parameter", width: 30 }, { header: "Value", width: 14 }, { header: "Unit", width: 14 }];
+  const inputRef = {};
+  Object.entries(inputs).forEach(([key, value]) => {
+    const field = INPUT_FIELDS[key];
+    const cell = typeof value === "boolean" ? (value ? 1 : 0)
+      : key in IMPORTED_INPUT_LABELS || key in LIST_INPUT_LABELS ? formatInputValue(key, value)
+        : Array.isArray(value) ? value.join(", ") : value;
+    const row = wsIn.addRow([key, field?.label || IMPORTED_INPUT_LABELS[key] || LIST_INPUT_LABELS[key] || key, cell, field?.unit || ""]);
+    inputRef[key] = `Inputs!$C$${row.number}`;
+  });
+  header(wsIn);
+
+  // Cash flow
+  const wsCf = wb.addWorksheet("Cash Flow");
+  wsCf.columns = YEAR_COLUMNS.map(c => ({ header: c.label, key: c.key, width: Math.max(12, c.label.length + 2), style: { numFmt: NUM_FORMATS[c.fmt] } }));
+  const letter = Object.fromEntries(YEAR_COLUMNS.map((c, i) => [c.key, wsCf.getColumn(i + 1).letter]));
+  const col = (key) => letter[key];
+  const input = (key) => inputRef[key];
+  results.years.forEach((yr, i) => {
+    const r = i + 2;
+    wsCf.addRow(YEAR_COLUMNS.map(c => {
+      const value = yr[c.key] ?? null;
+      return YEAR_FORMULAS[c.key] ? { formula: YEAR_FORMULAS[c.key](col, r, input), result: value ?? "" } : value;
+    }));
+  });
+  header(wsCf);
+  const last = results.years.length + 1;
+  const range = (key) => `'Cash Flow'!${col(key)}2:${col(key)}${last}`;
+  const mirrRates = `${inputRef.r_mirr_finance}/100,${inputRef.r_mirr_reinvest}/100`;
+
+  // Summary
+  const wsSum = wb.addWorksheet("Summary");
+  wsSum.columns = [{ header: "Metric", width: 32 }, { header: "Value", width: 16 }];
+  [
+    ["Equity NPV", { formula: `'Cash Flow'!${col("cumNPV")}${last}`, result: results.NPV }, "$"],
+    ["Project NPV", { formula: `'Cash Flow'!${col("cumNPV_project")}${last}`, result: results.NPV_project }, "$"],
+    ["Equity IRR", results.IRR !== null ? { formula: `IRR(${range("CF")})`, result: results.IRR } : `n/a (${results.IRR_info.status})`, "pct"],
+    ["Project IRR", results.IRR_project !== null ? { formula: `IRR(${range("CF_project")})`, result: results.IRR_project } : `n/a (${results.IRR_project_info.status})`, "pct"],
+    ["Equity MIRR", results.MIRR !== null ? { formula: `MIRR(${range("CF")},${mirrRates})`, result: results.MIRR } : "n/a", "pct"],
+    ["Project MIRR", results.MIRR_project !== null ? { formula: `MIRR(${range("CF_project")},${mirrRates})`, result: results.MIRR_project } : "n/a", "pct"],
+    ["Discounted Payback (yrs)", results.payback_disc ?? `> ${inputs.T_project}`, "int"],
+    ["Simple Payback (yrs)", results.payback_simple ?? `> ${inputs.T_project}`, "int"],
+    ["Minimum DSCR", results.DSCR_min !== null ? { formula: `MIN(${range("DSCR")})`, result: results.DSCR_min } : "n/a", "x"],
+    ["Fleet CAPEX", { formula: `SUM(${range("capex_year")})`, result: results.capex_fleet_total }, "$"],
+    ["Loan Amount", results.loan_amount, "$"],
+    ["Income Tax (term)", { formula: `SUM(${range("tax")})`, result: results.tax_total }, "$"],
+    ["Customer Savings (per unit, yr 1)", results.savings_annual, "$"],
+    ["Customer Savings %", results.savings_pct / 100, "pct"],
+    ["Revenue per Unit (yr 1)", results.R_per_unit, "$"],
+  ].forEach(([label, value, fmt]) => {
+    wsSum.addRow([label, value]).getCell(2).numFmt = NUM_FORMATS[fmt];
+  });
+  results.warnings.forEach(w => wsSum.addRow(["Warning", w]));
+  header(wsSum);
+
+  // Sensitivity
+  const wsSens = wb.addWorksheet("Sensitivity");
+  const metric = SENSITIVITY_METRICS[sensitivityMetric];
+  const metricFmt = { "$": NUM_FORMATS["$"], "%": '0.0" pts"', "×": NUM_FORMATS.x, yrs: NUM_FORMATS.int }[metric.unit];
+  wsSens.columns = [
+    { header: "Parameter", width: 22 }, { header: "Low Input", width: 12 }, { header: "High Input", width: 12 },
+    { header: `${metric.label} Δ (low)`, width: 20 }, { header: `${metric.label} Δ (high)`, width: 20 }, { header: "Swing", width: 16 },
+  ];
+  sensitivity.forEach(s => {
+    const row = wsSens.addRow([s.label, s.lo_input, s.hi_input, s.lo, s.hi]);
+    row.getCell(6).value = { formula: `ABS(E${row.number}-D${row.number})`, result: s.range };
+    [4, 5, 6].forEach(c => { row.getCell(c).numFmt = metricFmt; });
+  });
+  header(wsSens);
+
+  // Loan
+  const wsLoan = wb.addWorksheet("Loan");
+  const loanCols = [["year", "Year"], ["opening", "Opening"], ["draw", "Draw"], ["fees", "Fees"], ["idc", "Capitalized Interest"], ["interest", "Interest"], ["principal", "Principal"], ["closing", "Closing"]];
+  wsLoan.columns = loanCols.map(([, h], i) => ({ header: h, width: 16, style: { numFmt: i === 0 ? NUM_FORMATS.year : NUM_FORMATS["$"] } }));
+  results.loan_table.forEach(r => {
+    const row = wsLoan.addRow(loanCols.map(([k]) => r[k]));
+    const n = row.number;
+    row.getCell(8).value = { formula: `B${n}+C${n}+D${n}+E${n}-G${n}`, result: r.closing };
+  });
+  header(wsLoan);
+
+  // Monthly cash flows
+  if (results.months) {
+    const wsMo = wb.addWorksheet("Monthly");
+    wsMo.columns = MONTH_COLUMNS.map(c => ({ header: c.label, width: Math.max(12, c.label.length + 2), style: { numFmt: NUM_FORMATS[c.fmt] } }));
+    results.months.forEach(m => wsMo.addRow(MONTH_COLUMNS.map(c => (c.key === "month" ? m.month + 1 : m[c.key]))));
+    header(wsMo);
+  }
+
+  // Portfolio sites: each site's inputs and headline results
+  if (results.sites) {
+    const wsSites = wb.addWorksheet("Sites");
+    wsSites.columns = [
+      { header: "Site", width: 20 },
+      ...SITE_INPUTS.map(key => ({ header: SITE_LABELS[key] || INPUT_FIELDS[key].label, width: 14 })),
+      { header: "Fleet CAPEX", width: 14, style: { numFmt: NUM_FORMATS["$"] } },
+      { header: "Equity NPV", width: 14, style: { numFmt: NUM_FORMATS["$"] } },
+      { header: "Equity IRR", width: 12, style: { numFmt: NUM_FORMATS.pct } },
+    ];
+    results.sites.forEach(run => wsSites.addRow([
+      run.name, ...SITE_INPUTS.map(key => run.inputs[key]),
+      run.results.capex_fleet_total, run.results.NPV, run.results.IRR ?? "n/a",
+    ]));
+    header(wsSites);
+  }
+
+  wb.views = [{ activeTab: 1 }];
+  return wb.xlsx.writeBuffer();
+}
+
+async function exportXlsx(data, basename) {
+  const buffer = await buildWorkbook(data);
+  downloadFile(`${basename}.xlsx`, buffer, "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+}
+
+function exportCsv(results, basename) {
+  downloadFile(`${basename}.csv`, yearsToCsv(results.years), "text/csv");
+}
+
+// ─── Engine Worker ───
+// Analyses run in a Web Worker so slider drags stay smooth. useEngineJob reruns a
+// job whenever its payload changes: nothing is sent until the payload has been
+// still for `debounce` ms, a superseded run is cancelled in the worker, and the
+// last finished result stays on screen (with `pending` set) until the next lands.
+const ENGINE_CACHE_SIZE = 12;
+let engineClient = null;
+const engine = () => (engineClient ??= createEngineClient());
+
+function useEngineJob(job, payload, { enabled = true, debounce = 0, initial = null, cache } = {}) {
+  const key = enabled ? JSON.stringify(payload) : null;
+  const cached = key ? cache?.get(key) : undefined;
+  const [done, setDone] = useState(() => ({ key: null, result: typeof initial === "function" ? initial() : initial }));
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!key || cache?.has(key)) return;
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      engine().run(job, JSON.parse(key), { signal: controller.signal, onProgress: p => setProgress({ key, ...p }) }).then(
+        (result) => {
+          if (cache) {
+            cache.set(key, result);
+            if (cache.size > ENGINE_CACHE_SIZE) cache.delete(cache.keys().next().value);
+          }
+          setDone({ key, result });
+          setError(null);
+        },
+        (err) => {
+          if (!controller.signal.aborted) setError({ key, message: err.message });
+        },
+      );
+    }, debounce);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [job, key, debounce, cache]);
+
+  return {
+    result: cached || done.result,
+    pending: !!key && !cached && done.key !== key && error?.key !== key,
+    progress: progress?.key === key ? progress : null,
+    error: error?.key === key ? error.message : null,
+  };
+}
+
+function ProgressBar({ progress }) {
+  return (
+    <div style={{ height: 3, background: COLORS.bg, borderRadius: 2, marginBottom: 6, overflow: "hidden" }}>
+      <div style={{ height: "100%", width: `${progress ? (progress.done / progress.total) * 100 : 0}%`, background: COLORS.accent,
+        transition: "width 0.15s" }} />
+    </div>
+  );
+}
+
+// ─── Formatters ───
+const fmt$ = (v) => {
+  if (v == null || isNaN(v)) return "—";
+  const abs = Math.abs(v);
+  const sign = v < 0 ? "-" : "";
+  if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(1)}M`;
+  if (abs >= 1e3) return `${sign}$${(abs / 1e3).toFixed(0)}K`;
+  return `${sign}$${abs.toFixed(0)}`;
+};
+const fmtPct = (v) => v != null ? `${v.toFixed(1)}%` : "—";
+
+// IRR card contents: the rate when it is unique, otherwise why there isn't one.
+// MIRR rides along in the caption because it is defined either way.
+function irrCard(info, mirr, r_disc) {
+  const mirrText = `MIRR ${mirr !== null ? fmtPct(mirr * 100) : "n/a"}`;
+  if (info.status === "unique") {
+    return {
+      value: info.irr * 100, unit: `% · ${mirrText}`,
+      status: info.irr * 100 > r_disc ? "ok" : info.irr > 0 ? "warn" : "error",
+    };
+  }
+  if (info.status === "multiple") {
+    return { value: "Multiple", unit: `${info.roots.map(r => fmtPct(r * 100)).join(" / ")} · ${mirrText}`, status: "warn" };
   }
-  if (Math.abs(lo - (-0.5)) > 0.01 && Math.abs(hi - 2.0) > 0.01) {
-    IRR = (lo + hi) / 2;
+  const reason = info.sign_changes === 0 ? "no sign change" : "no root";
+  return { value: "None", unit: `${reason} · ${mirrText}`, status: undefined };
+}
+
+// Capital spent in a year net of end-of-life proceeds: build-out, overhauls paid
+// or reserved for, and decommissioning less salvage. Charted as one CAPEX bar.
+const lifecycleCapex = (yr) =>
+  yr.capex_year + yr.capex_overhaul + yr.reserve_deposit - yr.reserve_release + yr.decom - yr.salvage;
+
+// Inputs with no slider, set by importing a file
+const IMPORTED_INPUT_LABELS = { load_profile: "Hourly Load Profile", tou_power: "TOU Power Tariff" };
+// Labels for inputs edited outside the slider panel, and site-editor columns without a slider
+const LIST_INPUT_LABELS = {
+  sites: "Portfolio Sites", deploy_schedule: "Deployment Schedule",
+  P_curve_methane: "Methane Price Curve", P_curve_fuel: "Fuel Price Curve", feedstock_sources: "Feedstock Sources",
+};
+const SITE_LABELS = { N_units: "Units", Y_start: "Start Year" };
+// Slider inputs a list input replaces while it is set
+const REPLACED_INPUTS = {
+  deploy_schedule: ["N_units", "units_per_year"], P_curve_methane: ["P_carbon"], P_curve_fuel: ["P_carbon_fuel"],
+  feedstock_sources: ["F_tpd", "W_tpy", "R_tipping"],
+};
+// Slider inputs only a list input uses
+const LIST_ONLY_INPUTS = { eta_chp: "feedstock_sources" };
+
+// Display an input value the way its slider, select or toggle shows it
+function formatInputValue(key, value) {
+  const field = INPUT_FIELDS[key];
+  if (key in IMPORTED_INPUT_LABELS) return value ? "Imported" : "None";
+  if (key === "sites") return value.length > 0 ? value.map(site => site.name).join(", ") : "None";
+  if (key === "feedstock_sources") {
+    return value ? value.map(source => `${source.name} ${Math.round(source.Q_tpy).toLocaleString("en-US")} t/yr`).join(", ") : "F_tpd of tipped waste";
+  }
+  if (key === "deploy_schedule") return value ? `${value.join(", ")} units by year` : "Number of Units at Deploy Rate";
+  if (CARBON_STREAMS.some(stream => stream.curve === key)) return value ? `$${value.join(", $")} /ton by year` : "Escalating price";
+  if (!field) return String(value);
+  if (field.type === "select") return field.options.find(o => o.value === value)?.label ?? String(value);
+  if (field.type === "toggle") return value ? "Yes" : "No";
+  if (field.type === "monthly") {
+    const total = value.reduce((s, v) => s + v, 0);
+    return field.unit === "days" ? `${total} days/yr` : `${(total / 12).toFixed(field.decimals)} avg`;
+  }
+  const unit = field.unit ? ` ${field.unit}` : "";
+  return `${field.prefix || ""}${Number(value).toFixed(field.decimals)}${unit}`;
+}
+
+// ─── UI Components ───
+function EnexorLogo({ size = 32, color = "#fff" }) {
+  return (
+    <svg width={size} height={size} viewBox="0 0 600 600" fill="none">
+      <path d="M21.6,63.5h100.4c21.4,0,41.9,9,56.4,24.8l179.1,200.7-139.5,152.2c-14.5,15.8-35,24.9-56.5,24.9H60.2s162.8-177,162.8-177L21.6,63.5Z" fill={color}/>
+      <path d="M375.2,269.6l145.1-158.3h-100.4c-21.4,0-41.9,9-56.4,24.8l-55,59.8,66.8,73.7Z" fill={color}/>
+      <path d="M374.5,309.9l-67.7,73.9,113.7,127.9c14.5,15.8,35,24.9,56.5,24.9h101.4l-203.8-226.6Z" fill={color}/>
+    </svg>
+  );
+}
+
+function SliderInput({ label, value, onChange, min, max, step, unit = "", decimals = 2, prefix = "" }) {
+  const [editing, setEditing] = useState(false);
+  const [editVal, setEditVal] = useState("");
+  const pct = ((value - min) / (max - min)) * 100;
+
+  const startEdit = () => { setEditing(true); setEditVal(String(value)); };
+  const commitEdit = () => {
+    setEditing(false);
+    const n = parseFloat(editVal);
+    if (!isNaN(n)) onChange(Math.min(max, Math.max(min, n)));
+  };
+
+  return (
+    <div style={{ marginBottom: 10 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 3 }}>
+        <span style={{ fontSize: 11, color: COLORS.textMuted }}>{label}</span>
+        {editing ? (
+          <input autoFocus value={editVal} onChange={e => setEditVal(e.target.value)}
+            onBlur={commitEdit} onKeyDown={e => e.key === "Enter" && commitEdit()}
+            style={{ width: 70, background: COLORS.bg, border: `1px solid ${COLORS.accent}`, borderRadius: 3,
+              color: COLORS.white, textAlign: "right", fontSize: 12, padding: "1px 4px",
+              fontFamily: "'JetBrains Mono', monospace" }} />
+        ) : (
+          <span onClick={startEdit} style={{ fontSize: 12, color: COLORS.white, cursor: "pointer",
+            fontFamily: "'JetBrains Mono', monospace", borderBottom: `1px dashed ${COLORS.textDim}` }}>
+            {prefix}{value.toFixed(decimals)} <span style={{ color: COLORS.textDim, fontSize: 10 }}>{unit}</span>
+          </span>
+        )}
+      </div>
+      <input type="range" min={min} max={max} step={step} value={value}
+        onChange={e => onChange(parseFloat(e.target.value))}
+        style={{ width: "100%", height: 4, appearance: "none", background:
+          `linear-gradient(to right, ${COLORS.accent} 0%, ${COLORS.accent} ${pct}%, ${COLORS.panelBorder} ${pct}%, ${COLORS.panelBorder} 100%)`,
+          borderRadius: 2, outline: "none", cursor: "pointer" }} />
+    </div>
+  );
+}
+
+// Twelve editable monthly values, shown as percentages when they are fractions
+function MonthlyInput({ label, value, onChange, min, max, unit = "", decimals = 2, presets = [] }) {
+  const asPct = !unit && max <= 1;
+  const scale = asPct ? 100 : 1;
+  const limit = (m) => (unit === "days" ? Math.min(max, DAYS_IN_MONTH[m]) : max);
+  const setMonth = (m, text) => {
+    const n = parseFloat(text);
+    if (isNaN(n)) return;
+    onChange(value.map((v, i) => (i === m ? Math.min(limit(m), Math.max(min, n / scale)) : v)));
+  };
+  const total = value.reduce((s, v) => s + v, 0);
+  const summary = unit === "days" ? `${total} days/yr` : `avg ${(total / 12).toFixed(decimals)}`;
+  const preset = presets.find(p => p.values.every((v, m) => v === value[m]));
+
+  return (
+    <div style={{ marginBottom: 10 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 3 }}>
+        <span style={{ fontSize: 11, color: COLORS.textMuted }}>{label}</span>
+        <span style={{ fontSize: 10, color: COLORS.textDim, fontFamily: "'JetBrains Mono', monospace" }}>{summary}</span>
+      </div>
+      {presets.length > 0 && (
+        <select value={preset?.label ?? ""} onChange={e => onChange([...presets.find(p => p.label === e.target.value).values])}
+          style={{ ...fieldStyle, width: "100%", marginBottom: 4, fontSize: 10 }}>
+          {!preset && <option value="">Custom</option>}
+          {presets.map(p => <option key={p.label} value={p.label}>{p.label}</option>)}
+        </select>
+      )}
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(12, 1fr)", gap: 2 }}>
+        {value.map((v, m) => (
+          <div key={m} style={{ display: "flex", flexDirection: "column", alignItems: "center" }}>
+            <div style={{ height: 24, width: "100%", display: "flex", alignItems: "flex-end" }}>
+              <div style={{ width: "100%", height: `${(v / max) * 100}%`, background: COLORS.accent, opacity: 0.6, borderRadius: "2px 2px 0 0" }} />
+            </div>
+            <input value={Math.round(v * scale)} onChange={e => setMonth(m, e.target.value)} aria-label={`${label} ${MONTH_LABELS[m]}`}
+              style={{ ...fieldStyle, width: "100%", padding: "1px 0", fontSize: 9, textAlign: "center", boxSizing: "border-box" }} />
+            <span style={{ fontSize: 8, color: COLORS.textDim }}>{MONTH_LABELS[m][0]}</span>
+          </div>
+        ))}
+      </div>
+      {asPct && <div style={{ fontSize: 9, color: COLORS.textDim, marginTop: 2 }}>% of output used each month</div>}
+    </div>
+  );
+}
+
+function SelectInput({ label, value, onChange, options }) {
+  return (
+    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
+      <span style={{ fontSize: 11, color: COLORS.textMuted }}>{label}</span>
+      <select value={value} onChange={e => onChange(e.target.value)}
+        style={{ background: COLORS.bg, border: `1px solid ${COLORS.panelBorder}`, borderRadius: 3, color: COLORS.white,
+          fontSize: 11, padding: "2px 4px", fontFamily: "'JetBrains Mono', monospace" }}>
+        {options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+      </select>
+    </div>
+  );
+}
+
+function ToggleInput({ label, value, onChange }) {
+  return (
+    <div onClick={() => onChange(!value)}
+      style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10, cursor: "pointer" }}>
+      <span style={{ fontSize: 11, color: COLORS.textMuted }}>{label}</span>
+      <div style={{ width: 28, height: 14, borderRadius: 7, position: "relative",
+        background: value ? COLORS.accent : COLORS.panelBorder }}>
+        <div style={{ position: "absolute", top: 2, left: value ? 16 : 2, width: 10, height: 10, borderRadius: 5, background: COLORS.white }} />
+      </div>
+    </div>
+  );
+}
+
+function MetricCard({ label, value, unit = "", prefix = "", status, decimals, tip }) {
+  const color = status === "ok" ? COLORS.accent : status === "warn" ? COLORS.amber : status === "error" ? COLORS.red : COLORS.white;
+  let display;
+  if (value == null || (typeof value === "number" && (isNaN(value) || !isFinite(value)))) {
+    display = "—";
+  } else if (typeof value === "string") {
+    display = value;
+  } else if (prefix === "$") {
+    display = fmt$(value);
+  } else {
+    const d = decimals !== undefined ? decimals : (Math.abs(value) >= 100 ? 0 : 1);
+    display = `${prefix}${value.toFixed(d)}`;
   }
+  return (
+    <div title={tip} style={{ background: COLORS.card, borderRadius: 6, border: `1px solid ${COLORS.cardBorder}`,
+      padding: "8px 10px", textAlign: "center" }}>
+      <div style={{ fontSize: 9, color: COLORS.textDim, textTransform: "uppercase", letterSpacing: "0.06em", marginBottom: 4 }}>
+        {label} {tip && <span style={{ cursor: "help", opacity: 0.5 }}>ⓘ</span>}
+      </div>
+      <div style={{ fontSize: 20, fontWeight: 700, color, fontFamily: "'JetBrains Mono', monospace" }}>{display}</div>
+      {unit && <div style={{ fontSize: 9, color: COLORS.textDim, marginTop: 2 }}>{unit}</div>}
+    </div>
+  );
+}
+
+function Accordion({ title, icon, children, defaultOpen }) {
+  const [open, setOpen] = useState(defaultOpen || false);
+  return (
+    <div style={{ marginBottom: 6 }}>
+      <div onClick={() => setOpen(!open)} style={{ display: "flex", justifyContent: "space-between", alignItems: "center",
+        padding: "6px 8px", background: COLORS.card, borderRadius: 4, cursor: "pointer", border: `1px solid ${COLORS.cardBorder}` }}>
+        <span style={{ fontSize: 11, fontWeight: 600, color: COLORS.accent, textTransform: "uppercase", letterSpacing: "0.04em" }}>
+          {icon} {title}
+        </span>
+        <span style={{ color: COLORS.textDim, fontSize: 10 }}>{open ? "▲" : "▼"}</span>
+      </div>
+      {open && <div style={{ padding: "8px 6px 2px" }}>{children}</div>}
+    </div>
+  );
+}
+
+function DiagnosticHint({ text, color = "amber" }) {
+  const bg = color === "red" ? "rgba(239,68,68,0.12)" : "rgba(245,158,11,0.12)";
+  const border = color === "red" ? COLORS.red : COLORS.amber;
+  const textColor = color === "red" ? COLORS.red : COLORS.amber;
+  return (
+    <div style={{ background: bg, border: `1px solid ${border}33`, borderRadius: 4, padding: "6px 10px",
+      fontSize: 11, color: textColor, marginBottom: 6 }}>{text}</div>
+  );
+}
+
+// ─── Tooltip ───
+const customTooltip = ({ active, payload, label }) => {
+  if (!active || !payload?.length) return null;
+  return (
+    <div style={{ background: COLORS.panel, border: `1px solid ${COLORS.cardBorder}`, borderRadius: 6, padding: "8px 12px", fontSize: 11 }}>
+      <div style={{ color: COLORS.white, fontWeight: 600, marginBottom: 4 }}>{label}</div>
+      {payload.map((p, i) => (
+        <div key={i} style={{ color: p.color || COLORS.textMuted, display: "flex", justifyContent: "space-between", gap: 16 }}>
+          <span>{p.name}</span>
+          <span style={{ fontFamily: "'JetBrains Mono', monospace" }}>{fmt$(p.value)}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const fieldStyle = {
+  background: COLORS.bg, border: `1px solid ${COLORS.panelBorder}`, borderRadius: 3, color: COLORS.white,
+  fontSize: 11, padding: "2px 4px", fontFamily: "'JetBrains Mono', monospace",
+};
+
+const buttonStyle = {
+  padding: "4px 12px", borderRadius: 4, border: `1px solid ${COLORS.accent}`, background: "transparent",
+  color: COLORS.accent, fontSize: 11, fontWeight: 600, cursor: "pointer", textTransform: "uppercase",
+};
+
+// ─── Sensitivity Panel ───
+const SPIDER_COLORS = ["#22c55e", "#f59e0b", "#06b6d4", "#a78bfa", "#ef4444", "#f472b6", "#38bdf8", "#facc15", "#94a3b8", "#fb923c"];
+
+function fmtMetric(metric, v) {
+  if (v == null) return "—";
+  const { unit } = SENSITIVITY_METRICS[metric];
+  if (unit === "$") return fmt$(v);
+  if (unit === "%") return fmtPct(v);
+  if (unit === "×") return `${v.toFixed(2)}×`;
+  return `${v} ${unit}`;
+}
+
+function fmtMetricDelta(metric, d) {
+  if (d == null) return "n/a";
+  const sign = d >= 0 ? "+" : "";
+  const { unit } = SENSITIVITY_METRICS[metric];
+  if (unit === "$") return `${sign}${fmt$(d)}`;
+  if (unit === "%") return `${sign}${d.toFixed(1)} pts`;
+  if (unit === "×") return `${sign}${d.toFixed(2)}×`;
+  return `${sign}${d} ${unit}`;
+}
+
+function SensitivityPanel({ inputs, config, setConfig, sensitivity, pending }) {
+  const [editing, setEditing] = useState(false);
+  const { metric, params, chart, steps } = config;
+  const { result: spider, pending: spiderPending } = useEngineJob("spider", { inputs, params, metric, steps },
+    { enabled: chart === "spider", debounce: 150 });
+
+  const update = (patch) => setConfig(prev => ({ ...prev, ...patch }));
+  const updateParam = (i, patch) => update({ params: params.map((p, j) => (j === i ? { ...p, ...patch } : p)) });
+  const unused = NUMERIC_FIELDS.filter(f => !params.some(p => p.key === f.key));
+  const inputText = (key, v) => formatInputValue(key, v);
+  const signed = (v) => `${v > 0 ? "+" : ""}${v}`;
+  const rangeText = (p) => (p.mode === "pct" ? `${signed(p.lo)}% / ${signed(p.hi)}%` : `${signed(p.lo)} / ${signed(p.hi)}`);
+
+  const tornadoTooltip = ({ active, payload }) => {
+    if (!active || !payload?.length) return null;
+    const row = payload[0].payload;
+    return (
+      <div style={{ background: COLORS.panel, border: `1px solid ${COLORS.cardBorder}`, borderRadius: 6, padding: "8px 12px", fontSize: 11 }}>
+        <div style={{ color: COLORS.white, fontWeight: 600, marginBottom: 4 }}>{row.label}</div>
+        <div style={{ color: COLORS.red }}>Low {inputText(row.key, row.lo_input)}: {fmtMetricDelta(metric, row.lo)}</div>
+        <div style={{ color: COLORS.accent }}>High {inputText(row.key, row.hi_input)}: {fmtMetricDelta(metric, row.hi)}</div>
+      </div>
+    );
+  };
+
+  const spiderTooltip = ({ active, payload }) => {
+    if (!active || !payload?.length) return null;
+    return (
+      <div style={{ background: COLORS.panel, border: `1px solid ${COLORS.cardBorder}`, borderRadius: 6, padding: "8px 12px", fontSize: 11 }}>
+        {payload.map((p, i) => (
+          <div key={i} style={{ color: p.color, display: "flex", justifyContent: "space-between", gap: 16 }}>
+            <span>{p.name} = {inputText(p.payload.key, p.payload.input)}</span>
+            <span style={{ fontFamily: "'JetBrains Mono', monospace" }}>{fmtMetric(metric, p.value)}</span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const toggle = (active) => ({
+    ...buttonStyle, padding: "2px 8px", fontSize: 9,
+    background: active ? COLORS.accent : "transparent", color: active ? COLORS.bg : COLORS.accent,
+  });
+
+  return (
+    <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase" }}>
+          Sensitivity — {SENSITIVITY_METRICS[metric].label}
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 10, color: COLORS.textDim }}>
+          <select value={metric} onChange={e => update({ metric: e.target.value })} style={{ ...fieldStyle, width: 130 }}>
+            {Object.entries(SENSITIVITY_METRICS).map(([k, m]) => <option key={k} value={k}>{m.label}</option>)}
+          </select>
+          <button onClick={() => update({ chart: "tornado" })} style={toggle(chart === "tornado")}>Tornado</button>
+          <button onClick={() => update({ chart: "spider" })} style={toggle(chart === "spider")}>Spider</button>
+          {chart === "spider" && (
+            <select value={steps} onChange={e => update({ steps: parseInt(e.target.value, 10) })} style={{ ...fieldStyle, width: 70 }}
+              title="Points per parameter">
+              {[3, 5, 7, 9, 11].map(n => <option key={n} value={n}>{n} steps</option>)}
+            </select>
+          )}
+          <button onClick={() => setEditing(e => !e)} style={toggle(editing)}>Ranges</button>
+        </div>
+      </div>
 
-  // DSCR minimum
-  const dscr_values = years.filter(y => y.DSCR !== null).map(y => y.DSCR);
-  const DSCR_min = dscr_values.length > 0 ? Math.min(...dscr_values) : null;
+      {editing && (
+        <div style={{ marginBottom: 8 }}>
+          {params.map((p, i) => (
+            <div key={i} style={{ display: "flex", alignItems: "center", gap: 4, marginBottom: 4, fontSize: 10, color: COLORS.textDim }}>
+              <select value={p.key} onChange={e => updateParam(i, { key: e.target.value })} style={{ ...fieldStyle, width: 150 }}>
+                {[INPUT_FIELDS[p.key], ...unused].map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+              </select>
+              <select value={p.mode} onChange={e => updateParam(i, { mode: e.target.value })} style={{ ...fieldStyle, width: 90 }}>
+                <option value="pct">% change</option>
+                <option value="abs">± {INPUT_FIELDS[p.key].unit || "units"}</option>
+              </select>
+              {["lo", "hi"].map(side => (
+                <label key={side} style={{ display: "flex", alignItems: "center", gap: 2 }}>
+                  {side === "lo" ? "low" : "high"}
+                  <input type="number" value={p[side]} step={p.mode === "pct" ? 5 : INPUT_FIELDS[p.key].step}
+                    onChange={e => updateParam(i, { [side]: parseFloat(e.target.value) })}
+                    style={{ ...fieldStyle, width: 64, borderColor: isValidSensitivityParam(p) ? COLORS.panelBorder : COLORS.red }} />
+                </label>
+              ))}
+              <span style={{ color: COLORS.textMuted }}>
+                {inputText(p.key, sensitivityValue(p, inputs[p.key], p.lo))} – {inputText(p.key, sensitivityValue(p, inputs[p.key], p.hi))}
+              </span>
+              <span onClick={() => update({ params: params.filter((_, j) => j !== i) })}
+                style={{ marginLeft: "auto", cursor: "pointer", color: COLORS.textDim }}>✕</span>
+            </div>
+          ))}
+          <div style={{ display: "flex", gap: 6 }}>
+            {unused.length > 0 && (
+              <select value="" onChange={e => update({ params: [...params, { key: e.target.value, mode: "pct", lo: -20, hi: 20 }] })}
+                style={{ ...fieldStyle, width: 150, color: COLORS.textMuted }}>
+                <option value="">+ Add input…</option>
+                {unused.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+              </select>
+            )}
+            <button onClick={() => update({ params: DEFAULT_SENSITIVITY_PARAMS })} style={{ ...buttonStyle, padding: "2px 8px", fontSize: 9 }}>Reset</button>
+          </div>
+          <div style={{ fontSize: 9, color: COLORS.textDim, marginTop: 4 }}>
+            Swept values are held within each slider&apos;s bounds.
+          </div>
+        </div>
+      )}
+
+      {chart === "tornado" ? (
+        <ResponsiveContainer width="100%" height={Math.max(120, 24 * sensitivity.length + 30)} style={{ opacity: pending ? 0.5 : 1 }}>
+          <BarChart data={sensitivity} layout="vertical" margin={{ left: 100, right: 20 }}>
+            <XAxis type="number" tickFormatter={d => fmtMetricDelta(metric, d)} tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+            <YAxis type="category" dataKey="label" tick={{ fill: COLORS.textMuted, fontSize: 10 }} width={90} />
+            <Tooltip content={tornadoTooltip} />
+            <ReferenceLine x={0} stroke={COLORS.panelBorder} />
+            <Bar dataKey="lo" fill={COLORS.red} opacity={0.7} name="Low" />
+            <Bar dataKey="hi" fill={COLORS.accent} opacity={0.7} name="High" />
+          </BarChart>
+        </ResponsiveContainer>
+      ) : spider && (
+        <div style={{ opacity: spiderPending ? 0.5 : 1, transition: "opacity 0.2s" }}>
+          <ResponsiveContainer width="100%" height={240}>
+            <LineChart margin={{ left: 10, right: 10 }}>
+              <XAxis type="number" dataKey="x" domain={["dataMin", "dataMax"]} tickFormatter={v => `${v > 0 ? "+" : ""}${v.toFixed(0)}%`}
+                tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+              <YAxis tickFormatter={v => fmtMetric(metric, v)} tick={{ fill: COLORS.textDim, fontSize: 9 }} width={60} />
+              <Tooltip content={spiderTooltip} />
+              {spider.base !== null && <ReferenceLine y={spider.base} stroke={COLORS.panelBorder} strokeDasharray="4 3" />}
+              <ReferenceLine x={0} stroke={COLORS.panelBorder} />
+              {spider.series.map((s, i) => (
+                <Line key={s.key} data={s.points.map(pt => ({ ...pt, key: s.key }))} dataKey="value" name={s.label} type="monotone"
+                  stroke={SPIDER_COLORS[i % SPIDER_COLORS.length]} strokeWidth={1.5} dot={{ r: 2 }} connectNulls />
+              ))}
+              <Legend wrapperStyle={{ fontSize: 10 }} />
+            </LineChart>
+          </ResponsiveContainer>
+          <div style={{ fontSize: 9, color: COLORS.textDim }}>
+            X axis: change in each input from its current value.
+            {spider.skipped.length > 0 && ` ${spider.skipped.join(", ")} omitted — a zero base has no percentage change.`}
+          </div>
+        </div>
+      )}
+      {params.length > 0 && chart === "tornado" && (
+        <div style={{ fontSize: 9, color: COLORS.textDim }}>
+          Ranges: {params.filter(isValidSensitivityParam).map(p => `${INPUT_FIELDS[p.key].label} ${rangeText(p)}`).join(" · ")}
+        </div>
+      )}
+    </div>
+  );
+}
 
-  // Revenue per unit (year 1)
-  const yr1 = years[1] || years[0];
-  const R_per_unit = yr1.N_deployed > 0 ? yr1.R_total / yr1.N_deployed : 0;
+// ─── Monte Carlo Panel ───
+const MC_DEFAULT_KEYS = ["R_power", "P_carbon", "P_carbon_fuel", "f_avail", "C_biochp"];
 
-  // Revenue per unit breakdown
-  const R_per_unit_power = yr1.N_deployed > 0 ? yr1.R_pwr / yr1.N_deployed : 0;
-  const R_per_unit_therm = yr1.N_deployed > 0 ? yr1.R_thrm / yr1.N_deployed : 0;
-  const R_per_unit_tip = yr1.N_deployed > 0 ? yr1.R_tip / yr1.N_deployed : 0;
-  const R_per_unit_carbon = yr1.N_deployed > 0 ? yr1.R_crb / yr1.N_deployed : 0;
+const mcTooltip = ({ active, payload }) => {
+  if (!active || !payload?.length) return null;
+  const b = payload[0].payload;
+  return (
+    <div style={{ background: COLORS.panel, border: `1px solid ${COLORS.cardBorder}`, borderRadius: 6, padding: "8px 12px", fontSize: 11 }}>
+      <div style={{ color: COLORS.white, fontWeight: 600, marginBottom: 4 }}>NPV {fmt$(b.x0)} to {fmt$(b.x1)}</div>
+      <div style={{ color: COLORS.textMuted }}>{b.count} draws · {fmtPct(b.cdf * 100)} cumulative</div>
+    </div>
+  );
+};
+
+function MonteCarloPanel({ inputs }) {
+  const [iterations, setIterations] = useState(2000);
+  const [seed, setSeed] = useState(42);
+  const [dists, setDists] = useState(() => MC_DEFAULT_KEYS.map(k => defaultDistribution(k, inputs[k])));
+  const [run, setRun] = useState(null); // { inputs, options, cancelled? }
+
+  const allValid = dists.length > 0 && dists.every(isValidDistribution) && iterations >= 100;
+  const unused = NUMERIC_FIELDS.filter(f => !dists.some(d => d.key === f.key));
+
+  const updateDist = (i, patch) => setDists(prev => prev.map((d, j) => (j === i ? { ...d, ...patch } : d)));
+  const changeType = (i, type) => updateDist(i, { type, params: DISTRIBUTIONS[type].defaults(inputs[dists[i].key]) });
+  const changeKey = (i, key) => updateDist(i, { key, params: DISTRIBUTIONS[dists[i].type].defaults(inputs[key]) });
+
+  const execute = () => setRun({ inputs, options: { iterations, seed, dists } });
+  const cancel = () => setRun(prev => ({ ...prev, cancelled: true }));
+  const job = useEngineJob("monteCarlo", run && { inputs: run.inputs, options: run.options }, { enabled: !!run && !run.cancelled });
+
+  const result = job.result;
+  const chartData = result?.histogram.map(b => ({ ...b, name: fmt$((b.x0 + b.x1) / 2), cdfPct: b.cdf * 100 }));
+  const irrPct = (v) => (v != null ? v * 100 : null);
+
+  return (
+    <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase" }}>
+          Monte Carlo Risk — NPV Distribution
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 10, color: COLORS.textDim }}>
+          Draws <input type="number" value={iterations} min={100} max={20000} step={100} style={{ ...fieldStyle, width: 60 }}
+            onChange={e => setIterations(parseInt(e.target.value, 10) || 0)} />
+          Seed <input type="number" value={seed} style={{ ...fieldStyle, width: 50 }}
+            onChange={e => setSeed(parseInt(e.target.value, 10) || 0)} />
+          {job.pending ? (
+            <button onClick={cancel} style={{ ...buttonStyle, borderColor: COLORS.panelBorder, color: COLORS.textMuted }}>Cancel</button>
+          ) : (
+            <button onClick={execute} disabled={!allValid} style={{ ...buttonStyle, opacity: allValid ? 1 : 0.4 }}>Run</button>
+          )}
+        </div>
+      </div>
+
+      {dists.map((d, i) => (
+        <div key={i} style={{ display: "flex", alignItems: "center", gap: 4, marginBottom: 4, fontSize: 10, color: COLORS.textDim }}>
+          <select value={d.key} onChange={e => changeKey(i, e.target.value)} style={{ ...fieldStyle, width: 130 }}>
+            {[INPUT_FIELDS[d.key], ...unused].map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+          </select>
+          <select value={d.type} onChange={e => changeType(i, e.target.value)} style={{ ...fieldStyle, width: 90 }}>
+            {Object.entries(DISTRIBUTIONS).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+          </select>
+          {DISTRIBUTIONS[d.type].params.map(p => (
+            <label key={p} style={{ display: "flex", alignItems: "center", gap: 2 }}>
+              {p}
+              <input type="number" value={d.params[p]} step={INPUT_FIELDS[d.key].step}
+                onChange={e => updateDist(i, { params: { ...d.params, [p]: parseFloat(e.target.value) } })}
+                style={{ ...fieldStyle, width: 72, borderColor: isValidDistribution(d) ? COLORS.panelBorder : COLORS.red }} />
+            </label>
+          ))}
+          <span onClick={() => setDists(prev => prev.filter((_, j) => j !== i))}
+            style={{ marginLeft: "auto", cursor: "pointer", color: COLORS.textDim }}>✕</span>
+        </div>
+      ))}
+      {unused.length > 0 && (
+        <select value="" onChange={e => setDists(prev => [...prev, defaultDistribution(e.target.value, inputs[e.target.value])])}
+          style={{ ...fieldStyle, width: 130, marginBottom: 8, color: COLORS.textMuted }}>
+          <option value="">+ Add input…</option>
+          {unused.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+        </select>
+      )}
+
+      {job.pending && <ProgressBar progress={job.progress} />}
+      {run?.cancelled && result && <DiagnosticHint text="Simulation cancelled — showing the previous run." />}
+      {run && !run.cancelled && run.inputs !== inputs && <DiagnosticHint text="Inputs changed since this simulation ran — press Run to refresh." />}
+      {job.error && <DiagnosticHint color="red" text={`Simulation failed: ${job.error}`} />}
+
+      {result && (
+        <div style={{ opacity: job.pending ? 0.5 : 1, transition: "opacity 0.2s" }}>
+          <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr 1fr", gap: 8, margin: "8px 0" }}>
+            <table style={{ width: "100%", fontSize: 11, background: COLORS.bg, borderRadius: 6, padding: 6 }}>
+              <thead>
+                <tr>
+                  {["", "P10", "P50", "P90"].map(h => (
+                    <th key={h} style={{ textAlign: "right", color: COLORS.textDim, fontWeight: 500, fontSize: 9 }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td style={{ color: COLORS.textMuted }}>NPV</td>
+                  {[result.NPV.p10, result.NPV.p50, result.NPV.p90].map((v, i) => (
+                    <td key={i} style={{ textAlign: "right", color: v < 0 ? COLORS.red : COLORS.white, fontFamily: "'JetBrains Mono', monospace" }}>{fmt$(v)}</td>
+                  ))}
+                </tr>
+                <tr>
+                  <td style={{ color: COLORS.textMuted }}>IRR</td>
+                  {[result.IRR.p10, result.IRR.p50, result.IRR.p90].map((v, i) => (
+                    <td key={i} style={{ textAlign: "right", color: COLORS.white, fontFamily: "'JetBrains Mono', monospace" }}>{fmtPct(irrPct(v))}</td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+            <MetricCard label="P(NPV < 0)" value={result.prob_npv_negative * 100} unit="%" decimals={1}
+              status={result.prob_npv_negative < 0.1 ? "ok" : result.prob_npv_negative < 0.3 ? "warn" : "error"}
+              tip="Share of simulated draws in which the project loses money at the discount rate." />
+            <MetricCard label="P(DSCR < 1.25)" value={result.prob_dscr_breach * 100} unit="%" decimals={1}
+              status={result.prob_dscr_breach < 0.1 ? "ok" : result.prob_dscr_breach < 0.3 ? "warn" : "error"}
+              tip="Share of draws in which minimum DSCR falls below the typical 1.25× lender covenant." />
+          </div>
+          {result.IRR.undefinedCount > 0 && (
+            <div style={{ fontSize: 10, color: COLORS.textDim, marginBottom: 6 }}>
+              IRR undefined or not unique in {result.IRR.undefinedCount} of {result.n} draws (excluded from IRR percentiles).
+            </div>
+          )}
+          <ResponsiveContainer width="100%" height={200}>
+            <ComposedChart data={chartData} margin={{ left: 10, right: 10 }}>
+              <XAxis dataKey="name" tick={{ fill: COLORS.textDim, fontSize: 9 }} interval={4} />
+              <YAxis yAxisId="left" tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+              <YAxis yAxisId="right" orientation="right" domain={[0, 100]} tickFormatter={v => `${v}%`} tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+              <Tooltip content={mcTooltip} />
+              <Bar yAxisId="left" dataKey="count" name="Draws" opacity={0.7}>
+                {chartData.map((b, i) => <Cell key={i} fill={b.x1 <= 0 ? COLORS.red : COLORS.accent} />)}
+              </Bar>
+              <Line yAxisId="right" dataKey="cdfPct" name="CDF" type="monotone" stroke={COLORS.white} strokeWidth={2} dot={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Goal Seek ───
+const GOAL_PRESETS = [
+  { label: "Break-even Power Rate", key: "R_power", metric: "NPV", target: 0 },
+  { label: "Tipping fee for 15% IRR", key: "R_tipping", metric: "IRR", target: 15 },
+  { label: "Equity % for 1.25× DSCR", key: "f_equity", metric: "DSCR_min", target: 1.25 },
+  { label: "Power rate for 20% savings", key: "R_power", metric: "savings_pct", target: 20 },
+];
+
+function GoalSeekPanel({ inputs, onApply }) {
+  const [goal, setGoal] = useState(GOAL_PRESETS[0]);
+  const [run, setRun] = useState(null);
+  const { key, metric, target } = goal;
+  const field = INPUT_FIELDS[key];
+
+  const update = (patch) => setGoal(prev => ({ ...prev, label: null, ...patch }));
+  const solve = (g = goal) => setRun({ inputs, goal: g });
+  const pickPreset = (p) => {
+    setGoal(p);
+    solve(p);
+  };
+
+  const job = useEngineJob("goalSeek", run, { enabled: !!run });
+  const result = job.pending ? null : job.result;
+  const solvedFor = run?.goal;
+  const current = useMemo(() => run && SENSITIVITY_METRICS[run.goal.metric].get(runFinancialModel(run.inputs)), [run]);
+
+  return (
+    <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+      <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 8 }}>
+        Goal Seek — Break-Even Solver
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginBottom: 8 }}>
+        {GOAL_PRESETS.map(p => (
+          <button key={p.label} onClick={() => pickPreset(p)}
+            style={{ ...buttonStyle, textTransform: "none", fontWeight: 500, padding: "3px 8px",
+              borderColor: goal.label === p.label ? COLORS.accent : COLORS.panelBorder,
+              color: goal.label === p.label ? COLORS.accent : COLORS.textMuted }}>{p.label}</button>
+        ))}
+      </div>
+      <div style={{ display: "flex", alignItems: "center", flexWrap: "wrap", gap: 6, fontSize: 11, color: COLORS.textMuted }}>
+        Set
+        <select value={metric} onChange={e => update({ metric: e.target.value })} style={{ ...fieldStyle, width: 130 }}>
+          {Object.entries(SENSITIVITY_METRICS).map(([k, m]) => <option key={k} value={k}>{m.label}</option>)}
+        </select>
+        to
+        <input type="number" value={target} step="any" onChange={e => update({ target: parseFloat(e.target.value) })}
+          style={{ ...fieldStyle, width: 80, borderColor: Number.isFinite(target) ? COLORS.panelBorder : COLORS.red }} />
+        <span style={{ color: COLORS.textDim }}>{SENSITIVITY_METRICS[metric].unit}</span>
+        by changing
+        <select value={key} onChange={e => update({ key: e.target.value })} style={{ ...fieldStyle, width: 150 }}>
+          {NUMERIC_FIELDS.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+        </select>
+        <button onClick={() => solve()} disabled={!Number.isFinite(target)}
+          style={{ ...buttonStyle, marginLeft: "auto", opacity: Number.isFinite(target) ? 1 : 0.4 }}>{job.pending ? "Solving…" : "Solve"}</button>
+      </div>
+      <div style={{ fontSize: 10, color: COLORS.textDim, marginTop: 4 }}>
+        Searches {field.label} between {formatInputValue(key, field.min)} and {formatInputValue(key, field.max)}, holding every other input fixed.
+      </div>
+
+      {run && run.inputs !== inputs && <DiagnosticHint text="Inputs changed since this was solved — press Solve to refresh." />}
+      {job.error && <DiagnosticHint color="red" text={`Goal seek failed: ${job.error}`} />}
+
+      {result && (
+        <div style={{ background: COLORS.bg, borderRadius: 6, padding: 10, marginTop: 8, fontSize: 11 }}>
+          {result.status === "solved" && (
+            <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+              <div style={{ flex: 1, color: COLORS.textMuted }}>
+                <span style={{ color: COLORS.white, fontWeight: 600 }}>
+                  {INPUT_FIELDS[solvedFor.key].label} = {formatInputValue(solvedFor.key, result.value)}
+                </span>
+                {" "}gives {SENSITIVITY_METRICS[solvedFor.metric].label} {fmtMetric(solvedFor.metric, result.achieved)}
+                <div style={{ fontSize: 10, color: COLORS.textDim, marginTop: 2 }}>
+                  Now {formatInputValue(solvedFor.key, run.inputs[solvedFor.key])} → {fmtMetric(solvedFor.metric, current)}
+                </div>
+              </div>
+              <button onClick={() => onApply(solvedFor.key, result.value)} disabled={run.inputs[solvedFor.key] === result.value}
+                style={{ ...buttonStyle, opacity: run.inputs[solvedFor.key] === result.value ? 0.4 : 1 }}>Apply</button>
+            </div>
+          )}
+          {result.status === "unreachable" && (
+            <div style={{ color: COLORS.amber }}>
+              No {INPUT_FIELDS[solvedFor.key].label} within the slider range reaches {fmtMetric(solvedFor.metric, solvedFor.target)} —
+              {" "}{SENSITIVITY_METRICS[solvedFor.metric].label} only spans {fmtMetric(solvedFor.metric, result.low)} to {fmtMetric(solvedFor.metric, result.high)}.
+            </div>
+          )}
+          {result.status === "insensitive" && (
+            <div style={{ color: COLORS.amber }}>
+              {SENSITIVITY_METRICS[solvedFor.metric].label} does not depend on {INPUT_FIELDS[solvedFor.key].label} in this model
+              {result.low !== null ? ` (stays at ${fmtMetric(solvedFor.metric, result.low)})` : ""} — choose another input.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Two-Way Heatmap ───
+// A 20×20 table is 400 model runs. Tables are computed in the engine worker a
+// row at a time once the inputs settle, and kept by inputs + spec so returning to
+// an earlier position redraws at once.
+const HEATMAP_PRESETS = [
+  { label: "Power × Methane Credit", x: { key: "R_power", min: 0.04, max: 0.20 }, y: { key: "P_carbon", min: 0, max: 100 } },
+  { label: "Units × Learning", x: { key: "N_units", min: 1, max: 20 }, y: { key: "LR", min: 0.75, max: 0.95 } },
+  { label: "CAPEX × Tipping", x: { key: "C_biochp", min: 400000, max: 1200000 }, y: { key: "R_tipping", min: 0, max: 150 } },
+];
+const HEATMAP_GRID_SIZES = [5, 10, 15, 20, 25];
+const HEATMAP_DEBOUNCE_MS = 250;
+const heatmapCache = new Map();
+
+const HEATMAP_W = 640, HEATMAP_H = 330;
+const HEATMAP_PAD = { left: 72, right: 12, top: 8, bottom: 40 };
+
+function heatColor(v, threshold, spread, lowerIsBetter) {
+  if (v === null) return { fill: COLORS.panelBorder, opacity: 1 };
+  const t = spread > 0 ? (v - threshold) / spread : 0;
+  const good = lowerIsBetter ? t <= 0 : t >= 0;
+  return { fill: good ? COLORS.accent : COLORS.red, opacity: 0.12 + 0.88 * Math.min(1, Math.abs(t)) };
+}
+
+function HeatmapChart({ table, spec, inputs }) {
+  const { xs, ys, values, thresholds } = table;
+  const m = SENSITIVITY_METRICS[spec.metric];
+  const plotW = HEATMAP_W - HEATMAP_PAD.left - HEATMAP_PAD.right;
+  const plotH = HEATMAP_H - HEATMAP_PAD.top - HEATMAP_PAD.bottom;
+  const cw = plotW / xs.length, ch = plotH / ys.length;
+  // Grid coordinates to pixels; row 0 sits at the bottom like a chart's y-axis
+  const px = (i) => HEATMAP_PAD.left + (i + 0.5) * cw;
+  const py = (j) => HEATMAP_PAD.top + plotH - (j + 0.5) * ch;
+  // Each cell is judged against its own break-even, which an axis may move
+  const margins = values.flatMap((row, j) => row.map((v, i) => (v === null ? null : Math.abs(v - thresholds[j][i]))));
+  const spread = Math.max(0, ...margins.filter(d => d !== null));
+  const segments = contourSegments(values, thresholds);
+  const tickEvery = (n) => Math.max(1, Math.ceil(n / 6));
+  // Position of the current inputs on the grid, when they fall inside it
+  const locate = (vals, v) => {
+    if (vals.length < 2 || v < vals[0] || v > vals[vals.length - 1]) return null;
+    const k = Math.min(vals.length - 2, vals.findIndex((_, idx) => vals[idx + 1] >= v));
+    return k + (v - vals[k]) / (vals[k + 1] - vals[k]);
+  };
+  const here = { i: locate(xs, inputs[spec.x.key]), j: locate(ys, inputs[spec.y.key]) };
+
+  return (
+    <svg viewBox={`0 0 ${HEATMAP_W} ${HEATMAP_H}`} style={{ width: "100%", display: "block" }}>
+      {values.map((row, j) => row.map((v, i) => {
+        const c = heatColor(v, thresholds[j][i], spread, m.lowerIsBetter);
+        return (
+          <rect key={`${i}-${j}`} x={px(i) - cw / 2} y={py(j) - ch / 2} width={cw} height={ch} fill={c.fill} fillOpacity={c.opacity}
+            stroke={COLORS.card} strokeWidth={0.5}>
+            <title>{`${INPUT_FIELDS[spec.x.key].label} ${formatInputValue(spec.x.key, xs[i])}, ${INPUT_FIELDS[spec.y.key].label} ${formatInputValue(spec.y.key, ys[j])}: ${m.label} ${fmtMetric(spec.metric, v)}`}</title>
+          </rect>
+        );
+      }))}
+      {segments.map((s, k) => (
+        <line key={k} x1={px(s.x1)} y1={py(s.y1)} x2={px(s.x2)} y2={py(s.y2)} stroke={COLORS.white} strokeWidth={2} strokeLinecap="round" />
+      ))}
+      {here.i !== null && here.j !== null && (
+        <circle cx={px(here.i)} cy={py(here.j)} r={4} fill="none" stroke={COLORS.white} strokeWidth={1.5}>
+          <title>Current inputs</title>
+        </circle>
+      )}
+      {xs.map((v, i) => i % tickEvery(xs.length) === 0 && (
+        <text key={i} x={px(i)} y={HEATMAP_PAD.top + plotH + 12} textAnchor="middle" fill={COLORS.textDim} fontSize={9}>
+          {formatInputValue(spec.x.key, v).replace(` ${INPUT_FIELDS[spec.x.key].unit}`, "")}
+        </text>
+      ))}
+      {ys.map((v, j) => j % tickEvery(ys.length) === 0 && (
+        <text key={j} x={HEATMAP_PAD.left - 4} y={py(j) + 3} textAnchor="end" fill={COLORS.textDim} fontSize={9}>
+          {formatInputValue(spec.y.key, v).replace(` ${INPUT_FIELDS[spec.y.key].unit}`, "")}
+        </text>
+      ))}
+      <text x={HEATMAP_PAD.left + plotW / 2} y={HEATMAP_H - 6} textAnchor="middle" fill={COLORS.textMuted} fontSize={10}>
+        {INPUT_FIELDS[spec.x.key].label}{INPUT_FIELDS[spec.x.key].unit ? ` (${INPUT_FIELDS[spec.x.key].unit})` : ""}
+      </text>
+      <text x={12} y={HEATMAP_PAD.top + plotH / 2} textAnchor="middle" fill={COLORS.textMuted} fontSize={10}
+        transform={`rotate(-90 12 ${HEATMAP_PAD.top + plotH / 2})`}>
+        {INPUT_FIELDS[spec.y.key].label}{INPUT_FIELDS[spec.y.key].unit ? ` (${INPUT_FIELDS[spec.y.key].unit})` : ""}
+      </text>
+    </svg>
+  );
+}
+
+function HeatmapPanel({ inputs }) {
+  const [spec, setSpec] = useState(() => ({
+    x: { ...HEATMAP_PRESETS[0].x, steps: 20 }, y: { ...HEATMAP_PRESETS[0].y, steps: 20 }, metric: "NPV",
+  }));
+  const valid = spec.x.key !== spec.y.key && isValidDataTableAxis(spec.x) && isValidDataTableAxis(spec.y);
+  const { result: table, pending, progress, error } = useEngineJob("dataTable", { inputs, spec },
+    { enabled: valid, debounce: HEATMAP_DEBOUNCE_MS, cache: heatmapCache });
+  const size = spec.x.steps;
+
+  const updateAxis = (axis, patch) => setSpec(prev => ({ ...prev, [axis]: { ...prev[axis], ...patch } }));
+  const changeKey = (axis, key) => updateAxis(axis, { key, min: INPUT_FIELDS[key].min, max: INPUT_FIELDS[key].max });
+  const applyPreset = (p) => setSpec(prev => ({ ...prev, x: { ...p.x, steps: size }, y: { ...p.y, steps: size } }));
+  const threshold = BREAK_EVEN[spec.metric](inputs);
+  // An axis over the input the break-even depends on (IRR against the discount rate) moves it cell by cell
+  const levels = table && table.spec.metric === spec.metric ? table.thresholds.flat() : [threshold];
+  const [lowest, highest] = [Math.min(...levels), Math.max(...levels)];
+  const breakEven = lowest === highest ? fmtMetric(spec.metric, lowest)
+    : `${fmtMetric(spec.metric, lowest)} to ${fmtMetric(spec.metric, highest)}, each cell at its own inputs`;
+
+  const axisEditor = (axis) => {
+    const a = spec[axis];
+    const ok = a.max > a.min;
+    return (
+      <div style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 10, color: COLORS.textDim }}>
+        <span style={{ width: 12 }}>{axis.toUpperCase()}</span>
+        <select value={a.key} onChange={e => changeKey(axis, e.target.value)} style={{ ...fieldStyle, width: 150 }}>
+          {NUMERIC_FIELDS.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+        </select>
+        {["min", "max"].map(bound => (
+          <label key={bound} style={{ display: "flex", alignItems: "center", gap: 2 }}>
+            {bound}
+            <input type="number" value={a[bound]} step={INPUT_FIELDS[a.key].step}
+              onChange={e => updateAxis(axis, { [bound]: parseFloat(e.target.value) })}
+              style={{ ...fieldStyle, width: 72, borderColor: ok ? COLORS.panelBorder : COLORS.red }} />
+          </label>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase" }}>
+          Two-Way Data Table — {SENSITIVITY_METRICS[spec.metric].label}
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 10, color: COLORS.textDim }}>
+          <select value={spec.metric} onChange={e => setSpec(prev => ({ ...prev, metric: e.target.value }))} style={{ ...fieldStyle, width: 130 }}>
+            {Object.entries(SENSITIVITY_METRICS).map(([k, m]) => <option key={k} value={k}>{m.label}</option>)}
+          </select>
+          Grid
+          <select value={size} onChange={e => {
+            const steps = parseInt(e.target.value, 10);
+            setSpec(prev => ({ ...prev, x: { ...prev.x, steps }, y: { ...prev.y, steps } }));
+          }} style={{ ...fieldStyle, width: 60 }}>
+            {HEATMAP_GRID_SIZES.map(n => <option key={n} value={n}>{n}×{n}</option>)}
+          </select>
+        </div>
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginBottom: 6 }}>
+        {HEATMAP_PRESETS.map(p => (
+          <button key={p.label} onClick={() => applyPreset(p)}
+            style={{ ...buttonStyle, textTransform: "none", fontWeight: 500, padding: "3px 8px", borderColor: COLORS.panelBorder, color: COLORS.textMuted }}>
+            {p.label}
+          </button>
+        ))}
+      </div>
+      <div style={{ display: "flex", flexDirection: "column", gap: 4, marginBottom: 8 }}>
+        {axisEditor("x")}
+        {axisEditor("y")}
+      </div>
+
+      {!valid && <DiagnosticHint text="Choose two different inputs, each with a max above its min." />}
+      {error && <DiagnosticHint color="red" text={`Data table failed: ${error}`} />}
+      {pending && <ProgressBar progress={progress} />}
+      {table && (
+        <div style={{ opacity: pending ? 0.5 : 1, transition: "opacity 0.2s" }}>
+          {/* Drawn with its own spec: while a new table computes, the last one stays up */}
+          <HeatmapChart table={table} spec={table.spec} inputs={inputs} />
+        </div>
+      )}
+      <div style={{ fontSize: 10, color: COLORS.textDim, marginTop: 4 }}>
+        Green cells beat break-even ({breakEven}), red cells miss it; the white line traces break-even
+        and the circle marks the current inputs. Hover a cell for its value.
+      </div>
+    </div>
+  );
+}
+
+// ─── Monthly Cash Flow ───
+function MonthlyCashFlow({ inputs, results, basename }) {
+  const operating = results.years.filter(yr => yr.N_deployed > 0);
+  const [y, setY] = useState(() => (operating.find(yr => yr.y >= 1) || operating[0])?.y ?? 0);
+  const data = results.months.filter(m => m.y === y).map(m => ({
+    name: MONTH_LABELS[m.month], ...Object.fromEntries(REVENUE_STREAMS.map(stream => [stream.name, m[stream.key]])),
+    EBITDA: m.EBITDA, "Equity CF": m.CF,
+  }));
+
+  return (
+    <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase" }}>
+          Monthly Cash Flow
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+          <select value={y} onChange={e => setY(parseInt(e.target.value, 10))} style={{ ...fieldStyle, width: 70 }}>
+            {results.years.map(yr => <option key={yr.y} value={yr.y}>{yr.year}</option>)}
+          </select>
+          <button onClick={() => downloadFile(`${basename}-monthly.csv`, monthsToCsv(results.months), "text/csv")}
+            style={{ ...buttonStyle, padding: "2px 8px", fontSize: 9 }} title="Download every month of the contract as CSV">CSV</button>
+        </div>
+      </div>
+      <ResponsiveContainer width="100%" height={200}>
+        <ComposedChart data={data} margin={{ left: 10, right: 10 }}>
+          <XAxis dataKey="name" tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+          <YAxis tickFormatter={fmt$} tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+          <Tooltip content={customTooltip} />
+          <ReferenceLine y={0} stroke={COLORS.panelBorder} />
+          {REVENUE_STREAMS.map(stream => (
+            <Bar key={stream.key} dataKey={stream.name} fill={stream.color} opacity={0.7} stackId="r" />
+          ))}
+          <Line dataKey="EBITDA" type="monotone" stroke={COLORS.white} strokeWidth={2} dot={{ r: 2, fill: COLORS.white }} />
+          <Line dataKey="Equity CF" type="monotone" stroke={COLORS.textMuted} strokeWidth={1.5} strokeDasharray="4 3" dot={false} />
+          <Legend wrapperStyle={{ fontSize: 10 }} />
+        </ComposedChart>
+      </ResponsiveContainer>
+      <div style={{ fontSize: 9, color: COLORS.textDim }}>
+        Availability {fmtPct(results.avail_eff * 100)} · power used {fmtPct(results.power_util_eff * 100)} · heat used {fmtPct(results.therm_util_eff * 100)}.
+        Equity CAPEX falls in {MONTH_LABELS[inputs.M_install - 1]} and income tax in December.
+      </div>
+    </div>
+  );
+}
+
+// ─── Carbon Credits ───
+const STREAM_COLORS = { methane: CHART_COLORS.carbon, fuel: "#c4b5fd" };
+
+// Credit sales by stream and year, and each stream's forward price curve. A
+// curve starts from today's price escalated and is edited year by year.
+function CarbonCreditPanel({ inputs, results, onChange }) {
+  const { T_project, Y_start, f_buffer, T_issuance } = inputs;
+  const years = Array.from({ length: T_project + 1 }, (_, y) => y);
+  const credits = streamCredits(inputs);
+  const total = (key) => results.years.reduce((s, yr) => s + yr[key], 0);
+  const escalated = (stream) => years.map(y => Math.round(carbonPrice({ ...inputs, [stream.curve]: null }, stream, y) * 100) / 100);
+  const setPrice = (stream, y, text) => {
+    const price = parseFloat(text);
+    if (isNaN(price) || price < 0) return;
+    const curve = inputs[stream.curve];
+    onChange(stream.curve, years.slice(0, Math.max(curve.length, y + 1)).map(k => (k === y ? price : carbonPrice(inputs, stream, k))));
+  };
+  const data = results.years.map(yr => ({
+    name: yr.year,
+    ...Object.fromEntries(CARBON_STREAMS.map(stream => [stream.key, yr[`R_crb_${stream.key}`]])),
+    Fees: -yr.C_carbon,
+  }));
+  const th = { padding: "3px 4px", color: COLORS.textDim, fontWeight: 600, fontSize: 9, textAlign: "right", whiteSpace: "nowrap" };
+  const td = { padding: "2px 4px", fontSize: 10, fontFamily: "'JetBrains Mono', monospace", textAlign: "right", whiteSpace: "nowrap" };
+  const tons = (v) => `${Math.round(v).toLocaleString("en-US")} t`;
+
+  return (
+    <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+      <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 8 }}>Carbon Credits</div>
+      <table style={{ width: "100%", borderCollapse: "collapse", marginBottom: 10 }}>
+        <thead>
+          <tr style={{ borderBottom: `1px solid ${COLORS.panelBorder}` }}>
+            {["Stream", "Net Credits", "Price", "Crediting", "Sales", ""].map((h, i) => (
+              <th key={i} style={{ ...th, textAlign: i === 0 ? "left" : "right" }}>{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {CARBON_STREAMS.map((stream, i) => (
+            <tr key={stream.key} style={{ borderBottom: `1px solid ${COLORS.bg}` }}>
+              <td style={{ ...td, textAlign: "left", fontFamily: "'DM Sans', sans-serif", color: STREAM_COLORS[stream.key] }}>{stream.label}</td>
+              <td style={{ ...td, color: COLORS.textMuted }}>{tons(credits[i])}/unit·yr</td>
+              <td style={{ ...td, color: COLORS.textMuted }}>{inputs[stream.curve] ? "Curve" : `$${inputs[stream.price]}/t +${inputs.r_carbon}%/yr`}</td>
+              <td style={{ ...td, color: COLORS.textMuted }}>{inputs[stream.term]} yrs</td>
+              <td style={{ ...td, color: COLORS.white }}>{fmt$(total(`R_crb_${stream.key}`))}</td>
+              <td style={td}>
+                {inputs[stream.curve]
+                  ? <button onClick={() => onChange(stream.curve, null)} style={{ ...buttonStyle, padding: "1px 6px", fontSize: 9 }}
+                    title="Escalate today's price at the carbon escalation rate again">Reset</button>
+                  : <button onClick={() => onChange(stream.curve, escalated(stream))} style={{ ...buttonStyle, padding: "1px 6px", fontSize: 9 }}>Edit curve</button>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {CARBON_STREAMS.some(stream => inputs[stream.curve]) && (
+        <div style={{ overflowX: "auto", marginBottom: 10 }}>
+          <table style={{ borderCollapse: "collapse" }}>
+            <thead>
+              <tr style={{ borderBottom: `1px solid ${COLORS.panelBorder}` }}>
+                <th style={{ ...th, textAlign: "left" }}>$/ton</th>
+                {years.map(y => <th key={y} style={th}>{Y_start + y}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {CARBON_STREAMS.filter(stream => inputs[stream.curve]).map(stream => (
+                <tr key={stream.key}>
+                  <td style={{ ...td, textAlign: "left", fontFamily: "'DM Sans', sans-serif", color: STREAM_COLORS[stream.key] }}>{stream.label}</td>
+                  {years.map(y => (
+                    <td key={y} style={{ padding: "2px 2px" }}>
+                      <input value={+carbonPrice(inputs, stream, y).toFixed(2)} aria-label={`${stream.label} price ${Y_start + y}`}
+                        onChange={e => setPrice(stream, y, e.target.value)}
+                        style={{ ...fieldStyle, width: 44, padding: "1px 2px", fontSize: 10, textAlign: "right",
+                          color: y < inputs[stream.curve].length ? COLORS.white : COLORS.textDim }} />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <ResponsiveContainer width="100%" height={180}>
+        <BarChart data={data} margin={{ left: 10, right: 10 }} stackOffset="sign">
+          <XAxis dataKey="name" tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+          <YAxis tickFormatter={fmt$} tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+          <Tooltip content={customTooltip} />
+          <ReferenceLine y={0} stroke={COLORS.panelBorder} />
+          {CARBON_STREAMS.map(stream => (
+            <Bar key={stream.key} dataKey={stream.key} name={stream.label} stackId="c" fill={STREAM_COLORS[stream.key]} opacity={0.7} />
+          ))}
+          <Bar dataKey="Fees" stackId="c" fill={CHART_COLORS.opex} opacity={0.6} />
+          <Legend wrapperStyle={{ fontSize: 10 }} />
+        </BarChart>
+      </ResponsiveContainer>
+      <div style={{ fontSize: 9, color: COLORS.textDim }}>
+        {tons(total("CC_vintage"))} earned over the contract, {tons(total("CC_buffer"))} held in the buffer pool
+        ({fmtPct(f_buffer * 100)}), {tons(total("CC_issued"))} sold. Credits are issued and paid {T_issuance > 0 ? `${T_issuance} yr${T_issuance === 1 ? "" : "s"} after` : "in"} the
+        year they are earned, at that year's price; each stream's crediting period runs from a unit's commissioning.
+        Project emissions are deducted from the streams in proportion.
+      </div>
+    </div>
+  );
+}
+
+// ─── Deployment Schedule ───
+// Units built in each project year: typed into the table or dragged on the bars.
+// Editing starts from the schedule Number of Units and Deploy Rate imply.
+function DeploymentSchedulePanel({ inputs, results, onChange }) {
+  const { deploy_schedule, T_project, Y_start, M_install, T_commission } = inputs;
+  const schedule = deploymentSchedule(inputs);
+  const drag = useRef(null);
+  const [scale, setScale] = useState(null);
+  const top = scale ?? Math.max(4, Math.ceil(Math.max(...schedule) * 1.5));
+
+  const setYear = (y, n) => {
+    const next = schedule.map((v, i) => (i === y ? Math.min(50, Math.max(0, n)) : v));
+    if (next.some(v => v > 0) && next[y] !== schedule[y]) onChange(next);
+  };
+  // The bar's height while dragging follows the pointer, on the scale it started with
+  const dragTo = (e) => {
+    const { y, rect } = drag.current;
+    setYear(y, Math.round(((rect.bottom - e.clientY) / rect.height) * top));
+  };
+  const startDrag = (y) => (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drag.current = { y, rect: e.currentTarget.getBoundingClientRect() };
+    setScale(top);
+    dragTo(e);
+  };
+  const endDrag = () => {
+    drag.current = null;
+    setScale(null);
+  };
+
+  const operating = inputs.sites.length === 0 ? results.years.map(yr => yr.N_operating) : null;
+  const cumulative = schedule.map((_, y) => schedule.slice(0, y + 1).reduce((s, n) => s + n, 0));
+  const cell = { padding: "2px 3px", fontSize: 10, fontFamily: "'JetBrains Mono', monospace", textAlign: "center" };
+  const label = { ...cell, color: COLORS.textDim, fontFamily: "'DM Sans', sans-serif", textAlign: "left", whiteSpace: "nowrap" };
+
+  return (
+    <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase" }}>Deployment Schedule</div>
+        {deploy_schedule
+          ? <button onClick={() => onChange(null)} style={buttonStyle} title="Build Number of Units at the Deploy Rate again">Reset to formula</button>
+          : <button onClick={() => onChange(schedule)} style={buttonStyle}>Edit schedule</button>}
+      </div>
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ borderCollapse: "collapse", width: "100%" }}>
+          <tbody>
+            <tr>
+              <td style={label} />
+              {schedule.map((n, y) => (
+                <td key={y} style={{ padding: "0 3px" }}>
+                  <div onPointerDown={startDrag(y)} onPointerMove={e => drag.current && dragTo(e)} onPointerUp={endDrag} onPointerCancel={endDrag}
+                    title={`${Y_start + y}: drag to set units built`}
+                    style={{ height: 80, minWidth: 22, display: "flex", alignItems: "flex-end", cursor: "ns-resize", touchAction: "none",
+                      borderBottom: `1px solid ${COLORS.panelBorder}` }}>
+                    <div style={{ width: "100%", height: `${(Math.min(n, top) / top) * 100}%`, background: COLORS.accent,
+                      opacity: deploy_schedule ? 0.7 : 0.4, borderRadius: "2px 2px 0 0" }} />
+                  </div>
+                </td>
+              ))}
+            </tr>
+            <tr>
+              <td style={label}>Year</td>
+              {schedule.map((_, y) => <td key={y} style={{ ...cell, color: COLORS.textMuted }}>{Y_start + y}</td>)}
+            </tr>
+            <tr>
+              <td style={label}>Built</td>
+              {schedule.map((n, y) => (
+                <td key={y} style={cell}>
+                  <input value={n} aria-label={`Units built in ${Y_start + y}`}
+                    onChange={e => { const v = parseInt(e.target.value, 10); if (!isNaN(v)) setYear(y, v); }}
+                    style={{ ...fieldStyle, width: "100%", minWidth: 22, padding: "1px 0", fontSize: 10, textAlign: "center", boxSizing: "border-box" }} />
+                </td>
+              ))}
+            </tr>
+            <tr>
+              <td style={label}>Fleet</td>
+              {cumulative.map((n, y) => <td key={y} style={{ ...cell, color: COLORS.textMuted }}>{n}</td>)}
+            </tr>
+            {operating && (
+              <tr>
+                <td style={label} title="Unit-years in commercial operation">Operating</td>
+                {operating.map((n, y) => <td key={y} style={{ ...cell, color: n < cumulative[y] ? COLORS.amber : COLORS.textMuted }}>{+n.toFixed(2)}</td>)}
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      <div style={{ fontSize: 9, color: COLORS.textDim, marginTop: 6 }}>
+        Units are installed in {MONTH_LABELS[M_install - 1]} of their build year and start earning
+        {T_commission > 0 ? ` ${T_commission} month${T_commission === 1 ? "" : "s"} later` : " at once"}, so their first year
+        may be partial; CAPEX falls in the build year and tax credits and depreciation start once a unit is in service.
+        {!deploy_schedule && ` Without a schedule ${inputs.N_units} units are built one in ${Y_start} and ${inputs.units_per_year} a year after.`}
+        {inputs.sites.length > 0 && " Each site follows the schedule from its own start year, unless it sets its own number of units."}
+      </div>
+    </div>
+  );
+}
+
+// ─── Site Portfolio ───
+// A site override as typed; blank inherits the portfolio input, and a value the
+// model cannot run stays in the cell (outlined) without being applied
+function SiteCell({ field, value, fallback, onCommit }) {
+  const [draft, setDraft] = useState(null);
+  const text = draft ?? (value === undefined ? "" : String(value));
+  const invalid = draft !== null && draft.trim() !== "" && validateInput(field, Number(draft)) !== null;
+  const change = (e) => {
+    const next = e.target.value;
+    setDraft(next);
+    if (next.trim() === "") onCommit(undefined);
+    else if (validateInput(field, Number(next)) === null) onCommit(Number(next));
+  };
+  return (
+    <input value={text} placeholder={String(fallback)} onChange={change} onBlur={() => setDraft(null)}
+      style={{ ...fieldStyle, width: "100%", minWidth: 56, borderColor: invalid ? COLORS.amber : COLORS.panelBorder,
+        color: value === undefined ? COLORS.textDim : COLORS.white }} />
+  );
+}
+
+function SitePortfolioPanel({ inputs, results, onChange, siteView, onView }) {
+  const { sites } = inputs;
+  const update = (next) => {
+    onChange(next);
+    if (siteView !== null && siteView >= next.length) onView(null);
+  };
+  const setField = (i, key, value) => update(sites.map((site, j) => {
+    if (j !== i) return site;
+    const { [key]: _old, ...rest } = site;
+    return value === undefined ? rest : { ...rest, [key]: value };
+  }));
+  const addSite = () => update([...sites, {
+    name: `Site ${sites.length + 1}`, N_units: 1,
+    Y_start: sites.length > 0 ? Math.max(...sites.map(site => site.Y_start ?? inputs.Y_start)) + 1 : inputs.Y_start,
+  }]);
+  const removeSite = (i) => {
+    update(sites.filter((_, j) => j !== i));
+    if (siteView === i) onView(null);
+  };
+
+  const runs = results.sites || [];
+  const chartData = runs.length > 0 && results.years.map(yr => ({
+    name: yr.year,
+    ...Object.fromEntries(runs.map((run, i) => [`site${i}`, run.results.years[yr.year - run.inputs.Y_start]?.CF ?? 0])),
+  }));
+  const th = { padding: "3px 4px", color: COLORS.textDim, fontWeight: 600, fontSize: 9, textAlign: "left", whiteSpace: "nowrap" };
+  const td = { padding: "2px 4px", fontSize: 10, fontFamily: "'JetBrains Mono', monospace", textAlign: "right", whiteSpace: "nowrap" };
+
+  return (
+    <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase" }}>Site Portfolio</div>
+        <div style={{ display: "flex", gap: 4 }}>
+          <button onClick={addSite} style={buttonStyle}>+ Add site</button>
+          {sites.length > 0 && <button onClick={() => update([])} style={buttonStyle}>Clear</button>}
+        </div>
+      </div>
+      {sites.length === 0 ? (
+        <div style={{ fontSize: 11, color: COLORS.textMuted }}>
+          Model a pipeline of host sites instead of identical copies of one. Each site runs its own sub-model with its own
+          unit size, rates, waste and start year; every input a site leaves blank follows the sliders.
+        </div>
+      ) : (
+        <>
+          <div style={{ overflowX: "auto", marginBottom: 10 }}>
+            <table style={{ borderCollapse: "collapse" }}>
+              <thead>
+                <tr style={{ borderBottom: `1px solid ${COLORS.panelBorder}` }}>
+                  <th style={th}>Site</th>
+                  {SITE_INPUTS.map(key => (
+                    <th key={key} style={th} title={INPUT_FIELDS[key]?.unit}>{SITE_LABELS[key] || INPUT_FIELDS[key].label}</th>
+                  ))}
+                  <th style={th} />
+                </tr>
+              </thead>
+              <tbody>
+                {sites.map((site, i) => (
+                  <tr key={i} style={{ borderBottom: `1px solid ${COLORS.bg}` }}>
+                    <td style={{ padding: "2px 4px" }}>
+                      <input value={site.name} onChange={e => update(sites.map((s, j) => (j === i ? { ...s, name: e.target.value } : s)))}
+                        style={{ ...fieldStyle, width: 110, fontFamily: "'DM Sans', sans-serif" }} />
+                    </td>
+                    {SITE_INPUTS.map(key => (
+                      <td key={key} style={{ padding: "2px 4px" }}>
+                        <SiteCell field={key} value={site[key]} fallback={inputs[key]} onCommit={value => setField(i, key, value)} />
+                      </td>
+                    ))}
+                    <td style={{ padding: "2px 4px", whiteSpace: "nowrap" }}>
+                      <button onClick={() => removeSite(i)} title="Remove site"
+                        style={{ ...buttonStyle, padding: "1px 6px", fontSize: 9, borderColor: COLORS.panelBorder, color: COLORS.textDim }}>×</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {runs.length > 0 && (
+            <table style={{ width: "100%", borderCollapse: "collapse", marginBottom: 10 }}>
+              <thead>
+                <tr style={{ borderBottom: `1px solid ${COLORS.panelBorder}` }}>
+                  {["Site", "Units", "Start", "CAPEX", "Yr 1 EBITDA", "Equity NPV", "Equity IRR", ""].map((h, i) => (
+                    <th key={i} style={{ ...th, textAlign: i === 0 ? "left" : "right" }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map((run, i) => (
+                  <tr key={i} style={{ borderBottom: `1px solid ${COLORS.bg}`, background: siteView === i ? "rgba(34,197,94,0.08)" : "transparent" }}>
+                    <td style={{ ...td, textAlign: "left", fontFamily: "'DM Sans', sans-serif", color: SPIDER_COLORS[i % SPIDER_COLORS.length] }}>{run.name}</td>
+                    <td style={{ ...td, color: COLORS.textMuted }}>{run.results.unit_capex.length}</td>
+                    <td style={{ ...td, color: COLORS.textMuted }}>{run.inputs.Y_start}</td>
+                    <td style={{ ...td, color: COLORS.white }}>{fmt$(run.results.capex_fleet_total)}</td>
+                    <td style={{ ...td, color: COLORS.white }}>{fmt$(run.results.yr1_ebitda)}</td>
+                    <td style={{ ...td, color: run.results.NPV >= 0 ? COLORS.accent : COLORS.red }}>{fmt$(run.results.NPV)}</td>
+                    <td style={{ ...td, color: COLORS.white }}>{run.results.IRR !== null ? fmtPct(run.results.IRR * 100) : "n/a"}</td>
+                    <td style={td}>
+                      <button onClick={() => onView(siteView === i ? null : i)}
+                        style={{ ...buttonStyle, padding: "1px 6px", fontSize: 9 }}>{siteView === i ? "Portfolio" : "View"}</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {chartData && (
+            <ResponsiveContainer width="100%" height={180}>
+              <BarChart data={chartData} margin={{ left: 10, right: 10 }}>
+                <XAxis dataKey="name" tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+                <YAxis tickFormatter={fmt$} tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+                <Tooltip content={customTooltip} />
+                <ReferenceLine y={0} stroke={COLORS.panelBorder} />
+                {runs.map((run, i) => (
+                  <Bar key={i} dataKey={`site${i}`} name={run.name} stackId="s" fill={SPIDER_COLORS[i % SPIDER_COLORS.length]} opacity={0.7} />
+                ))}
+                <Legend wrapperStyle={{ fontSize: 10 }} />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+          <div style={{ fontSize: 9, color: COLORS.textDim }}>
+            Equity cash flow by site and calendar year. Units are numbered across the portfolio in build order, so every site
+            rides the same learning curve. Each site borrows and pays tax on its own; blank cells follow the sliders.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Site Load Profile ───
+const fmtMWh = (kWh) => (kWh == null ? "—" : `${Math.round(kWh / 1000).toLocaleString("en-US")} MWh`);
+
+function LoadProfilePanel({ inputs, results, onChange }) {
+  const [issues, setIssues] = useState([]);
+  const [stream, setStream] = useState("power");
+  const loadRef = useRef(null);
+  const touRef = useRef(null);
+  const { load_profile: load, tou_power: tariff } = inputs;
+  const dispatch = results.load_dispatch;
+
+  const importFile = (e, key) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then(text => {
+      const { profile, tariff: tou, issues: found } = key === "load_profile" ? parseLoadCsv(text) : parseTouCsv(text);
+      const value = profile ?? tou;
+      if (value) onChange(key, value);
+      setIssues(value ? [`Imported ${file.name}.`] : [`Could not import ${file.name}.`, ...found]);
+    });
+  };
+
+  const hourly = stream === "therm" ? load?.therm : load?.power;
+  // The site load is shared between the units, so it is set against the whole fleet's output
+  const units = dispatch?.units ?? 1;
+  const capacity = units * (stream === "therm" ? inputs.P_therm : inputs.P_elec);
+  const curve = useMemo(() => (hourly ? loadDurationCurve(hourly) : null), [hourly]);
+  const stats = load && [
+    { label: "Site power load", value: fmtMWh(dispatch.E_load_power), sub: `peak ${Math.round(Math.max(...load.power))} kW` },
+    { label: "Power used on site", value: fmtPct(results.power_util_eff * 100), sub: `${fmtMWh(results.E_power_sold)} per unit` },
+    { label: "Power exported", value: fmtMWh(results.E_power_exported), sub: `grid still supplies ${fmtMWh(dispatch.E_grid_power)}` },
+    ...(load.therm ? [
+      { label: "Site heat load", value: fmtMWh(dispatch.E_load_therm), sub: `peak ${Math.round(Math.max(...load.therm))} kWth` },
+      { label: "Heat used on site", value: fmtPct(results.therm_util_eff * 100), sub: `${fmtMWh(results.E_therm_sold)} per unit` },
+      { label: "Heat dumped", value: fmtMWh(results.E_therm_dumped), sub: `boiler still supplies ${fmtMWh(dispatch.E_boiler_therm)}` },
+    ] : []),
+  ];
+
+  return (
+    <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase" }}>Site Load Profile</div>
+        <div style={{ display: "flex", gap: 4 }}>
+          <button onClick={() => loadRef.current.click()} style={buttonStyle} title="8760 hourly (or 15-minute) rows of electric kW and, optionally, thermal kWth">
+            {load ? "Replace load" : "Import load CSV"}
+          </button>
+          {load && <button onClick={() => onChange("load_profile", null)} style={buttonStyle}>Clear</button>}
+          <button onClick={() => touRef.current.click()} style={buttonStyle} title="12 (or 24: weekday, then weekend) monthly rows of 24 hourly $/kWh rates">
+            {tariff ? "Replace TOU" : "Import TOU tariff"}
+          </button>
+          {tariff && <button onClick={() => onChange("tou_power", null)} style={buttonStyle}>Clear</button>}
+          <input ref={loadRef} type="file" accept="text/csv,.csv,.txt" onChange={e => importFile(e, "load_profile")} style={{ display: "none" }} />
+          <input ref={touRef} type="file" accept="text/csv,.csv,.txt" onChange={e => importFile(e, "tou_power")} style={{ display: "none" }} />
+        </div>
+      </div>
+      {issues.map((msg, i) => (
+        <div key={i} style={{ fontSize: 10, color: i === 0 ? COLORS.textMuted : COLORS.amber, marginBottom: 2 }}>{msg}</div>
+      ))}
+      {!load && !tariff && (
+        <div style={{ fontSize: 11, color: COLORS.textMuted }}>
+          Import a customer's hourly interval data to dispatch the fleet against the site load, replacing the utilization
+          sliders with the share of output the site can actually take. A time-of-use tariff replaces the flat current power rate.
+        </div>
+      )}
+      {stats && (
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 8, marginBottom: 10 }}>
+          {stats.map(s => (
+            <div key={s.label}>
+              <div style={{ fontSize: 9, color: COLORS.textDim, textTransform: "uppercase" }}>{s.label}</div>
+              <div style={{ fontSize: 14, fontWeight: 600, color: COLORS.white, fontFamily: "'JetBrains Mono', monospace" }}>{s.value}</div>
+              <div style={{ fontSize: 9, color: COLORS.textMuted }}>{s.sub}</div>
+            </div>
+          ))}
+        </div>
+      )}
+      {tariff && dispatch && (
+        <div style={{ fontSize: 10, color: COLORS.textMuted, marginBottom: 8 }}>
+          TOU tariff: displaced power is worth <span style={{ color: COLORS.white }}>${dispatch.C_cust_power.toFixed(3)}/kWh</span> to
+          the customer on average{load ? ", weighted by the hours the site uses it" : ""}.
+        </div>
+      )}
+      {curve && (
+        <>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 4 }}>
+            <div style={{ fontSize: 10, color: COLORS.textDim }}>Load duration — hours of the year at or above each load</div>
+            {load.therm && (
+              <select value={stream} onChange={e => setStream(e.target.value)} style={{ ...fieldStyle, width: 90 }}>
+                <option value="power">Electric</option>
+                <option value="therm">Thermal</option>
+              </select>
+            )}
+          </div>
+          <ResponsiveContainer width="100%" height={180}>
+            <AreaChart data={curve} margin={{ left: 10, right: 10 }}>
+              <XAxis dataKey="pct" type="number" domain={[0, 100]} tickFormatter={v => `${v}%`} tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+              <YAxis tick={{ fill: COLORS.textDim, fontSize: 9 }} unit={stream === "therm" ? " kWth" : " kW"} width={60} />
+              <Tooltip formatter={v => `${Math.round(v)} ${stream === "therm" ? "kWth" : "kW"}`} labelFormatter={v => `${Math.round(v)}% of hours`}
+                contentStyle={{ background: COLORS.panel, border: `1px solid ${COLORS.cardBorder}`, fontSize: 11 }} />
+              <Area dataKey="value" name="Site load" type="stepAfter" stroke={stream === "therm" ? CHART_COLORS.thermal : CHART_COLORS.power}
+                fill={stream === "therm" ? CHART_COLORS.thermal : CHART_COLORS.power} fillOpacity={0.2} />
+              <ReferenceLine y={capacity} stroke={COLORS.white} strokeDasharray="4 3"
+                label={{ value: units > 1 ? `Fleet output (${units} units)` : "Unit output", fill: COLORS.textMuted, fontSize: 9, position: "insideTopRight" }} />
+            </AreaChart>
+          </ResponsiveContainer>
+          <div style={{ fontSize: 9, color: COLORS.textDim }}>
+            Load above the line is met by the grid or boiler; output above the load is exported or dumped.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Feedstock Supply ───
+const SOURCE_COLUMNS = [
+  { key: "Q_tpy", label: "Supply", unit: "wet t/yr" },
+  { key: "moisture", label: "Moisture", unit: "% of wet mass", scale: 100 },
+  { key: "LHV_dry", label: "LHV Dry", unit: "MJ/kg" },
+  { key: "fee", label: "Gate Fee", unit: "$/t: + received, − paid" },
+  { key: "miles", label: "Distance", unit: "miles" },
+  { key: "C_ton_mile", label: "Trucking", unit: "$/ton-mile" },
+];
+const fmtGJ = (v) => `${Math.round(v).toLocaleString("en-US")} GJ`;
+
+// A source value as typed; it is applied once the source list it makes is valid
+function SourceCell({ value, scale = 1, isValid, onCommit }) {
+  const [draft, setDraft] = useState(null);
+  const text = draft ?? String(+(value * scale).toFixed(4));
+  const parsed = draft === null ? null : parseFloat(draft) / scale;
+  const invalid = draft !== null && (isNaN(parsed) || !isValid(parsed));
+  const change = (e) => {
+    const next = parseFloat(e.target.value) / scale;
+    setDraft(e.target.value);
+    if (!isNaN(next) && isValid(next)) onCommit(next);
+  };
+  return (
+    <input value={text} onChange={change} onBlur={() => setDraft(null)}
+      style={{ ...fieldStyle, width: "100%", minWidth: 50, borderColor: invalid ? COLORS.amber : COLORS.panelBorder }} />
+  );
+}
+
+// Where each unit's fuel comes from, and whether the sources can keep the fleet running
+function FeedstockPanel({ inputs, results, onChange }) {
+  const sources = inputs.feedstock_sources;
+  const withField = (i, key, value) => sources.map((source, j) => (j === i ? { ...source, [key]: value } : source));
+  const valid = (next) => validateInput("feedstock_sources", next) === null;
+  const addSource = (name) => {
+    const preset = FEEDSTOCK_PRESETS.find(p => p.name === name);
+    onChange([...(sources || []), { ...preset }]);
+  };
+  const removeSource = (i) => onChange(sources.length > 1 ? sources.filter((_, j) => j !== i) : null);
+
+  const N_fleet = Math.max(1, results.unit_capex.length);
+  const demand = N_fleet * results.fuel_demand_unit;
+  const supply = sources ? sources.map(source => source.Q_tpy * asReceivedLHV(source)) : [];
+  const supply_total = supply.reduce((s, v) => s + v, 0);
+  const sustained = supply_total / results.fuel_demand_unit;
+  const th = { padding: "3px 4px", color: COLORS.textDim, fontWeight: 600, fontSize: 9, textAlign: "right", whiteSpace: "nowrap" };
+  const td = { padding: "2px 4px", fontSize: 10, fontFamily: "'JetBrains Mono', monospace", textAlign: "right", whiteSpace: "nowrap" };
+  const chartData = sources && [
+    { name: "Supply", ...Object.fromEntries(supply.map((v, i) => [`source${i}`, v])) },
+    { name: "Fleet demand", demand },
+  ];
+
+  return (
+    <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase" }}>Feedstock Supply</div>
+        <div style={{ display: "flex", gap: 4 }}>
+          <select value="" onChange={e => addSource(e.target.value)} style={{ ...fieldStyle, width: 110 }}>
+            <option value="">+ Add source</option>
+            {FEEDSTOCK_PRESETS.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+          </select>
+          {sources && <button onClick={() => onChange(null)} style={buttonStyle}>Clear</button>}
+        </div>
+      </div>
+      {!sources ? (
+        <div style={{ fontSize: 11, color: COLORS.textMuted }}>
+          Each unit burns {inputs.F_tpd} t/day of tipped waste, of which {Math.round(inputs.W_tpy).toLocaleString("en-US")} t/yr earns
+          the tipping fee. Add sources to model where the fuel actually comes from: each with its own quantity, moisture,
+          heating value, gate fee and trucking, checked against the {fmtGJ(results.fuel_demand_unit)} a unit burns each year.
+        </div>
+      ) : (
+        <>
+          <div style={{ overflowX: "auto", marginBottom: 10 }}>
+            <table style={{ borderCollapse: "collapse", width: "100%" }}>
+              <thead>
+                <tr style={{ borderBottom: `1px solid ${COLORS.panelBorder}` }}>
+                  <th style={{ ...th, textAlign: "left" }}>Source</th>
+                  {SOURCE_COLUMNS.map(c => <th key={c.key} style={th} title={c.unit}>{c.label}</th>)}
+                  <th style={th} title="As-received heating value">GJ/t</th>
+                  <th style={th} title="Gate fee paid plus trucking, per GJ delivered; negative when the fee received covers it">$/GJ</th>
+                  <th style={th} />
+                </tr>
+              </thead>
+              <tbody>
+                {sources.map((source, i) => {
+                  const lhv = asReceivedLHV(source);
+                  const cost = -source.fee + source.miles * source.C_ton_mile;
+                  return (
+                    <tr key={i} style={{ borderBottom: `1px solid ${COLORS.bg}` }}>
+                      <td style={{ padding: "2px 4px" }}>
+                        <input value={source.name} onChange={e => onChange(withField(i, "name", e.target.value))}
+                          style={{ ...fieldStyle, width: 110, fontFamily: "'DM Sans', sans-serif", color: SPIDER_COLORS[i % SPIDER_COLORS.length] }} />
+                      </td>
+                      {SOURCE_COLUMNS.map(c => (
+                        <td key={c.key} style={{ padding: "2px 4px" }}>
+                          <SourceCell value={source[c.key]} scale={c.scale} isValid={v => valid(withField(i, c.key, v))}
+                            onCommit={v => onChange(withField(i, c.key, v))} />
+                        </td>
+                      ))}
+                      <td style={{ ...td, color: lhv > 0 ? COLORS.textMuted : COLORS.amber }}>{lhv.toFixed(1)}</td>
+                      <td style={{ ...td, color: COLORS.textMuted }}>{lhv > 0 ? `${cost < 0 ? "−" : ""}$${Math.abs(cost / lhv).toFixed(2)}` : "—"}</td>
+                      <td style={{ padding: "2px 4px" }}>
+                        <button onClick={() => removeSource(i)} title="Remove source"
+                          style={{ ...buttonStyle, padding: "1px 6px", fontSize: 9, borderColor: COLORS.panelBorder, color: COLORS.textDim }}>×</button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 8, marginBottom: 10 }}>
+            {[
+              { label: "Fuel demand", value: fmtGJ(demand), sub: `${fmtGJ(results.fuel_demand_unit)} per unit at ${fmtPct(results.avail_eff * 100)} availability` },
+              { label: "Fuel supply", value: fmtGJ(supply_total), sub: `${Math.round(sources.reduce((s, src) => s + src.Q_tpy, 0)).toLocaleString("en-US")} wet t/yr` },
+              { label: "Units sustained", value: sustained.toFixed(1), sub: `of ${N_fleet} — ${fmtPct(Math.min(1, supply_total / demand) * 100)} of demand met`,
+                color: sustained < N_fleet ? COLORS.red : COLORS.accent },
+            ].map(s => (
+              <div key={s.label}>
+                <div style={{ fontSize: 9, color: COLORS.textDim, textTransform: "uppercase" }}>{s.label}</div>
+                <div style={{ fontSize: 14, fontWeight: 600, color: s.color || COLORS.white, fontFamily: "'JetBrains Mono', monospace" }}>{s.value}</div>
+                <div style={{ fontSize: 9, color: COLORS.textMuted }}>{s.sub}</div>
+              </div>
+            ))}
+          </div>
+          <ResponsiveContainer width="100%" height={120}>
+            <BarChart data={chartData} layout="vertical" margin={{ left: 10, right: 10 }}>
+              <XAxis type="number" tickFormatter={v => `${Math.round(v / 1000)}k`} tick={{ fill: COLORS.textDim, fontSize: 9 }} unit=" GJ" />
+              <YAxis type="category" dataKey="name" tick={{ fill: COLORS.textDim, fontSize: 9 }} width={80} />
+              <Tooltip formatter={fmtGJ} contentStyle={{ background: COLORS.panel, border: `1px solid ${COLORS.cardBorder}`, fontSize: 11 }} />
+              {sources.map((source, i) => (
+                <Bar key={i} dataKey={`source${i}`} name={source.name} stackId="f" fill={SPIDER_COLORS[i % SPIDER_COLORS.length]} opacity={0.7} />
+              ))}
+              <Bar dataKey="demand" name="Fleet demand" stackId="f" fill={COLORS.textMuted} opacity={0.5} />
+            </BarChart>
+          </ResponsiveContainer>
+          <div style={{ fontSize: 9, color: COLORS.textDim }}>
+            Fuel demand is heat and power output over the {fmtPct(inputs.eta_chp * 100)} CHP efficiency. Sources are burned in the
+            order listed; fees received earn tipping revenue, purchases and trucking are OPEX, and every ton is processed at the
+            EnexFuel rate. Short of fuel, the units run fewer hours.{inputs.sites.length > 0 && " Every portfolio site draws on these sources."}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Saved Scenarios ───
+function ScenarioManager({ saved, setSaved, activeId, inputs, onLoad }) {
+  const [name, setName] = useState("");
+  const [renaming, setRenaming] = useState(null);
+  const [issues, setIssues] = useState([]);
+  const fileRef = useRef(null);
+  const now = () => new Date().toISOString();
+
+  const save = () => {
+    const s = { id: newScenarioId(), name: name.trim() || `Scenario ${saved.length + 1}`, inputs, updatedAt: now() };
+    setSaved(prev => [...prev, s]);
+    setName("");
+    onLoad(s);
+  };
+  const update = (id) => setSaved(prev => prev.map(s => (s.id === id ? { ...s, inputs, updatedAt: now() } : s)));
+  const duplicate = (s) => setSaved(prev => [...prev, { ...s, id: newScenarioId(), name: `${s.name} (copy)`, updatedAt: now() }]);
+  const remove = (s) => {
+    if (window.confirm(`Delete scenario "${s.name}"?`)) setSaved(prev => prev.filter(x => x.id !== s.id));
+  };
+  const commitRename = () => {
+    const trimmed = renaming.name.trim();
+    if (trimmed) setSaved(prev => prev.map(s => (s.id === renaming.id ? { ...s, name: trimmed, updatedAt: now() } : s)));
+    setRenaming(null);
+  };
+
+  const exportAll = () => {
+    downloadFile(`enexor-biochp-scenarios-${now().slice(0, 10)}.json`, serializeScenarios(saved), "application/json");
+  };
+  const importFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then(text => {
+      const { scenarios, issues: found } = parseScenarioFile(text);
+      setSaved(prev => [...prev, ...scenarios.map(s => ({ ...s, id: newScenarioId() }))]);
+      setIssues([`Imported ${scenarios.length} scenario${scenarios.length === 1 ? "" : "s"} from ${file.name}.`, ...found]);
+    });
+  };
+
+  const iconStyle = { cursor: "pointer", color: COLORS.textDim, fontSize: 11, padding: "0 2px" };
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 4, marginBottom: 8 }}>
+        <input value={name} placeholder="Scenario name (e.g. prospect site)" onChange={e => setName(e.target.value)}
+          onKeyDown={e => e.key === "Enter" && save()} style={{ ...fieldStyle, flex: 1, fontFamily: "inherit" }} />
+        <button onClick={save} style={buttonStyle}>Save</button>
+      </div>
+      {saved.length === 0 && <div style={{ fontSize: 10, color: COLORS.textDim, marginBottom: 8 }}>No saved scenarios yet.</div>}
+      {saved.map(s => (
+        <div key={s.id} style={{ display: "flex", alignItems: "center", gap: 4, padding: "3px 4px", borderRadius: 3, marginBottom: 2,
+          background: s.id === activeId ? "rgba(34,197,94,0.1)" : "transparent" }}>
+          {renaming?.id === s.id ? (
+            <input autoFocus value={renaming.name} onChange={e => setRenaming({ ...renaming, name: e.target.value })}
+              onBlur={commitRename} onKeyDown={e => e.key === "Enter" && commitRename()}
+              style={{ ...fieldStyle, flex: 1, fontFamily: "inherit" }} />
+          ) : (
+            <span onClick={() => onLoad(s)} title={`Updated ${new Date(s.updatedAt).toLocaleString()}`}
+              style={{ flex: 1, fontSize: 11, cursor: "pointer", color: s.id === activeId ? COLORS.accent : COLORS.white,
+                overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{s.name}</span>
+          )}
+          <span title="Overwrite with current inputs" onClick={() => update(s.id)} style={iconStyle}>↻</span>
+          <span title="Rename" onClick={() => setRenaming({ id: s.id, name: s.name })} style={iconStyle}>✎</span>
+          <span title="Duplicate" onClick={() => duplicate(s)} style={iconStyle}>⧉</span>
+          <span title="Delete" onClick={() => remove(s)} style={iconStyle}>✕</span>
+        </div>
+      ))}
+      <div style={{ display: "flex", gap: 4, margin: "8px 0" }}>
+        <button onClick={exportAll} disabled={saved.length === 0} style={{ ...buttonStyle, flex: 1, opacity: saved.length ? 1 : 0.4 }}>Export</button>
+        <button onClick={() => fileRef.current.click()} style={{ ...buttonStyle, flex: 1 }}>Import</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={importFile} style={{ display: "none" }} />
+      </div>
+      {issues.map((msg, i) => (
+        <div key={i} style={{ fontSize: 10, color: i === 0 ? COLORS.textMuted : COLORS.amber, marginBottom: 2 }}>{msg}</div>
+      ))}
+    </div>
+  );
+}
+
+// ─── Scenario Comparison ───
+const COMPARE_COLORS = [COLORS.accent, COLORS.cyan, COLORS.amber, "#a78bfa"];
+
+const COMPARE_METRICS = [
+  { label: "Equity NPV", get: r => r.NPV, fmt: fmt$, delta: d => `${d >= 0 ? "+" : ""}${fmt$(d)}` },
+  { label: "Project NPV", get: r => r.NPV_project, fmt: fmt$, delta: d => `${d >= 0 ? "+" : ""}${fmt$(d)}` },
+  { label: "Equity IRR", get: r => (r.IRR !== null ? r.IRR * 100 : null), fmt: fmtPct, delta: d => `${d >= 0 ? "+" : ""}${d.toFixed(1)} pts` },
+  { label: "Project IRR", get: r => (r.IRR_project !== null ? r.IRR_project * 100 : null), fmt: fmtPct, delta: d => `${d >= 0 ? "+" : ""}${d.toFixed(1)} pts` },
+  { label: "Equity MIRR", get: r => (r.MIRR !== null ? r.MIRR * 100 : null), fmt: fmtPct, delta: d => `${d >= 0 ? "+" : ""}${d.toFixed(1)} pts` },
+  { label: "Payback", get: r => r.payback_disc, fmt: v => (v != null ? `${v} yrs` : "—"), delta: d => `${d >= 0 ? "+" : ""}${d} yrs`, lowerIsBetter: true },
+  { label: "DSCR (min)", get: r => r.DSCR_min, fmt: v => (v != null ? `${v.toFixed(2)}×` : "—"), delta: d => `${d >= 0 ? "+" : ""}${d.toFixed(2)}×` },
+  { label: "Cust. Savings", get: r => r.savings_pct, fmt: fmtPct, delta: d => `${d >= 0 ? "+" : ""}${d.toFixed(1)} pts` },
+  { label: "Savings / yr", get: r => r.savings_annual, fmt: fmt$, delta: d => `${d >= 0 ? "+" : ""}${fmt$(d)}` },
+];
+
+// Presets are layered over the current inputs, exactly as the header buttons apply them
+function comparisonOptions(inputs, saved) {
+  return [
+    ...["conservative", "base", "optimistic"].map(k => ({ id: k, name: k[0].toUpperCase() + k.slice(1), inputs: { ...inputs, ...SCENARIOS[k] } })),
+    { id: "custom", name: "Current (custom)", inputs },
+    ...saved.map(s => ({ id: s.id, name: s.name, inputs: s.inputs })),
+  ];
+}
+
+function ComparisonView({ inputs, saved }) {
+  const [selected, setSelected] = useState(["conservative", "base", "optimistic"]);
+  const options = comparisonOptions(inputs, saved);
+  const chosen = selected.map(id => options.find(o => o.id === id)).filter(Boolean);
+  const runs = chosen.map(o => ({ ...o, results: runFinancialModel(o.inputs) }));
+
+  const toggle = (id) => setSelected(prev => (prev.includes(id)
+    ? prev.filter(x => x !== id)
+    : prev.length < 4 ? [...prev, id] : prev));
+
+  // Overlay cumulative NPV by calendar year
+  const yearSet = [...new Set(runs.flatMap(r => r.results.years.map(yr => yr.year)))].sort((a, b) => a - b);
+  const chartData = yearSet.map(year => Object.fromEntries([
+    ["name", year],
+    ...runs.map((r, i) => [`s${i}`, r.results.years.find(yr => yr.year === year)?.cumNPV ?? null]),
+  ]));
+
+  const differs = (r, k) => JSON.stringify(r.inputs[k]) !== JSON.stringify(runs[0]?.inputs[k]);
+  const diffKeys = Object.keys(DEFAULT_INPUTS).filter(k => runs.some(r => differs(r, k)));
+  const cell = { padding: "4px 6px", textAlign: "right", fontFamily: "'JetBrains Mono', monospace" };
+
+  return (
+    <div>
+      <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+        <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 8 }}>
+          Select 2–4 scenarios
+        </div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
+          {options.map(o => {
+            const idx = selected.indexOf(o.id);
+            const on = idx >= 0;
+            return (
+              <button key={o.id} onClick={() => toggle(o.id)}
+                style={{ padding: "4px 10px", borderRadius: 4, fontSize: 11, cursor: "pointer",
+                  border: `1px solid ${on ? COMPARE_COLORS[idx] : COLORS.panelBorder}`,
+                  background: on ? `${COMPARE_COLORS[idx]}22` : "transparent", color: on ? COLORS.white : COLORS.textMuted }}>
+                {o.name}
+              </button>
+            );
+          })}
+        </div>
+        {runs.length < 2 && <div style={{ fontSize: 11, color: COLORS.amber, marginTop: 8 }}>Pick at least two scenarios to compare.</div>}
+      </div>
+
+      {runs.length >= 2 && (
+        <>
+          <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+            <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 8 }}>
+              Key Metrics — deltas vs {runs[0].name}
+            </div>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
+              <thead>
+                <tr style={{ borderBottom: `1px solid ${COLORS.panelBorder}` }}>
+                  <th />
+                  {runs.map((r, i) => (
+                    <th key={r.id} style={{ ...cell, color: COMPARE_COLORS[i], fontFamily: "inherit", fontWeight: 600 }}>{r.name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {COMPARE_METRICS.map(m => {
+                  const base = m.get(runs[0].results);
+                  return (
+                    <tr key={m.label} style={{ borderBottom: `1px solid ${COLORS.bg}` }}>
+                      <td style={{ padding: "4px 6px", color: COLORS.textMuted }}>{m.label}</td>
+                      {runs.map((r, i) => {
+                        const v = m.get(r.results);
+                        const d = i > 0 && v != null && base != null ? v - base : null;
+                        const better = d !== null && (m.lowerIsBetter ? d < 0 : d > 0);
+                        return (
+                          <td key={r.id} style={cell}>
+                            <div style={{ color: COLORS.white }}>{m.fmt(v)}</div>
+                            {d !== null && Math.abs(d) > 1e-9 && (
+                              <div style={{ fontSize: 9, color: better ? COLORS.accent : COLORS.red }}>{m.delta(d)}</div>
+                            )}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
 
-  // Warnings
-  if (NPV < 0) warnings.push(`Project NPV is negative at ${r_disc}% discount rate.`);
-  if (DSCR_min !== null && DSCR_min < 1.0) warnings.push(`⚠ DSCR falls below 1.0× — loan default risk. Increase equity or reduce debt.`);
-  if (DSCR_min !== null && DSCR_min < 1.25 && DSCR_min >= 1.0) warnings.push(`⚠ DSCR below 1.25× — may not meet lender covenants.`);
+          <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+            <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 8 }}>
+              Cumulative Equity NPV
+            </div>
+            <ResponsiveContainer width="100%" height={240}>
+              <ComposedChart data={chartData} margin={{ left: 10, right: 10 }}>
+                <XAxis dataKey="name" tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+                <YAxis tickFormatter={fmt$} tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+                <Tooltip content={customTooltip} />
+                <ReferenceLine y={0} stroke={COLORS.panelBorder} />
+                {runs.map((r, i) => (
+                  <Line key={r.id} dataKey={`s${i}`} name={r.name} type="monotone" stroke={COMPARE_COLORS[i]}
+                    strokeWidth={2} dot={{ r: 2, fill: COMPARE_COLORS[i] }} connectNulls />
+                ))}
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
 
-  return {
-    hours_yr, E_power_yr, E_therm_yr, F_tpy, CC_net,
-    C_current_total, C_enexor_total, savings_annual, savings_pct,
-    C_current_power, C_current_therm, C_current_waste,
-    C_enexor_power, C_enexor_therm, C_enexor_waste,
-    CAPEX_unit1, capex_fleet_total, unit_capex,
-    loan_amount, annual_debt_service,
-    NPV, IRR, payback_disc, payback_simple, DSCR_min,
-    R_per_unit, R_per_unit_power, R_per_unit_therm, R_per_unit_tip, R_per_unit_carbon,
-    years, warnings,
-    yr1_revenue: yr1.R_total, yr1_opex: yr1.OPEX, yr1_ebitda: yr1.EBITDA,
-  };
+          <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+            <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 8 }}>
+              Input Differences ({diffKeys.length})
+            </div>
+            {diffKeys.length === 0 ? (
+              <div style={{ fontSize: 11, color: COLORS.textMuted }}>All inputs are identical.</div>
+            ) : (
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
+                <tbody>
+                  {diffKeys.map(k => (
+                    <tr key={k} style={{ borderBottom: `1px solid ${COLORS.bg}` }}>
+                      <td style={{ padding: "3px 6px", color: COLORS.textMuted }}>{INPUT_FIELDS[k]?.label || IMPORTED_INPUT_LABELS[k] || LIST_INPUT_LABELS[k] || k}</td>
+                      {runs.map((r, i) => (
+                        <td key={r.id} style={{ ...cell, padding: "3px 6px",
+                          color: i > 0 && differs(r, k) ? COMPARE_COLORS[i] : COLORS.white }}>
+                          {formatInputValue(k, r.inputs[k])}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
 }
 
-// Sensitivity
-function runSensitivity(baseInputs) {
-  const baseNPV = runFinancialModel(baseInputs).NPV;
-  const params = [
-    { key: "R_power", label: "Power Rate" },
-    { key: "R_therm", label: "Thermal Rate" },
-    { key: "R_tipping", label: "Tipping Fee" },
-    { key: "P_carbon", label: "Carbon Price" },
-    { key: "f_avail", label: "Availability" },
-    { key: "C_biochp", label: "BioCHP Cost" },
-    { key: "C_fuel_process", label: "Fuel Process Cost" },
-    { key: "r_disc", label: "Discount Rate" },
-  ];
-  return params.map(p => {
-    const lo = { ...baseInputs, [p.key]: baseInputs[p.key] * 0.8 };
-    const hi = { ...baseInputs, [p.key]: baseInputs[p.key] * 1.2 };
-    const npvLo = runFinancialModel(lo).NPV;
-    const npvHi = runFinancialModel(hi).NPV;
-    return { label: p.label, lo: npvLo - baseNPV, hi: npvHi - baseNPV, range: Math.abs(npvHi - npvLo) };
-  }).sort((a, b) => b.range - a.range);
-}
+// ─── Printable Report ───
+// Light, fixed-width pages so charts render at print size; index.css hides the
+// app shell and breaks pages when printing.
+const REPORT_COLORS = {
+  paper: "#ffffff", ink: "#0f172a", muted: "#475569", faint: "#94a3b8", rule: "#e2e8f0",
+  band: "#f1f5f9", accent: "#16a34a", red: "#dc2626", amber: "#d97706",
+};
 
-// ─── Formatters ───
-const fmt$ = (v) => {
-  if (v == null || isNaN(v)) return "—";
-  const abs = Math.abs(v);
-  const sign = v < 0 ? "-" : "";
-  if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(1)}M`;
-  if (abs >= 1e3) return `${sign}$${(abs / 1e3).toFixed(0)}K`;
-  return `${sign}$${abs.toFixed(0)}`;
+const REPORT_TEMPLATES = {
+  memo: { label: "Investment Memo", title: "Investment Memo", subtitle: "Internal — Confidential" },
+  proposal: { label: "Customer Proposal", title: "Energy-as-a-Service Proposal", subtitle: "Prepared for our customer" },
 };
-const fmtPct = (v) => v != null ? `${v.toFixed(1)}%` : "—";
 
-// ─── UI Components ───
-function SliderInput({ label, value, onChange, min, max, step, unit = "", decimals = 2, prefix = "" }) {
-  const [editing, setEditing] = useState(false);
-  const [editVal, setEditVal] = useState("");
-  const pct = ((value - min) / (max - min)) * 100;
+// The proposal shows only what the customer pays and saves — no CAPEX, OPEX,
+// financing, tax or carbon assumptions.
+const PROPOSAL_INPUT_GROUPS = [
+  { title: "System", keys: ["P_elec", "P_therm", "f_avail", "F_tpd"] },
+  { title: "Enexor Service Rates", keys: ["R_power", "r_power", "R_therm", "r_therm", "R_tipping", "r_tipping", "R_demand"] },
+  { title: "Your Site", keys: ["f_power_util", "f_therm_util", "W_tpy"] },
+  { title: "Your Current Costs", keys: ["C_cust_power", "C_cust_therm", "C_cust_waste", "C_cust_demand"] },
+  { title: "Contract", keys: ["T_project"] },
+];
 
-  const startEdit = () => { setEditing(true); setEditVal(String(value)); };
-  const commitEdit = () => {
-    setEditing(false);
-    const n = parseFloat(editVal);
-    if (!isNaN(n)) onChange(Math.min(max, Math.max(min, n)));
-  };
+const MEMO_INPUT_GROUPS = INPUT_GROUPS.map(g => ({ title: g.title, keys: g.fields.map(f => f.key) }));
+
+const REPORT_CHART_WIDTH = 700;
+const reportTick = { fill: REPORT_COLORS.muted, fontSize: 9 };
 
+function ReportPage({ children, pageLabel }) {
   return (
-    <div style={{ marginBottom: 10 }}>
-      <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 3 }}>
-        <span style={{ fontSize: 11, color: COLORS.textMuted }}>{label}</span>
-        {editing ? (
-          <input autoFocus value={editVal} onChange={e => setEditVal(e.target.value)}
-            onBlur={commitEdit} onKeyDown={e => e.key === "Enter" && commitEdit()}
-            style={{ width: 70, background: COLORS.bg, border: `1px solid ${COLORS.accent}`, borderRadius: 3,
-              color: COLORS.white, textAlign: "right", fontSize: 12, padding: "1px 4px",
-              fontFamily: "'JetBrains Mono', monospace" }} />
-        ) : (
-          <span onClick={startEdit} style={{ fontSize: 12, color: COLORS.white, cursor: "pointer",
-            fontFamily: "'JetBrains Mono', monospace", borderBottom: `1px dashed ${COLORS.textDim}` }}>
-            {prefix}{value.toFixed(decimals)} <span style={{ color: COLORS.textDim, fontSize: 10 }}>{unit}</span>
-          </span>
-        )}
+    <div className="report-page" style={{ width: "8.5in", minHeight: "11in", margin: "0 auto 24px", padding: "0.5in",
+      background: REPORT_COLORS.paper, color: REPORT_COLORS.ink, boxShadow: "0 4px 24px rgba(0,0,0,0.4)",
+      display: "flex", flexDirection: "column" }}>
+      <div style={{ flex: 1 }}>{children}</div>
+      <div style={{ display: "flex", justifyContent: "space-between", borderTop: `1px solid ${REPORT_COLORS.rule}`,
+        paddingTop: 6, marginTop: 16, fontSize: 8, color: REPORT_COLORS.faint }}>
+        <span>Enexor BioEnergy · BioCHP Financial Analysis</span>
+        <span>{pageLabel}</span>
       </div>
-      <input type="range" min={min} max={max} step={step} value={value}
-        onChange={e => onChange(parseFloat(e.target.value))}
-        style={{ width: "100%", height: 4, appearance: "none", background:
-          `linear-gradient(to right, ${COLORS.accent} 0%, ${COLORS.accent} ${pct}%, ${COLORS.panelBorder} ${pct}%, ${COLORS.panelBorder} 100%)`,
-          borderRadius: 2, outline: "none", cursor: "pointer" }} />
     </div>
   );
 }
 
-function MetricCard({ label, value, unit = "", prefix = "", status, decimals, tip }) {
-  const color = status === "ok" ? COLORS.accent : status === "warn" ? COLORS.amber : status === "error" ? COLORS.red : COLORS.white;
-  let display;
-  if (value == null || (typeof value === "number" && (isNaN(value) || !isFinite(value)))) {
-    display = "—";
-  } else if (typeof value === "string") {
-    display = value;
-  } else if (prefix === "$") {
-    display = fmt$(value);
-  } else {
-    const d = decimals !== undefined ? decimals : (Math.abs(value) >= 100 ? 0 : 1);
-    display = `${prefix}${value.toFixed(d)}`;
-  }
+function ReportHeading({ children }) {
   return (
-    <div title={tip} style={{ background: COLORS.card, borderRadius: 6, border: `1px solid ${COLORS.cardBorder}`,
-      padding: "8px 10px", textAlign: "center" }}>
-      <div style={{ fontSize: 9, color: COLORS.textDim, textTransform: "uppercase", letterSpacing: "0.06em", marginBottom: 4 }}>
-        {label} {tip && <span style={{ cursor: "help", opacity: 0.5 }}>ⓘ</span>}
-      </div>
-      <div style={{ fontSize: 20, fontWeight: 700, color, fontFamily: "'JetBrains Mono', monospace" }}>{display}</div>
-      {unit && <div style={{ fontSize: 9, color: COLORS.textDim, marginTop: 2 }}>{unit}</div>}
+    <div style={{ fontSize: 11, fontWeight: 700, letterSpacing: "0.08em", textTransform: "uppercase", color: REPORT_COLORS.accent,
+      borderBottom: `2px solid ${REPORT_COLORS.accent}`, paddingBottom: 4, margin: "18px 0 8px" }}>
+      {children}
     </div>
   );
 }
 
-function Accordion({ title, icon, children, defaultOpen }) {
-  const [open, setOpen] = useState(defaultOpen || false);
+function ReportTable({ columns, rows, fontSize = 10 }) {
   return (
-    <div style={{ marginBottom: 6 }}>
-      <div onClick={() => setOpen(!open)} style={{ display: "flex", justifyContent: "space-between", alignItems: "center",
-        padding: "6px 8px", background: COLORS.card, borderRadius: 4, cursor: "pointer", border: `1px solid ${COLORS.cardBorder}` }}>
-        <span style={{ fontSize: 11, fontWeight: 600, color: COLORS.accent, textTransform: "uppercase", letterSpacing: "0.04em" }}>
-          {icon} {title}
-        </span>
-        <span style={{ color: COLORS.textDim, fontSize: 10 }}>{open ? "▲" : "▼"}</span>
-      </div>
-      {open && <div style={{ padding: "8px 6px 2px" }}>{children}</div>}
-    </div>
+    <table style={{ width: "100%", borderCollapse: "collapse", fontSize }}>
+      <thead>
+        <tr style={{ borderBottom: `1px solid ${REPORT_COLORS.muted}` }}>
+          {columns.map((c, i) => (
+            <th key={i} style={{ textAlign: i === 0 ? "left" : "right", padding: "3px 6px", color: REPORT_COLORS.muted, fontWeight: 600 }}>{c}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, i) => (
+          <tr key={i} style={{ borderBottom: `1px solid ${REPORT_COLORS.rule}`, background: row.total ? REPORT_COLORS.band : "transparent",
+            fontWeight: row.total ? 700 : 400 }}>
+            {row.cells.map((v, j) => (
+              <td key={j} style={{ textAlign: j === 0 ? "left" : "right", padding: "3px 6px",
+                fontFamily: j === 0 ? "inherit" : "'JetBrains Mono', monospace" }}>{v}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
   );
 }
 
-function DiagnosticHint({ text, color = "amber" }) {
-  const bg = color === "red" ? "rgba(239,68,68,0.12)" : "rgba(245,158,11,0.12)";
-  const border = color === "red" ? COLORS.red : COLORS.amber;
-  const textColor = color === "red" ? COLORS.red : COLORS.amber;
+function ReportMetrics({ metrics }) {
   return (
-    <div style={{ background: bg, border: `1px solid ${border}33`, borderRadius: 4, padding: "6px 10px",
-      fontSize: 11, color: textColor, marginBottom: 6 }}>{text}</div>
+    <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 10 }}>
+      {metrics.map(([label, value]) => (
+        <div key={label} style={{ border: `1px solid ${REPORT_COLORS.rule}`, borderRadius: 6, padding: "10px 12px" }}>
+          <div style={{ fontSize: 8, color: REPORT_COLORS.muted, textTransform: "uppercase", letterSpacing: "0.06em" }}>{label}</div>
+          <div style={{ fontSize: 18, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", marginTop: 2 }}>{value}</div>
+        </div>
+      ))}
+    </div>
   );
 }
 
-// ─── Tooltip ───
-const customTooltip = ({ active, payload, label }) => {
-  if (!active || !payload?.length) return null;
+function ReportInputs({ groups, inputs }) {
   return (
-    <div style={{ background: COLORS.panel, border: `1px solid ${COLORS.cardBorder}`, borderRadius: 6, padding: "8px 12px", fontSize: 11 }}>
-      <div style={{ color: COLORS.white, fontWeight: 600, marginBottom: 4 }}>{label}</div>
-      {payload.map((p, i) => (
-        <div key={i} style={{ color: p.color || COLORS.textMuted, display: "flex", justifyContent: "space-between", gap: 16 }}>
-          <span>{p.name}</span>
-          <span style={{ fontFamily: "'JetBrains Mono', monospace" }}>{fmt$(p.value)}</span>
+    <div style={{ columnCount: 2, columnGap: 24 }}>
+      {groups.map(g => (
+        <div key={g.title} style={{ breakInside: "avoid", marginBottom: 10 }}>
+          <div style={{ fontSize: 9, fontWeight: 700, color: REPORT_COLORS.muted, textTransform: "uppercase", marginBottom: 2 }}>{g.title}</div>
+          {g.keys.map(key => (
+            <div key={key} style={{ display: "flex", justifyContent: "space-between", fontSize: 9, padding: "1px 0",
+              borderBottom: `1px dotted ${REPORT_COLORS.rule}` }}>
+              <span>{INPUT_FIELDS[key].label}</span>
+              <span style={{ fontFamily: "'JetBrains Mono', monospace" }}>{formatInputValue(key, inputs[key])}</span>
+            </div>
+          ))}
         </div>
       ))}
     </div>
   );
-};
+}
+
+function ReportSavings({ results }) {
+  const rows = [
+    { label: "Power", current: results.C_current_power, enexor: results.C_enexor_power },
+    { label: "Thermal", current: results.C_current_therm, enexor: results.C_enexor_therm },
+    { label: "Waste", current: results.C_current_waste, enexor: results.C_enexor_waste },
+    ...(results.C_current_demand || results.C_enexor_demand
+      ? [{ label: "Demand", current: results.C_current_demand, enexor: results.C_enexor_demand }] : []),
+    { label: "Total", current: results.C_current_total, enexor: results.C_enexor_total, total: true },
+  ];
+  return (
+    <ReportTable columns={["Per unit, Year 1", "Current Cost", "With Enexor", "Savings"]}
+      rows={rows.map(r => ({ total: r.total, cells: [r.label, fmt$(r.current), fmt$(r.enexor), fmt$(r.current - r.enexor)] }))} />
+  );
+}
+
+function ReportView({ template, inputs, results, sensitivity, sensitivityMetric, scenarioName }) {
+  const t = REPORT_TEMPLATES[template];
+  const isMemo = template === "memo";
+  const yr1 = results.years[1] || results.years[0];
+  const date = new Date().toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" });
+  const payback = (v) => (v !== null ? `${v} yrs` : `> ${inputs.T_project} yrs`);
+
+  const metrics = isMemo ? [
+    ["Equity NPV", fmt$(results.NPV)],
+    ["Equity IRR", results.IRR !== null ? fmtPct(results.IRR * 100) : results.IRR_info.status === "multiple" ? "Multiple" : "n/a"],
+    ["Project NPV", fmt$(results.NPV_project)],
+    ["Project IRR", results.IRR_project !== null ? fmtPct(results.IRR_project * 100) : results.IRR_project_info.status === "multiple" ? "Multiple" : "n/a"],
+    ["Min DSCR", results.DSCR_min !== null ? `${results.DSCR_min.toFixed(2)}×` : "n/a"],
+    ["Disc. Payback", payback(results.payback_disc)],
+    ["Fleet CAPEX", fmt$(results.capex_fleet_total)],
+    ["Equity MIRR", results.MIRR !== null ? fmtPct(results.MIRR * 100) : "n/a"],
+  ] : [
+    ["Annual Savings", fmt$(results.savings_annual)],
+    ["Savings", fmtPct(results.savings_pct)],
+    ["Contract Term", `${inputs.T_project} yrs`],
+    ["Units", String(inputs.N_units)],
+    ["Electrical Output", `${inputs.P_elec} kW`],
+    ["Thermal Output", `${inputs.P_therm} kWth`],
+    ["Waste Diverted", `${Math.round(Math.min(inputs.F_tpd * 365 * inputs.f_avail, inputs.W_tpy)).toLocaleString()} t/yr`],
+    ["Availability", fmtPct(inputs.f_avail * 100)],
+  ];
+
+  const revenueData = REVENUE_STREAMS
+    .map(stream => ({ name: stream.name, value: yr1?.[stream.key] || 0, fill: stream.color }))
+    .filter(d => d.value > 0);
+  const cashFlowData = results.years.map(yr => ({
+    name: yr.year, Revenue: yr.R_total, OPEX: -yr.OPEX, CAPEX: -lifecycleCapex(yr), Debt: -yr.DS,
+    Tax: yr.tax > 0 ? -yr.tax : 0, CumNPV: yr.cumNPV,
+  }));
+  const fleetData = results.unit_capex.map((c, i) => ({ unit: `#${i + 1}`, cost: c }));
+  const savingsData = [
+    { name: "Power", Current: results.C_current_power, Enexor: results.C_enexor_power },
+    { name: "Thermal", Current: results.C_current_therm, Enexor: results.C_enexor_therm },
+    { name: "Waste", Current: results.C_current_waste, Enexor: results.C_enexor_waste },
+    ...(results.C_current_demand || results.C_enexor_demand
+      ? [{ name: "Demand", Current: results.C_current_demand, Enexor: results.C_enexor_demand }] : []),
+  ];
+
+  const pages = [];
+  const pageCount = isMemo ? 4 : 2;
+  const label = (n) => `${t.label} · Page ${n} of ${pageCount}`;
+
+  pages.push(
+    <ReportPage key="cover" pageLabel={label(1)}>
+      <div style={{ display: "flex", alignItems: "center", gap: 12, marginTop: "1.2in" }}>
+        <EnexorLogo size={56} color={REPORT_COLORS.ink} />
+        <div>
+          <div style={{ fontSize: 12, fontWeight: 700, letterSpacing: "0.12em", color: REPORT_COLORS.muted }}>ENEXOR BIOENERGY</div>
+          <div style={{ fontSize: 30, fontWeight: 700 }}>{t.title}</div>
+        </div>
+      </div>
+      <div style={{ marginTop: 12, fontSize: 13, color: REPORT_COLORS.muted }}>
+        BioCHP {isMemo ? "fleet" : "energy service"} · {scenarioName || `${inputs.N_units} unit${inputs.N_units === 1 ? "" : "s"}`} · {date}
+      </div>
+      <div style={{ fontSize: 10, color: isMemo ? REPORT_COLORS.red : REPORT_COLORS.muted, marginTop: 4, textTransform: "uppercase", letterSpacing: "0.08em" }}>
+        {t.subtitle}
+      </div>
+      <div style={{ marginTop: "0.8in" }}>
+        <ReportHeading>{isMemo ? "Headline Returns" : "Your Savings at a Glance"}</ReportHeading>
+        <ReportMetrics metrics={metrics} />
+      </div>
+      {!isMemo && (
+        <p style={{ fontSize: 11, lineHeight: 1.6, marginTop: 20, color: REPORT_COLORS.muted }}>
+          Enexor installs, owns and operates the BioCHP system on your site and sells you power and heat
+          at the service rates below, while processing your organic waste. You pay nothing up front; the
+          savings shown compare your current utility and disposal costs with the Enexor service in the first year.
+        </p>
+      )}
+    </ReportPage>
+  );
+
+  pages.push(
+    <ReportPage key="inputs" pageLabel={label(2)}>
+      <ReportHeading>{isMemo ? "Model Inputs" : "Proposal Basis"}</ReportHeading>
+      <ReportInputs groups={isMemo ? MEMO_INPUT_GROUPS : PROPOSAL_INPUT_GROUPS} inputs={inputs} />
+      <ReportHeading>Customer Savings</ReportHeading>
+      <ReportSavings results={results} />
+      {!isMemo && (
+        <>
+          <ReportHeading>Annual Cost Comparison (per unit, Year 1)</ReportHeading>
+          <BarChart width={REPORT_CHART_WIDTH} height={200} data={savingsData} margin={{ left: 10, right: 10 }}>
+            <XAxis dataKey="name" tick={reportTick} />
+            <YAxis tickFormatter={fmt$} tick={reportTick} />
+            <Bar dataKey="Current" fill={REPORT_COLORS.faint} isAnimationActive={false} />
+            <Bar dataKey="Enexor" fill={REPORT_COLORS.accent} isAnimationActive={false} />
+          </BarChart>
+          <div style={{ fontSize: 8, color: REPORT_COLORS.faint, marginTop: 4 }}>
+            Illustrative; actual savings depend on metered usage. Service rates escalate as listed above.
+          </div>
+        </>
+      )}
+    </ReportPage>
+  );
+
+  if (isMemo) {
+    pages.push(
+      <ReportPage key="charts" pageLabel={label(3)}>
+        <ReportHeading>Revenue Breakdown — Year 1 ({fmt$(yr1?.R_total || 0)} total)</ReportHeading>
+        <BarChart width={REPORT_CHART_WIDTH} height={30 + revenueData.length * 20} data={revenueData} layout="vertical" margin={{ left: 10, right: 20 }}>
+          <XAxis type="number" tickFormatter={fmt$} tick={reportTick} />
+          <YAxis type="category" dataKey="name" tick={reportTick} width={60} />
+          <Bar dataKey="value" isAnimationActive={false}>
+            {revenueData.map((d, i) => <Cell key={i} fill={d.fill} />)}
+          </Bar>
+        </BarChart>
+        <ReportHeading>Cash Flow & Cumulative Equity NPV</ReportHeading>
+        <ComposedChart width={REPORT_CHART_WIDTH} height={200} data={cashFlowData} margin={{ left: 10, right: 10 }}>
+          <XAxis dataKey="name" tick={reportTick} />
+          <YAxis yAxisId="left" tickFormatter={fmt$} tick={reportTick} />
+          <YAxis yAxisId="right" orientation="right" tickFormatter={fmt$} tick={reportTick} />
+          <ReferenceLine yAxisId="left" y={0} stroke={REPORT_COLORS.faint} />
+          <Bar yAxisId="left" dataKey="Revenue" fill={CHART_COLORS.revenue} stackId="a" isAnimationActive={false} />
+          <Bar yAxisId="left" dataKey="OPEX" fill={CHART_COLORS.opex} stackId="a" isAnimationActive={false} />
+          <Bar yAxisId="left" dataKey="CAPEX" fill={CHART_COLORS.capex} stackId="a" isAnimationActive={false} />
+          <Bar yAxisId="left" dataKey="Debt" fill={CHART_COLORS.debt} stackId="a" isAnimationActive={false} />
+          <Bar yAxisId="left" dataKey="Tax" fill={CHART_COLORS.tax} stackId="a" isAnimationActive={false} />
+          <Line yAxisId="right" dataKey="CumNPV" stroke={REPORT_COLORS.ink} strokeWidth={2} dot={{ r: 2 }} isAnimationActive={false} />
+        </ComposedChart>
+        <ReportHeading>Sensitivity — {SENSITIVITY_METRICS[sensitivityMetric].label} Impact</ReportHeading>
+        <BarChart width={REPORT_CHART_WIDTH} height={Math.max(120, 20 * sensitivity.length + 30)} data={sensitivity} layout="vertical" margin={{ left: 10, right: 20 }}>
+          <XAxis type="number" tickFormatter={d => fmtMetricDelta(sensitivityMetric, d)} tick={reportTick} />
+          <YAxis type="category" dataKey="label" tick={reportTick} width={100} />
+          <ReferenceLine x={0} stroke={REPORT_COLORS.faint} />
+          <Bar dataKey="lo" fill={REPORT_COLORS.red} isAnimationActive={false} />
+          <Bar dataKey="hi" fill={REPORT_COLORS.accent} isAnimationActive={false} />
+        </BarChart>
+        {inputs.N_units > 1 && (
+          <>
+            <ReportHeading>Fleet CAPEX — Learning Curve ({(inputs.LR * 100).toFixed(0)}% rate)</ReportHeading>
+            <BarChart width={REPORT_CHART_WIDTH} height={130} data={fleetData} margin={{ left: 10, right: 10 }}>
+              <XAxis dataKey="unit" tick={reportTick} />
+              <YAxis tickFormatter={fmt$} tick={reportTick} />
+              <Bar dataKey="cost" fill={REPORT_COLORS.accent} isAnimationActive={false} />
+            </BarChart>
+          </>
+        )}
+      </ReportPage>
+    );
+
+    pages.push(
+      <ReportPage key="table" pageLabel={label(4)}>
+        <ReportHeading>Cash Flow Table</ReportHeading>
+        <ReportTable fontSize={8}
+          columns={["Year", "Units", "Revenue", "OPEX", "EBITDA", "CAPEX", "Debt Svc", "Tax", "Equity CF", "Cum. NPV"]}
+          rows={results.years.map(yr => ({ cells: [yr.year, yr.N_deployed, fmt$(yr.R_total), fmt$(yr.OPEX), fmt$(yr.EBITDA),
+            fmt$(yr.capex_year), fmt$(yr.DS), fmt$(yr.tax), fmt$(yr.CF), fmt$(yr.cumNPV)] }))} />
+        <ReportHeading>Warnings</ReportHeading>
+        {results.warnings.length === 0 ? (
+          <div style={{ fontSize: 10, color: REPORT_COLORS.muted }}>No warnings for this scenario.</div>
+        ) : (
+          <ul style={{ fontSize: 10, lineHeight: 1.5, paddingLeft: 16 }}>
+            {results.warnings.map((w, i) => <li key={i} style={{ color: w.includes("negative") ? REPORT_COLORS.red : REPORT_COLORS.amber }}>{w}</li>)}
+          </ul>
+        )}
+      </ReportPage>
+    );
+  }
+
+  return <>{pages}</>;
+}
+
+function ReportOverlay({ template, setTemplate, onClose, ...data }) {
+  return (
+    <div className="report-root" style={{ position: "fixed", inset: 0, zIndex: 100, overflowY: "auto", background: "rgba(11,17,33,0.96)" }}>
+      <div className="report-toolbar" style={{ position: "sticky", top: 0, display: "flex", alignItems: "center", justifyContent: "center", gap: 6,
+        padding: "10px 20px", marginBottom: 16, background: COLORS.panel, borderBottom: `1px solid ${COLORS.panelBorder}` }}>
+        {Object.entries(REPORT_TEMPLATES).map(([key, t]) => (
+          <button key={key} onClick={() => setTemplate(key)}
+            style={{ ...buttonStyle, background: template === key ? COLORS.accent : "transparent", color: template === key ? COLORS.bg : COLORS.accent }}>
+            {t.label}
+          </button>
+        ))}
+        <span style={{ width: 16 }} />
+        <button onClick={() => window.print()} style={buttonStyle} title="Print, or choose “Save as PDF” as the destination">Print / PDF</button>
+        <button onClick={onClose} style={{ ...buttonStyle, borderColor: COLORS.panelBorder, color: COLORS.textMuted }}>Close</button>
+      </div>
+      <ReportView template={template} {...data} />
+    </div>
+  );
+}
 
 // ─── Main App ───
 export default function BioCHPFinancialApp() {
-  const [scenario, setScenario] = useState("base");
-  const [inputs, setInputs] = useState({
-    P_elec: 225, P_therm: 400, f_avail: 0.92, F_tpd: 5, N_units: 3,
-    R_power: 0.10, f_power_util: 1.0, r_power: 3.0,
-    R_therm: 0.027, f_therm_util: 1.0, r_therm: 3.0,
-    R_tipping: 80, W_tpy: 3000, r_tipping: 3.0,
-    CC_methane: 1200, CC_fuel: 1100, CC_emissions: 500, P_carbon: 20, r_carbon: 3.0,
-    C_cust_power: 0.143, C_cust_therm: 0.034, C_cust_waste: 100,
-    C_biochp: 660000, C_enexfuel: 45000, C_install: 25000, C_site: 12500,
-    R_maint: 0.025, C_fuel_process: 70, C_insurance: 2000, C_acct_mgmt: 2920,
-    r_maint: 3.0, r_fuel: 3.0,
-    f_equity: 0.50, r_debt: 6.0, T_loan: 5, f_loan_fees: 2.0,
-    r_disc: 7.0, T_project: 10, Y_start: 2026, LR: 0.90, units_per_year: 2,
-  });
+  const [scenario, setScenario] = useState(() => readUrlState()?.scenario ?? "base");
+  const [inputs, setInputs] = useState(() => readUrlState()?.inputs ?? DEFAULT_INPUTS);
+  const [sharedName, setSharedName] = useState(() => readUrlState()?.name ?? null);
+  const [saved, setSaved] = useState(loadSavedScenarios);
+  const [view, setView] = useState("model");
+  const [copied, setCopied] = useState(false);
+  const [report, setReport] = useState(null); // null | "memo" | "proposal"
+
+  useEffect(() => {
+    persistScenarios(saved);
+  }, [saved]);
 
   const applyScenario = (key) => {
     setScenario(key);
+    setSharedName(null);
     if (SCENARIOS[key]) setInputs(prev => ({ ...prev, ...SCENARIOS[key] }));
   };
 
+  const loadSaved = (s) => {
+    setScenario(s.id);
+    setSharedName(null);
+    setInputs(s.inputs);
+  };
+  const activeSaved = saved.find(s => s.id === scenario);
+  const scenarioName = activeSaved?.name || sharedName;
+
   const set = (key) => (val) => {
     setScenario("custom");
+    setSharedName(null);
     setInputs(prev => ({ ...prev, [key]: val }));
   };
+  const importedKeys = importedInputKeys(inputs);
+  const siteKeys = siteOverriddenKeys(inputs);
+
+  // Mirror the model into the URL hash. replaceState keeps slider drags out of
+  // the browser history; the debounce keeps it off the drag's hot path.
+  const urlHash = encodeUrlState(inputs, SCENARIOS[scenario] ? scenario : "custom", scenarioName);
+  useEffect(() => {
+    const t = setTimeout(() => {
+      if (window.location.hash.slice(1) !== urlHash) window.history.replaceState(null, "", `#${urlHash}`);
+    }, 300);
+    return () => clearTimeout(t);
+  }, [urlHash]);
+
+  // A pasted link in an open tab only changes the hash
+  useEffect(() => {
+    const onHashChange = () => {
+      const state = decodeUrlState(window.location.hash);
+      if (!state) return;
+      setInputs(state.inputs);
+      setScenario(state.scenario);
+      setSharedName(state.name);
+    };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  const copyLink = () => {
+    const url = `${window.location.origin}${window.location.pathname}#${urlHash}`;
+    navigator.clipboard?.writeText(url).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    });
+  };
 
-  const results = useMemo(() => runFinancialModel(inputs), [inputs]);
-  const sensitivity = useMemo(() => runSensitivity(inputs), [inputs]);
+  // The first render computes in place so the page never opens empty
+  const { result: modelResults } = useEngineJob("model", { inputs }, { initial: () => runFinancialModel(inputs) });
+
+  // Portfolio drill-down: the dashboard shows the roll-up or one site's sub-model.
+  // The fleet is whatever the deployment schedule builds, and the roll-up spans
+  // every site's term.
+  const [siteView, setSiteView] = useState(null);
+  const site = modelResults.sites?.[siteView] ?? null;
+  const results = site ? site.results : modelResults;
+  const viewInputs = {
+    ...(site ? site.inputs : inputs), N_units: results.unit_capex.length,
+    ...(!site && modelResults.sites && { T_project: results.years.length - 1, Y_start: results.years[0].year }),
+  };
+  const [sensConfig, setSensConfig] = useState({ metric: "NPV", params: DEFAULT_SENSITIVITY_PARAMS, chart: "tornado", steps: 7 });
+  const { metric: sensMetric, params: sensParams } = sensConfig;
+  const { result: sensitivity, pending: sensPending } = useEngineJob("sensitivity", { inputs, params: sensParams, metric: sensMetric },
+    { debounce: 150, initial: () => runSensitivity(inputs, { metric: sensMetric, params: sensParams }) });
 
   const yr1 = results.years[1] || results.years[0];
 
+  const exportName = `enexor-biochp-${(scenarioName || scenario).replace(/[^a-z0-9]+/gi, "-").toLowerCase()}`;
+  const [exporting, setExporting] = useState(false);
+  const downloadXlsx = async () => {
+    setExporting(true);
+    try {
+      await exportXlsx({ inputs: viewInputs, results, sensitivity, sensitivityMetric: sensMetric }, exportName);
+    } finally {
+      setExporting(false);
+    }
+  };
+
   // Chart data
-  const revenueData = [
-    { name: "Power", value: yr1?.R_pwr || 0, fill: CHART_COLORS.power },
-    { name: "Thermal", value: yr1?.R_thrm || 0, fill: CHART_COLORS.thermal },
-    { name: "Tipping", value: yr1?.R_tip || 0, fill: CHART_COLORS.tipping },
-    { name: "Carbon", value: yr1?.R_crb || 0, fill: CHART_COLORS.carbon },
-  ].filter(d => d.value > 0);
+  const revenueData = REVENUE_STREAMS
+    .map(stream => ({ name: stream.name, value: yr1?.[stream.key] || 0, fill: stream.color }))
+    .filter(d => d.value > 0);
 
   const cashFlowData = results.years.map(yr => ({
     name: yr.year, Revenue: yr.R_total, OPEX: -yr.OPEX,
-    CAPEX: yr.capex_year > 0 ? -yr.capex_year : 0,
+    CAPEX: -lifecycleCapex(yr),
     Debt: yr.DS > 0 ? -yr.DS : 0,
+    Tax: yr.tax > 0 ? -yr.tax : 0,
+    Credits: yr.credit_sale,
     CumNPV: yr.cumNPV,
+    ProjectNPV: yr.cumNPV_project,
   }));
 
   const fleetData = results.unit_capex.map((c, i) => ({ unit: `#${i + 1}`, cost: c }));
 
   return (
-    <div style={{ background: COLORS.bg, minHeight: "100vh", color: COLORS.white, fontFamily: "'DM Sans', sans-serif" }}>
+    <>
+    <div className="app-shell" style={{ background: COLORS.bg, minHeight: "100vh", color: COLORS.white, fontFamily: "'DM Sans', sans-serif" }}>
 
       {/* Header */}
       <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between",
         padding: "10px 20px", borderBottom: `1px solid ${COLORS.panelBorder}`, background: COLORS.panel }}>
         <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
-          <svg width={32} height={32} viewBox="0 0 600 600" fill="none">
-            <path d="M21.6,63.5h100.4c21.4,0,41.9,9,56.4,24.8l179.1,200.7-139.5,152.2c-14.5,15.8-35,24.9-56.5,24.9H60.2s162.8-177,162.8-177L21.6,63.5Z" fill="#fff"/>
-            <path d="M375.2,269.6l145.1-158.3h-100.4c-21.4,0-41.9,9-56.4,24.8l-55,59.8,66.8,73.7Z" fill="#fff"/>
-            <path d="M374.5,309.9l-67.7,73.9,113.7,127.9c14.5,15.8,35,24.9,56.5,24.9h101.4l-203.8-226.6Z" fill="#fff"/>
-          </svg>
+          <EnexorLogo />
           <div>
             <div style={{ fontSize: 16, fontWeight: 700 }}>BioCHP Financial Analysis</div>
             <div style={{ fontSize: 10, color: COLORS.textDim }}>ENEXOR BIOENERGY · MCS v1.0 · ENERGY-AS-A-SERVICE</div>
           </div>
         </div>
-        <div style={{ display: "flex", gap: 4 }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 4 }}>
+          {scenarioName && (
+            <span style={{ fontSize: 11, color: COLORS.accent, marginRight: 8 }}>● {scenarioName}</span>
+          )}
+          <button onClick={copyLink} title="Copy a link that restores this exact model"
+            style={{ ...buttonStyle, marginRight: 8, color: copied ? COLORS.bg : COLORS.accent, background: copied ? COLORS.accent : "transparent" }}>
+            {copied ? "Copied" : "Share Link"}
+          </button>
+          <button onClick={() => setReport("memo")} title="Printable investment memo or customer proposal"
+            style={{ ...buttonStyle, marginRight: 8 }}>
+            Report
+          </button>
           {["conservative", "base", "optimistic", "custom"].map(s => (
             <button key={s} onClick={() => applyScenario(s)}
               style={{ padding: "5px 14px", borderRadius: 4, border: `1px solid ${scenario === s ? COLORS.accent : COLORS.panelBorder}`,
@@ -418,173 +2612,178 @@ export default function BioCHPFinancialApp() {
         <div style={{ width: 320, minWidth: 320, overflowY: "auto", maxHeight: "calc(100vh - 56px)",
           borderRight: `1px solid ${COLORS.panelBorder}`, padding: "12px 10px", background: COLORS.panel }}>
 
-          <Accordion title="System Performance" icon="⚡" defaultOpen={true}>
-            <SliderInput label="Electrical Output" value={inputs.P_elec} onChange={set("P_elec")} min={50} max={500} step={25} unit="kW" decimals={0} />
-            <SliderInput label="Thermal Output" value={inputs.P_therm} onChange={set("P_therm")} min={100} max={1000} step={25} unit="kWth" decimals={0} />
-            <SliderInput label="Availability" value={inputs.f_avail} onChange={set("f_avail")} min={0.70} max={0.99} step={0.01} unit="" decimals={2} />
-            <SliderInput label="Feedstock Required" value={inputs.F_tpd} onChange={set("F_tpd")} min={1} max={20} step={0.5} unit="t/day" decimals={1} />
+          <Accordion title="Saved Scenarios" icon="☰">
+            <ScenarioManager saved={saved} setSaved={setSaved} activeId={scenario} inputs={inputs} onLoad={loadSaved} />
           </Accordion>
 
-          <Accordion title="Power Revenue" icon="⊕">
-            <SliderInput label="Power Rate" value={inputs.R_power} onChange={set("R_power")} min={0.04} max={0.25} step={0.005} unit="$/kWh" decimals={3} prefix="$" />
-            <SliderInput label="Power Utilization" value={inputs.f_power_util} onChange={set("f_power_util")} min={0} max={1} step={0.05} unit="" decimals={2} />
-            <SliderInput label="Power Escalation" value={inputs.r_power} onChange={set("r_power")} min={0} max={8} step={0.5} unit="%/yr" decimals={1} />
-          </Accordion>
+          {INPUT_GROUPS.map(g => (
+            <Accordion key={g.title} title={g.title} icon={g.icon} defaultOpen={g.defaultOpen}>
+              {g.fields.map(({ key, type, ...f }) => {
+                const unused = (inputs.time_step === "monthly" ? ANNUAL_ONLY_INPUTS : MONTHLY_ONLY_INPUTS).includes(key);
+                const imported = importedKeys.includes(key);
+                const perSite = siteKeys.includes(key);
+                const replacedBy = Object.keys(REPLACED_INPUTS).find(k => inputs[k] && REPLACED_INPUTS[k].includes(key));
+                const listOnly = key in LIST_ONLY_INPUTS && !inputs[LIST_ONLY_INPUTS[key]];
+                return (
+                  <div key={key} style={{ opacity: unused || imported || perSite || replacedBy || listOnly ? 0.4 : 1 }}
+                    title={perSite ? "Set by every portfolio site" : replacedBy ? `Set by the ${LIST_INPUT_LABELS[replacedBy].toLowerCase()}`
+                      : listOnly ? `Used with ${LIST_INPUT_LABELS[LIST_ONLY_INPUTS[key]].toLowerCase()}`
+                      : imported ? "Set by the imported load profile or tariff"
+                      : unused ? `Not used with the ${inputs.time_step} time step` : undefined}>
+                    {type === "select" ? <SelectInput {...f} value={inputs[key]} onChange={set(key)} />
+                      : type === "toggle" ? <ToggleInput {...f} value={inputs[key]} onChange={set(key)} />
+                        : type === "monthly" ? <MonthlyInput {...f} value={inputs[key]} onChange={set(key)} />
+                          : <SliderInput {...f} value={inputs[key]} onChange={set(key)} />}
+                  </div>
+                );
+              })}
+            </Accordion>
+          ))}
+        </div>
 
-          <Accordion title="Thermal Revenue" icon="◎">
-            <SliderInput label="Thermal Rate" value={inputs.R_therm} onChange={set("R_therm")} min={0.01} max={0.10} step={0.001} unit="$/kWh" decimals={3} prefix="$" />
-            <SliderInput label="Thermal Utilization" value={inputs.f_therm_util} onChange={set("f_therm_util")} min={0} max={1} step={0.05} unit="" decimals={2} />
-            <SliderInput label="Thermal Escalation" value={inputs.r_therm} onChange={set("r_therm")} min={0} max={8} step={0.5} unit="%/yr" decimals={1} />
-          </Accordion>
+        {/* CENTER: Charts & Metrics */}
+        <div style={{ flex: 1, overflowY: "auto", maxHeight: "calc(100vh - 56px)", padding: "16px 20px" }}>
 
-          <Accordion title="Waste Processing" icon="♻">
-            <SliderInput label="Tipping Fee" value={inputs.R_tipping} onChange={set("R_tipping")} min={0} max={200} step={5} unit="$/ton" decimals={0} prefix="$" />
-            <SliderInput label="Waste Available" value={inputs.W_tpy} onChange={set("W_tpy")} min={0} max={10000} step={100} unit="t/yr" decimals={0} />
-            <SliderInput label="Tipping Escalation" value={inputs.r_tipping} onChange={set("r_tipping")} min={0} max={8} step={0.5} unit="%/yr" decimals={1} />
-          </Accordion>
+          {/* View Tabs */}
+          <div style={{ display: "flex", gap: 4, marginBottom: 12 }}>
+            {[["model", "Model"], ["compare", "Compare Scenarios"]].map(([key, label]) => (
+              <button key={key} onClick={() => setView(key)}
+                style={{ ...buttonStyle, border: `1px solid ${view === key ? COLORS.accent : COLORS.panelBorder}`,
+                  color: view === key ? COLORS.accent : COLORS.textMuted }}>
+                {label}
+              </button>
+            ))}
+            {view === "model" && modelResults.sites && (
+              <select value={siteView ?? ""} onChange={e => setSiteView(e.target.value === "" ? null : Number(e.target.value))}
+                style={{ ...fieldStyle, marginLeft: "auto", width: 160 }} title="Show the portfolio roll-up or one site's sub-model">
+                <option value="">Portfolio ({modelResults.sites.length} sites)</option>
+                {modelResults.sites.map((run, i) => <option key={i} value={i}>{run.name}</option>)}
+              </select>
+            )}
+          </div>
 
-          <Accordion title="Carbon Credits" icon="◆">
-            <SliderInput label="Methane Offsets" value={inputs.CC_methane} onChange={set("CC_methane")} min={0} max={5000} step={100} unit="MTCO₂e/yr" decimals={0} />
-            <SliderInput label="Fuel Offsets" value={inputs.CC_fuel} onChange={set("CC_fuel")} min={0} max={5000} step={100} unit="MTCO₂e/yr" decimals={0} />
-            <SliderInput label="Project Emissions" value={inputs.CC_emissions} onChange={set("CC_emissions")} min={0} max={3000} step={50} unit="MTCO₂e/yr" decimals={0} />
-            <SliderInput label="Carbon Price" value={inputs.P_carbon} onChange={set("P_carbon")} min={0} max={100} step={1} unit="$/ton" decimals={0} prefix="$" />
-            <SliderInput label="Carbon Escalation" value={inputs.r_carbon} onChange={set("r_carbon")} min={0} max={8} step={0.5} unit="%/yr" decimals={1} />
-          </Accordion>
+          {view === "compare" ? (
+            <ComparisonView inputs={inputs} saved={saved} />
+          ) : (
+            <>
+              {/* Metric Cards */}
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 8, marginBottom: 16 }}>
+                <MetricCard label="Equity NPV" value={results.NPV} prefix="$"
+                  status={results.NPV > 0 ? "ok" : "error"}
+                  tip={`After-tax levered NPV — equity share of CAPEX, debt service and taxes, discounted. Positive = equity earns above hurdle rate. Pre-tax: ${fmt$(results.NPV_pretax)}.`} />
+                <MetricCard label="Project NPV" value={results.NPV_project} prefix="$"
+                  status={results.NPV_project > 0 ? "ok" : "error"}
+                  tip="After-tax unlevered NPV — full CAPEX, no financing. Positive = the assets create value on their own." />
+                <MetricCard label="Equity IRR" {...irrCard(results.IRR_info, results.MIRR, inputs.r_disc)}
+                  tip={`After-tax levered Internal Rate of Return — annualized equity return. Green when above discount rate. "Multiple" or "None" when the cash flows do not define a single IRR. MIRR finances outflows at ${inputs.r_mirr_finance}% and reinvests inflows at ${inputs.r_mirr_reinvest}%.`} />
+                <MetricCard label="Project IRR" {...irrCard(results.IRR_project_info, results.MIRR_project, inputs.r_disc)}
+                  tip={`After-tax unlevered Internal Rate of Return on the full CAPEX. Green when above discount rate. MIRR finances outflows at ${inputs.r_mirr_finance}% and reinvests inflows at ${inputs.r_mirr_reinvest}%.`} />
+                <MetricCard label="Payback" value={results.payback_disc || "> " + viewInputs.T_project} unit={results.payback_disc ? "yrs" : ""}
+                  status={results.payback_disc ? (results.payback_disc < 4 ? "ok" : results.payback_disc < 7 ? "warn" : "error") : "error"}
+                  tip="Discounted Payback — years until cumulative after-tax discounted equity cash flow turns positive." />
+                <MetricCard label="Rev/Unit" value={results.R_per_unit} prefix="$" unit="/yr"
+                  tip={`Year 1 total revenue per active BioCHP unit across all its streams: ${REVENUE_STREAMS.map(r => r.name.toLowerCase()).join(", ")}.`} />
+                <MetricCard label="DSCR" value={results.DSCR_min} unit="×" decimals={2}
+                  status={results.DSCR_min !== null ? (results.DSCR_min >= 1.25 ? "ok" : results.DSCR_min >= 1.0 ? "warn" : "error") : undefined}
+                  tip="Minimum Debt Service Coverage Ratio — CFADS (EBITDA less overhauls and reserve funding) ÷ annual debt service. Lenders require ≥ 1.25×." />
+                <MetricCard label="Cust. Savings" value={results.savings_pct} unit="%" decimals={1}
+                  status={results.savings_pct > 15 ? "ok" : results.savings_pct > 0 ? "warn" : "error"}
+                  tip="Customer cost reduction vs current power + thermal + waste disposal + demand charges." />
+              </div>
 
-          <Accordion title="Customer Current Costs" icon="⇄">
-            <SliderInput label="Current Power Rate" value={inputs.C_cust_power} onChange={set("C_cust_power")} min={0.05} max={0.40} step={0.005} unit="$/kWh" decimals={3} prefix="$" />
-            <SliderInput label="Current Thermal Rate" value={inputs.C_cust_therm} onChange={set("C_cust_therm")} min={0.01} max={0.15} step={0.001} unit="$/kWh" decimals={3} prefix="$" />
-            <SliderInput label="Current Waste Cost" value={inputs.C_cust_waste} onChange={set("C_cust_waste")} min={0} max={300} step={5} unit="$/ton" decimals={0} prefix="$" />
-          </Accordion>
+              {/* Diagnostics */}
+              {results.warnings.map((w, i) => <DiagnosticHint key={i} text={w} color={w.includes("negative") || w.includes("default risk") ? "red" : "amber"} />)}
 
-          <Accordion title="CAPEX — Equipment" icon="⚙">
-            <SliderInput label="BioCHP System" value={inputs.C_biochp} onChange={set("C_biochp")} min={200000} max={1500000} step={10000} unit="" decimals={0} prefix="$" />
-            <SliderInput label="EnexFuel Equipment" value={inputs.C_enexfuel} onChange={set("C_enexfuel")} min={10000} max={150000} step={5000} unit="" decimals={0} prefix="$" />
-            <SliderInput label="Shipping & Install" value={inputs.C_install} onChange={set("C_install")} min={10000} max={80000} step={5000} unit="" decimals={0} prefix="$" />
-          </Accordion>
+              {/* Revenue Waterfall */}
+              <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+                <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 8 }}>
+                  Revenue Breakdown — Year 1 ({fmt$(yr1?.R_total || 0)} total)
+                </div>
+                <ResponsiveContainer width="100%" height={40 + revenueData.length * 20}>
+                  <BarChart data={revenueData} layout="vertical" margin={{ left: 60, right: 20 }}>
+                    <XAxis type="number" tickFormatter={fmt$} tick={{ fill: COLORS.textDim, fontSize: 10 }} />
+                    <YAxis type="category" dataKey="name" tick={{ fill: COLORS.textDim, fontSize: 11 }} width={50} />
+                    <Tooltip content={customTooltip} />
+                    <Bar dataKey="value" radius={[0, 4, 4, 0]}>
+                      {revenueData.map((d, i) => <Cell key={i} fill={d.fill} />)}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
 
-          <Accordion title="OPEX" icon="⟳">
-            <SliderInput label="Maintenance Rate" value={inputs.R_maint} onChange={set("R_maint")} min={0.01} max={0.06} step={0.005} unit="$/kWh" decimals={3} prefix="$" />
-            <SliderInput label="EnexFuel Processing" value={inputs.C_fuel_process} onChange={set("C_fuel_process")} min={20} max={150} step={5} unit="$/ton" decimals={0} prefix="$" />
-            <SliderInput label="Insurance" value={inputs.C_insurance} onChange={set("C_insurance")} min={500} max={10000} step={250} unit="/yr" decimals={0} prefix="$" />
-            <SliderInput label="Account Management" value={inputs.C_acct_mgmt} onChange={set("C_acct_mgmt")} min={1000} max={10000} step={250} unit="/yr" decimals={0} prefix="$" />
-          </Accordion>
+              {/* Cash Flow */}
+              <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+                <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 8 }}>
+                  Cash Flow & Cumulative NPV
+                </div>
+                <ResponsiveContainer width="100%" height={220}>
+                  <ComposedChart data={cashFlowData} margin={{ left: 10, right: 10 }}>
+                    <XAxis dataKey="name" tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+                    <YAxis yAxisId="left" tickFormatter={fmt$} tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+                    <YAxis yAxisId="right" orientation="right" tickFormatter={fmt$} tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+                    <Tooltip content={customTooltip} />
+                    <ReferenceLine yAxisId="left" y={0} stroke={COLORS.panelBorder} />
+                    <Bar yAxisId="left" dataKey="Revenue" fill={CHART_COLORS.revenue} opacity={0.7} stackId="a" />
+                    <Bar yAxisId="left" dataKey="OPEX" fill={CHART_COLORS.opex} opacity={0.7} stackId="a" />
+                    <Bar yAxisId="left" dataKey="CAPEX" fill={CHART_COLORS.capex} opacity={0.7} stackId="a" />
+                    <Bar yAxisId="left" dataKey="Debt" fill={CHART_COLORS.debt} opacity={0.5} stackId="a" />
+                    <Bar yAxisId="left" dataKey="Tax" fill={CHART_COLORS.tax} opacity={0.5} stackId="a" />
+                    <Bar yAxisId="left" dataKey="Credits" fill={CHART_COLORS.credits} opacity={0.7} stackId="a" />
+                    <Line yAxisId="right" dataKey="CumNPV" name="Equity NPV" type="monotone" stroke={COLORS.white} strokeWidth={2} dot={{ r: 2, fill: COLORS.white }} />
+                    <Line yAxisId="right" dataKey="ProjectNPV" name="Project NPV" type="monotone" stroke={COLORS.textMuted} strokeWidth={1.5} strokeDasharray="4 3" dot={false} />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
 
-          <Accordion title="Financing" icon="◈">
-            <SliderInput label="Equity %" value={inputs.f_equity} onChange={set("f_equity")} min={0} max={1} step={0.05} unit="" decimals={2} />
-            <SliderInput label="Debt Rate" value={inputs.r_debt} onChange={set("r_debt")} min={2} max={15} step={0.5} unit="%" decimals={1} />
-            <SliderInput label="Loan Term" value={inputs.T_loan} onChange={set("T_loan")} min={1} max={15} step={1} unit="yrs" decimals={0} />
-            <SliderInput label="Loan Fees" value={inputs.f_loan_fees} onChange={set("f_loan_fees")} min={0} max={5} step={0.5} unit="%" decimals={1} />
-            <SliderInput label="Discount Rate" value={inputs.r_disc} onChange={set("r_disc")} min={4} max={20} step={0.5} unit="%" decimals={1} />
-          </Accordion>
+              {/* Monthly Cash Flow */}
+              {results.months && <MonthlyCashFlow inputs={viewInputs} results={results} basename={exportName} />}
 
-          <Accordion title="Fleet & Project" icon="▥">
-            <SliderInput label="Number of Units" value={inputs.N_units} onChange={set("N_units")} min={1} max={50} step={1} unit="units" decimals={0} />
-            <SliderInput label="Contract Term" value={inputs.T_project} onChange={set("T_project")} min={5} max={25} step={1} unit="yrs" decimals={0} />
-            <SliderInput label="Learning Rate" value={inputs.LR} onChange={set("LR")} min={0.75} max={0.95} step={0.01} unit="" decimals={2} />
-            <SliderInput label="Deploy Rate" value={inputs.units_per_year} onChange={set("units_per_year")} min={1} max={10} step={1} unit="/yr" decimals={0} />
-          </Accordion>
-        </div>
+              {/* Carbon Credits */}
+              <CarbonCreditPanel inputs={inputs} results={results} onChange={(key, value) => set(key)(value)} />
 
-        {/* CENTER: Charts & Metrics */}
-        <div style={{ flex: 1, overflowY: "auto", maxHeight: "calc(100vh - 56px)", padding: "16px 20px" }}>
+              {/* Deployment Schedule */}
+              <DeploymentSchedulePanel inputs={inputs} results={modelResults} onChange={set("deploy_schedule")} />
 
-          {/* Metric Cards */}
-          <div style={{ display: "grid", gridTemplateColumns: "repeat(6, 1fr)", gap: 8, marginBottom: 16 }}>
-            <MetricCard label="NPV" value={results.NPV} prefix="$"
-              status={results.NPV > 0 ? "ok" : "error"}
-              tip="Net Present Value — sum of all discounted cash flows. Positive = project creates value above hurdle rate." />
-            <MetricCard label="IRR" value={results.IRR !== null ? results.IRR * 100 : null} unit="%"
-              status={results.IRR !== null ? (results.IRR * 100 > inputs.r_disc ? "ok" : results.IRR > 0 ? "warn" : "error") : undefined}
-              tip="Internal Rate of Return — annualized equity return. Green when above discount rate." />
-            <MetricCard label="Payback" value={results.payback_disc || "> " + inputs.T_project} unit={results.payback_disc ? "yrs" : ""}
-              status={results.payback_disc ? (results.payback_disc < 4 ? "ok" : results.payback_disc < 7 ? "warn" : "error") : "error"}
-              tip="Discounted Payback — years until cumulative discounted cash flow turns positive." />
-            <MetricCard label="Rev/Unit" value={results.R_per_unit} prefix="$" unit="/yr"
-              tip="Year 1 total revenue per active BioCHP unit across all four streams." />
-            <MetricCard label="DSCR" value={results.DSCR_min} unit="×" decimals={2}
-              status={results.DSCR_min !== null ? (results.DSCR_min >= 1.25 ? "ok" : results.DSCR_min >= 1.0 ? "warn" : "error") : undefined}
-              tip="Debt Service Coverage Ratio — EBITDA ÷ annual debt payment. Lenders require ≥ 1.25×." />
-            <MetricCard label="Cust. Savings" value={results.savings_pct} unit="%" decimals={1}
-              status={results.savings_pct > 15 ? "ok" : results.savings_pct > 0 ? "warn" : "error"}
-              tip="Customer cost reduction vs current power + thermal + waste disposal costs." />
-          </div>
+              {/* Site Portfolio */}
+              <SitePortfolioPanel inputs={inputs} results={modelResults} onChange={set("sites")} siteView={site ? siteView : null} onView={setSiteView} />
 
-          {/* Diagnostics */}
-          {results.warnings.map((w, i) => <DiagnosticHint key={i} text={w} color={w.includes("negative") || w.includes("default risk") ? "red" : "amber"} />)}
+              {/* Feedstock Supply */}
+              <FeedstockPanel inputs={inputs} results={results} onChange={set("feedstock_sources")} />
 
-          {/* Revenue Waterfall */}
-          <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
-            <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 8 }}>
-              Revenue Breakdown — Year 1 ({fmt$(yr1?.R_total || 0)} total)
-            </div>
-            <ResponsiveContainer width="100%" height={120}>
-              <BarChart data={revenueData} layout="vertical" margin={{ left: 60, right: 20 }}>
-                <XAxis type="number" tickFormatter={fmt$} tick={{ fill: COLORS.textDim, fontSize: 10 }} />
-                <YAxis type="category" dataKey="name" tick={{ fill: COLORS.textDim, fontSize: 11 }} width={50} />
-                <Tooltip content={customTooltip} />
-                <Bar dataKey="value" radius={[0, 4, 4, 0]}>
-                  {revenueData.map((d, i) => <Cell key={i} fill={d.fill} />)}
-                </Bar>
-              </BarChart>
-            </ResponsiveContainer>
-          </div>
+              {/* Site Load Profile */}
+              <LoadProfilePanel inputs={inputs} results={results} onChange={(key, value) => set(key)(value)} />
 
-          {/* Cash Flow */}
-          <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
-            <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 8 }}>
-              Cash Flow & Cumulative NPV
-            </div>
-            <ResponsiveContainer width="100%" height={220}>
-              <ComposedChart data={cashFlowData} margin={{ left: 10, right: 10 }}>
-                <XAxis dataKey="name" tick={{ fill: COLORS.textDim, fontSize: 9 }} />
-                <YAxis yAxisId="left" tickFormatter={fmt$} tick={{ fill: COLORS.textDim, fontSize: 9 }} />
-                <YAxis yAxisId="right" orientation="right" tickFormatter={fmt$} tick={{ fill: COLORS.textDim, fontSize: 9 }} />
-                <Tooltip content={customTooltip} />
-                <ReferenceLine yAxisId="left" y={0} stroke={COLORS.panelBorder} />
-                <Bar yAxisId="left" dataKey="Revenue" fill={CHART_COLORS.revenue} opacity={0.7} stackId="a" />
-                <Bar yAxisId="left" dataKey="OPEX" fill={CHART_COLORS.opex} opacity={0.7} stackId="a" />
-                <Bar yAxisId="left" dataKey="CAPEX" fill={CHART_COLORS.capex} opacity={0.7} stackId="a" />
-                <Bar yAxisId="left" dataKey="Debt" fill={CHART_COLORS.debt} opacity={0.5} stackId="a" />
-                <Line yAxisId="right" dataKey="CumNPV" type="monotone" stroke={COLORS.white} strokeWidth={2} dot={{ r: 2, fill: COLORS.white }} />
-              </ComposedChart>
-            </ResponsiveContainer>
-          </div>
+              {/* Sensitivity */}
+              <SensitivityPanel inputs={inputs} config={sensConfig} setConfig={setSensConfig} sensitivity={sensitivity} pending={sensPending} />
 
-          {/* Sensitivity */}
-          <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
-            <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 8 }}>
-              Sensitivity — NPV Impact (±20%)
-            </div>
-            <ResponsiveContainer width="100%" height={180}>
-              <BarChart data={sensitivity} layout="vertical" margin={{ left: 100, right: 20 }}>
-                <XAxis type="number" tickFormatter={fmt$} tick={{ fill: COLORS.textDim, fontSize: 9 }} />
-                <YAxis type="category" dataKey="label" tick={{ fill: COLORS.textMuted, fontSize: 10 }} width={90} />
-                <Tooltip content={customTooltip} />
-                <ReferenceLine x={0} stroke={COLORS.panelBorder} />
-                <Bar dataKey="lo" fill={COLORS.red} opacity={0.7} name="−20%" />
-                <Bar dataKey="hi" fill={COLORS.accent} opacity={0.7} name="+20%" />
-              </BarChart>
-            </ResponsiveContainer>
-          </div>
+              {/* Goal Seek */}
+              <GoalSeekPanel inputs={inputs} onApply={(key, value) => set(key)(value)} />
 
-          {/* Fleet Learning Curve */}
-          {inputs.N_units > 1 && (
-            <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
-              <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 8 }}>
-                Fleet CAPEX — Learning Curve ({(inputs.LR * 100).toFixed(0)}% rate)
-              </div>
-              <ResponsiveContainer width="100%" height={140}>
-                <BarChart data={fleetData} margin={{ left: 10, right: 10 }}>
-                  <XAxis dataKey="unit" tick={{ fill: COLORS.textDim, fontSize: 9 }} />
-                  <YAxis tickFormatter={fmt$} tick={{ fill: COLORS.textDim, fontSize: 9 }} />
-                  <Tooltip content={customTooltip} />
-                  <Bar dataKey="cost" name="Unit CAPEX" radius={[3, 3, 0, 0]}>
-                    {fleetData.map((_, i) => <Cell key={i} fill={i === 0 ? COLORS.accent : COLORS.accentDim} />)}
-                  </Bar>
-                </BarChart>
-              </ResponsiveContainer>
-            </div>
+              {/* Two-Way Heatmap */}
+              <HeatmapPanel inputs={inputs} />
+
+              {/* Monte Carlo */}
+              <MonteCarloPanel inputs={inputs} />
+
+              {/* Fleet Learning Curve */}
+              {viewInputs.N_units > 1 && (
+                <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 16, marginBottom: 12 }}>
+                  <div style={{ fontSize: 11, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 8 }}>
+                    Fleet CAPEX — Learning Curve ({(inputs.LR * 100).toFixed(0)}% rate)
+                  </div>
+                  <ResponsiveContainer width="100%" height={140}>
+                    <BarChart data={fleetData} margin={{ left: 10, right: 10 }}>
+                      <XAxis dataKey="unit" tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+                      <YAxis tickFormatter={fmt$} tick={{ fill: COLORS.textDim, fontSize: 9 }} />
+                      <Tooltip content={customTooltip} />
+                      <Bar dataKey="cost" name="Unit CAPEX" radius={[3, 3, 0, 0]}>
+                        {fleetData.map((_, i) => <Cell key={i} fill={i === 0 ? COLORS.accent : COLORS.accentDim} />)}
+                      </Bar>
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+            </>
           )}
         </div>
 
@@ -610,6 +2809,8 @@ export default function BioCHPFinancialApp() {
                   { label: "Power", current: results.C_current_power, enexor: results.C_enexor_power },
                   { label: "Thermal", current: results.C_current_therm, enexor: results.C_enexor_therm },
                   { label: "Waste", current: results.C_current_waste, enexor: results.C_enexor_waste },
+                  ...(results.C_current_demand || results.C_enexor_demand
+                    ? [{ label: "Demand", current: results.C_current_demand, enexor: results.C_enexor_demand }] : []),
                 ].map((r, i) => (
                   <tr key={i}>
                     <td style={{ color: COLORS.textMuted, padding: "3px 0" }}>{r.label}</td>
@@ -634,6 +2835,12 @@ export default function BioCHPFinancialApp() {
                 {results.savings_pct > 0 ? "savings" : "premium"} ({fmt$(results.savings_annual)}/yr)
               </span>
             </div>
+            {results.load_dispatch && (
+              <div style={{ fontSize: 9, color: COLORS.textDim, marginTop: 6 }}>
+                From the imported {inputs.load_profile ? "hourly load" : "tariff"}: {fmtPct(results.power_util_eff * 100)} of power
+                and {fmtPct(results.therm_util_eff * 100)} of heat used on site, power displaced at ${results.load_dispatch.C_cust_power.toFixed(3)}/kWh.
+              </div>
+            )}
           </div>
 
           {/* CAPEX Summary */}
@@ -641,7 +2848,7 @@ export default function BioCHPFinancialApp() {
             <div style={{ fontSize: 10, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 6 }}>CAPEX Summary</div>
             {[
               { label: "Unit 1", value: results.CAPEX_unit1 },
-              ...(inputs.N_units > 1 ? [{ label: `Unit ${inputs.N_units}`, value: results.unit_capex[inputs.N_units - 1] }] : []),
+              ...(viewInputs.N_units > 1 ? [{ label: `Unit ${viewInputs.N_units}`, value: results.unit_capex[viewInputs.N_units - 1] }] : []),
             ].map((r, i) => (
               <div key={i} style={{ display: "flex", justifyContent: "space-between", padding: "2px 0" }}>
                 <span style={{ fontSize: 11, color: COLORS.textMuted }}>{r.label}</span>
@@ -649,19 +2856,20 @@ export default function BioCHPFinancialApp() {
               </div>
             ))}
             <div style={{ display: "flex", justifyContent: "space-between", borderTop: `1px solid ${COLORS.panelBorder}`, paddingTop: 4, marginTop: 4 }}>
-              <span style={{ fontSize: 11, color: COLORS.accent, fontWeight: 600 }}>Fleet Total ({inputs.N_units})</span>
+              <span style={{ fontSize: 11, color: COLORS.accent, fontWeight: 600 }}>Fleet Total ({viewInputs.N_units})</span>
               <span style={{ fontSize: 12, color: COLORS.accent, fontFamily: "'JetBrains Mono', monospace", fontWeight: 700 }}>{fmt$(results.capex_fleet_total)}</span>
             </div>
           </div>
 
           {/* Debt Service */}
-          {results.annual_debt_service > 0 && (
+          {results.loan_amount > 0 && (
             <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 12, marginBottom: 10 }}>
               <div style={{ fontSize: 10, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 6 }}>Debt Service</div>
               {[
                 { label: "Loan Amount", value: fmt$(results.loan_amount) },
-                { label: "Annual Payment", value: fmt$(results.annual_debt_service) },
-                { label: "Loan Term", value: `${inputs.T_loan} yrs` },
+                { label: "Peak Debt Service", value: fmt$(results.peak_debt_service) },
+                { label: "Loan Term", value: `${inputs.T_loan} yrs / tranche` },
+                { label: "Tranches", value: results.tranches.map(t => `${t.year}`).join(" · ") },
                 { label: "Equity Required", value: fmt$(results.capex_fleet_total * inputs.f_equity) },
               ].map((r, i) => (
                 <div key={i} style={{ display: "flex", justifyContent: "space-between", padding: "2px 0" }}>
@@ -669,18 +2877,56 @@ export default function BioCHPFinancialApp() {
                   <span style={{ fontSize: 12, color: COLORS.white, fontFamily: "'JetBrains Mono', monospace" }}>{r.value}</span>
                 </div>
               ))}
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 10, marginTop: 8 }}>
+                <thead>
+                  <tr style={{ borderBottom: `1px solid ${COLORS.panelBorder}` }}>
+                    {["Year", "Open", "Draw", "Fees", ...(inputs.T_construction > 0 ? ["IDC"] : []), "Int.", "Princ.", "Close"].map(h => (
+                      <th key={h} style={{ padding: "3px 2px", color: COLORS.textDim, fontWeight: 600, textAlign: "right", fontSize: 9 }}>{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.loan_table.map((r, i) => (
+                    <tr key={i} style={{ borderBottom: `1px solid ${COLORS.bg}` }}>
+                      <td style={{ padding: "2px", color: COLORS.textMuted, textAlign: "right", fontFamily: "'JetBrains Mono', monospace" }}>{r.year}</td>
+                      {[r.opening, r.draw, r.fees, ...(inputs.T_construction > 0 ? [r.idc] : []), r.interest, r.principal, r.closing].map((v, j, row) => (
+                        <td key={j} style={{ padding: "2px", color: j === row.length - 3 ? CHART_COLORS.debt : COLORS.white, textAlign: "right", fontFamily: "'JetBrains Mono', monospace" }}>
+                          {v > 0.5 ? fmt$(v) : "·"}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
             </div>
           )}
 
+          {/* Tax Summary */}
+          <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 12, marginBottom: 10 }}>
+            <div style={{ fontSize: 10, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 6 }}>Tax & Depreciation</div>
+            {[
+              { label: "Combined Tax Rate", value: fmtPct(results.tax_rate * 100) },
+              { label: "Depreciation (term)", value: fmt$(results.depreciation_total) },
+              { label: "Income Tax (term)", value: fmt$(results.tax_total) },
+              ...(inputs.incentive !== "none" ? [
+                { label: inputs.incentive === "itc" ? `ITC (${fmtPct(results.itc_rate * 100)})` : "PTC Earned", value: fmt$(results.credits_total) },
+                { label: inputs.transfer_credits ? "Transfer Proceeds" : "Credits Used vs Tax", value: fmt$(results.credit_value_total) },
+              ] : []),
+              { label: "Pre-tax NPV", value: fmt$(results.NPV_pretax) },
+              { label: "After-tax NPV", value: fmt$(results.NPV) },
+            ].map((r, i) => (
+              <div key={i} style={{ display: "flex", justifyContent: "space-between", padding: "2px 0" }}>
+                <span style={{ fontSize: 11, color: COLORS.textMuted }}>{r.label}</span>
+                <span style={{ fontSize: 12, color: COLORS.white, fontFamily: "'JetBrains Mono', monospace" }}>{r.value}</span>
+              </div>
+            ))}
+          </div>
+
           {/* Revenue Per Unit */}
           <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 12, marginBottom: 10 }}>
             <div style={{ fontSize: 10, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 6 }}>Revenue per Unit (Year 1)</div>
-            {[
-              { label: "Power", value: results.R_per_unit_power, color: CHART_COLORS.power },
-              { label: "Thermal", value: results.R_per_unit_therm, color: CHART_COLORS.thermal },
-              { label: "Tipping", value: results.R_per_unit_tip, color: CHART_COLORS.tipping },
-              { label: "Carbon", value: results.R_per_unit_carbon, color: CHART_COLORS.carbon },
-            ].filter(r => r.value > 0).map((r, i) => (
+            {REVENUE_STREAMS.map(stream => ({ label: stream.name, value: results[stream.perUnit], color: stream.color }))
+              .filter(r => r.value > 0).map((r, i) => (
               <div key={i} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "3px 0" }}>
                 <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
                   <div style={{ width: 6, height: 6, borderRadius: 2, background: r.color }} />
@@ -697,12 +2943,22 @@ export default function BioCHPFinancialApp() {
 
           {/* Cash Flow Table */}
           <div style={{ background: COLORS.card, borderRadius: 8, border: `1px solid ${COLORS.cardBorder}`, padding: 12, marginBottom: 10 }}>
-            <div style={{ fontSize: 10, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase", marginBottom: 6 }}>Cash Flow Table</div>
+            <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 6 }}>
+              <span style={{ fontSize: 10, color: COLORS.textDim, letterSpacing: "0.06em", textTransform: "uppercase" }}>Cash Flow Table</span>
+              <div style={{ display: "flex", gap: 4 }}>
+                <button onClick={() => exportCsv(results, exportName)} style={{ ...buttonStyle, padding: "2px 8px", fontSize: 9 }}
+                  title="Download every yearly column as CSV">CSV</button>
+                <button onClick={downloadXlsx} disabled={exporting} style={{ ...buttonStyle, padding: "2px 8px", fontSize: 9, opacity: exporting ? 0.5 : 1 }}
+                  title="Download a workbook with inputs, live cash-flow formulas, sensitivity and loan schedule">
+                  {exporting ? "…" : "XLSX"}
+                </button>
+              </div>
+            </div>
             <div style={{ maxHeight: 300, overflowY: "auto" }}>
               <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 10 }}>
                 <thead>
                   <tr style={{ borderBottom: `1px solid ${COLORS.panelBorder}` }}>
-                    {["Year", "Units", "Rev", "OPEX", "Cash Flow"].map(h => (
+                    {["Year", "Units", "Rev", "OPEX", "Tax", "Cash Flow"].map(h => (
                       <th key={h} style={{ padding: "3px 4px", color: COLORS.textDim, fontWeight: 600, textAlign: "right", fontSize: 9 }}>{h}</th>
                     ))}
                   </tr>
@@ -718,6 +2974,9 @@ export default function BioCHPFinancialApp() {
                       <td style={{ padding: "2px 4px", color: COLORS.red, textAlign: "right", fontFamily: "'JetBrains Mono', monospace" }}>
                         {yr.OPEX >= 1000 ? `${(yr.OPEX/1000).toFixed(0)}K` : yr.OPEX.toFixed(0)}
                       </td>
+                      <td style={{ padding: "2px 4px", color: CHART_COLORS.tax, textAlign: "right", fontFamily: "'JetBrains Mono', monospace" }}>
+                        {yr.tax >= 1000 ? `${(yr.tax/1000).toFixed(0)}K` : yr.tax.toFixed(0)}
+                      </td>
                       <td style={{ padding: "2px 4px", color: yr.CF >= 0 ? COLORS.accent : COLORS.red, textAlign: "right", fontFamily: "'JetBrains Mono', monospace", fontWeight: 600 }}>
                         {yr.CF >= 0 ? "" : "-"}{Math.abs(yr.CF) >= 1000 ? `${(Math.abs(yr.CF)/1000).toFixed(0)}K` : Math.abs(yr.CF).toFixed(0)}
                       </td>
@@ -730,5 +2989,11 @@ export default function BioCHPFinancialApp() {
         </div>
       </div>
     </div>
+
+    {report && (
+      <ReportOverlay template={report} setTemplate={setReport} onClose={() => setReport(null)}
+        inputs={viewInputs} results={results} sensitivity={sensitivity} sensitivityMetric={sensMetric} scenarioName={scenarioName} />
+    )}
+    </>
   );
 }
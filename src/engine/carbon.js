@@ -0,0 +1,87 @@
+// ─── Carbon Credits ───
+// Credits are earned in registry streams, each under its own protocol with its
+// own price and crediting period: methane avoidance (CC_methane) and fuel
+// displacement (CC_fuel). Project emissions (CC_emissions) are deducted from the
+// streams in proportion. Each unit's crediting period runs from its
+// commissioning. A share of every vintage is held back in the registry's buffer
+// pool; the rest is issued T_issuance years later and sold at that year's price,
+// less verification and issuance fees. Credits still awaiting issuance when the
+// contract ends are sold in its final year. Units short of fuel earn credits
+// only for the hours they run.
+import { commissioningMonth } from "./deployment.js";
+
+/**
+ * @typedef {Object} CarbonStream
+ * @property {string} key
+ * @property {string} label
+ * @property {string} credits  Input with the stream's gross credits per unit-year
+ * @property {string} price    Input with its price today
+ * @property {string} curve    Input with its forward price curve (null: escalate the price)
+ * @property {string} term     Input with its crediting period
+ */
+
+/** @type {CarbonStream[]} */
+export const CARBON_STREAMS = [
+  { key: "methane", label: "Methane Avoidance", credits: "CC_methane", price: "P_carbon", curve: "P_curve_methane", term: "T_credit_methane" },
+  { key: "fuel", label: "Fuel Displacement", credits: "CC_fuel", price: "P_carbon_fuel", curve: "P_curve_fuel", term: "T_credit_fuel" },
+];
+
+// Net credits per unit-year in each stream, after project emissions
+export function streamCredits(inputs) {
+  const gross = CARBON_STREAMS.reduce((s, stream) => s + inputs[stream.credits], 0);
+  const net = Math.max(0, gross - inputs.CC_emissions);
+  return CARBON_STREAMS.map(stream => (gross > 0 ? inputs[stream.credits] * net / gross : 0));
+}
+
+// $/ton in project year y: the forward curve, escalating at r_carbon past its
+// last year, or today's price escalating at r_carbon
+export function carbonPrice(inputs, stream, y) {
+  const curve = inputs[stream.curve];
+  const esc = (years) => Math.pow(1 + inputs.r_carbon / 100, years);
+  if (!curve) return inputs[stream.price] * esc(y);
+  const last = curve.length - 1;
+  return y <= last ? curve[y] : curve[last] * esc(y - last);
+}
+
+// Share of project year y inside a crediting period of T years from month cod
+function creditingShare(cod, T, y) {
+  return Math.max(0, Math.min(y * 12 + 12, cod + T * 12) - Math.max(y * 12, cod)) / 12;
+}
+
+/**
+ * Credits by vintage and the cash from selling them. Fees escalate with the
+ * other fixed costs.
+ * @param {Object} inputs
+ * @param {number[]} build_years  Each unit's build year
+ * @param {?number[]} [supply]    Share of each project year's fuel demand met (null: all of it)
+ * @returns {Object} Arrays by project year: CC_vintage, CC_buffer, CC_issued
+ *   (tons), C_carbon (fees), R_crb and R_crb_<stream> (sales)
+ */
+export function carbonLedger(inputs, build_years, supply = null) {
+  const { T_project, f_buffer, T_issuance, C_verify, C_issuance } = inputs;
+  const cods = build_years.map(d => commissioningMonth(inputs, d));
+  const credits = streamCredits(inputs);
+  const zeros = () => new Array(T_project + 1).fill(0);
+  const ledger = { CC_vintage: zeros(), CC_buffer: zeros(), CC_issued: zeros(), C_carbon: zeros(), R_crb: zeros() };
+  for (const stream of CARBON_STREAMS) ledger[`R_crb_${stream.key}`] = zeros();
+
+  for (let y = 0; y <= T_project; y++) {
+    const paid = Math.min(y + T_issuance, T_project);
+    const esc_fixed = Math.pow(1.03, paid);
+    // Each unit is verified for the part of the year any of its streams is credited
+    const verified = cods.reduce((s, cod) => s + Math.max(...CARBON_STREAMS.map(stream => creditingShare(cod, inputs[stream.term], y))), 0);
+    ledger.C_carbon[paid] += verified * C_verify * esc_fixed;
+    CARBON_STREAMS.forEach((stream, i) => {
+      const vintage = cods.reduce((s, cod) => s + creditingShare(cod, inputs[stream.term], y), 0) * credits[i] * (supply ? supply[y] : 1);
+      const issued = vintage * (1 - f_buffer);
+      const sales = issued * carbonPrice(inputs, stream, paid);
+      ledger.CC_vintage[y] += vintage;
+      ledger.CC_buffer[y] += vintage - issued;
+      ledger.CC_issued[paid] += issued;
+      ledger.C_carbon[paid] += issued * C_issuance * esc_fixed;
+      ledger[`R_crb_${stream.key}`][paid] += sales;
+      ledger.R_crb[paid] += sales;
+    });
+  }
+  return ledger;
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INPUTS } from "./inputs.js";
+import { runFinancialModel } from "./model.js";
+import { CARBON_STREAMS, streamCredits, carbonPrice, carbonLedger } from "./carbon.js";
+
+const inputs = (overrides) => ({ ...DEFAULT_INPUTS, ...overrides });
+const run = (overrides) => runFinancialModel(inputs(overrides));
+const [methane, fuel] = CARBON_STREAMS;
+
+describe("carbon credits", () => {
+  it("matches a single escalating price with no registry terms", () => {
+    const r = run({});
+    const CC_net = DEFAULT_INPUTS.CC_methane + DEFAULT_INPUTS.CC_fuel - DEFAULT_INPUTS.CC_emissions;
+    for (const yr of r.years) {
+      expect(yr.R_crb).toBeCloseTo(yr.N_operating * CC_net * DEFAULT_INPUTS.P_carbon * 1.03 ** yr.y, 6);
+      expect(yr.CC_issued).toBeCloseTo(yr.N_operating * CC_net, 6);
+      expect(yr.C_carbon).toBe(0);
+    }
+  });
+
+  it("prices each stream on its own, net of a share of project emissions", () => {
+    const split = inputs({ CC_methane: 1500, CC_fuel: 500, CC_emissions: 400 });
+    expect(streamCredits(split)).toEqual([1200, 400]);
+    expect(streamCredits(inputs({ CC_methane: 100, CC_fuel: 0, CC_emissions: 400 }))).toEqual([0, 0]);
+    const r = run({ N_units: 1, CC_methane: 1500, CC_fuel: 500, CC_emissions: 400, P_carbon: 50, P_carbon_fuel: 5, r_carbon: 0 });
+    expect(r.years[1].R_crb_methane).toBeCloseTo(1200 * 50, 6);
+    expect(r.years[1].R_crb_fuel).toBeCloseTo(400 * 5, 6);
+    expect(r.years[1].R_crb).toBeCloseTo(62000, 6);
+  });
+
+  it("ends each stream's credits with its crediting period from commissioning", () => {
+    const r = run({ N_units: 1, M_install: 7, T_credit_methane: 2, T_credit_fuel: 10, T_project: 12 });
+    const [m, f] = streamCredits(inputs({}));
+    expect(r.years.map(yr => yr.CC_vintage / m).slice(0, 4).map(v => +v.toFixed(6)))
+      .toEqual([0.5 * (1 + f / m), 1 + f / m, 0.5 + f / m, f / m].map(v => +v.toFixed(6)));
+    expect(r.years[10].CC_vintage).toBeCloseTo(0.5 * f, 6);
+    expect(r.years[11].CC_vintage).toBe(0);
+  });
+
+  it("holds back the buffer pool and sells the rest after the issuance lag", () => {
+    const base = inputs({ N_units: 1, T_project: 5, r_carbon: 0 });
+    const lagged = carbonLedger({ ...base, f_buffer: 0.2, T_issuance: 2 }, [0]);
+    const plain = carbonLedger(base, [0]);
+    expect(lagged.CC_buffer[0]).toBeCloseTo(0.2 * plain.CC_vintage[0], 6);
+    expect(lagged.R_crb.slice(0, 2)).toEqual([0, 0]);
+    expect(lagged.CC_issued[2]).toBeCloseTo(0.8 * plain.CC_vintage[0], 6);
+    // Vintages still waiting at the end of the contract are sold in its final year
+    expect(lagged.CC_issued[5]).toBeCloseTo(3 * 0.8 * plain.CC_vintage[0], 6);
+    expect(lagged.R_crb.reduce((s, v) => s + v, 0)).toBeCloseTo(0.8 * plain.R_crb.reduce((s, v) => s + v, 0), 6);
+  });
+
+  it("charges verification per credited unit-year and issuance per ton sold", () => {
+    const r = run({ N_units: 1, C_verify: 10000, C_issuance: 0.2 });
+    const plain = run({ N_units: 1 });
+    const yr = r.years[2];
+    expect(yr.C_carbon).toBeCloseTo((10000 + 0.2 * yr.CC_issued) * 1.03 ** 2, 6);
+    expect(yr.OPEX).toBeCloseTo(plain.years[2].OPEX + yr.C_carbon, 6);
+  });
+
+  it("follows a forward curve and escalates past its end", () => {
+    const curved = inputs({ P_curve_fuel: [15, 25, 40], r_carbon: 5 });
+    expect([0, 1, 2].map(y => carbonPrice(curved, fuel, y))).toEqual([15, 25, 40]);
+    expect(carbonPrice(curved, fuel, 4)).toBeCloseTo(40 * 1.05 ** 2, 10);
+    expect(carbonPrice(curved, methane, 2)).toBeCloseTo(DEFAULT_INPUTS.P_carbon * 1.05 ** 2, 10);
+  });
+});
@@ -0,0 +1,72 @@
+// ─── Engine Client ───
+// Browser side of the engine worker. run() posts a job and returns a promise for
+// its result; aborting the signal cancels the job in the worker and rejects with
+// the signal's reason, as fetch() does. If the worker fails to load, throws
+// outside a job or receives a message it cannot read, every job in flight is
+// rejected rather than left pending. Without Worker support (tests, SSR) jobs
+// are stepped on the main thread instead, yielding between units of work.
+import { startJob, driveJob } from "./jobs.js";
+
+/**
+ * @typedef {Object} EngineClient
+ * @property {(job: string, payload: Object, options?: { signal?: AbortSignal, onProgress?: (p: { done: number, total: number }) => void }) => Promise<any>} run
+ * @property {() => void} terminate
+ */
+
+/** @returns {EngineClient} */
+export function createEngineClient() {
+  if (typeof Worker === "undefined") return createInlineClient();
+
+  const worker = new Worker(new URL("./worker.js", import.meta.url), { type: "module" });
+  const pending = new Map();
+  let nextId = 1;
+
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+    if (data.type === "progress") {
+      request.onProgress?.({ done: data.done, total: data.total });
+      return;
+    }
+    pending.delete(data.id);
+    if (data.type === "result") request.resolve(data.result);
+    else request.reject(new Error(data.message));
+  };
+
+  const failAll = (message) => {
+    for (const request of pending.values()) request.reject(new Error(message));
+    pending.clear();
+  };
+  worker.onerror = (event) => {
+    event.preventDefault?.();
+    failAll(event.message ? `Engine worker failed: ${event.message}` : "Engine worker failed to load");
+  };
+  worker.onmessageerror = () => failAll("Engine worker sent a message that could not be read");
+
+  const run = (job, payload, { signal, onProgress } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const id = nextId++;
+    pending.set(id, { resolve, reject, onProgress });
+    worker.postMessage({ type: "run", id, job, payload });
+    signal?.addEventListener("abort", () => {
+      if (!pending.delete(id)) return;
+      worker.postMessage({ type: "cancel", id });
+      reject(signal.reason);
+    }, { once: true });
+  });
+
+  return { run, terminate: () => worker.terminate() };
+}
+
+function createInlineClient() {
+  const run = async (job, payload, { signal, onProgress } = {}) => {
+    signal?.throwIfAborted();
+    const { cancelled, result } = await driveJob(startJob(job, payload), {
+      onProgress,
+      isCancelled: () => !!signal?.aborted,
+    });
+    if (cancelled) throw signal.reason;
+    return result;
+  };
+  return { run, terminate: () => {} };
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { DEFAULT_INPUTS } from "./inputs.js";
+import { runFinancialModel } from "./model.js";
+import { createEngineClient } from "./client.js";
+
+// Node has no Worker, so these exercise the main-thread fallback
+describe("createEngineClient", () => {
+  const engine = createEngineClient();
+
+  it("runs jobs", async () => {
+    expect(await engine.run("model", { inputs: DEFAULT_INPUTS })).toEqual(runFinancialModel(DEFAULT_INPUTS));
+  });
+
+  it("rejects with the abort reason when cancelled", async () => {
+    const controller = new AbortController();
+    const options = { iterations: 1000, seed: 1, dists: [{ key: "R_power", type: "uniform", params: { min: 0.08, max: 0.12 } }] };
+    const run = engine.run("monteCarlo", { inputs: DEFAULT_INPUTS, options }, {
+      signal: controller.signal,
+      onProgress: () => controller.abort(),
+    });
+    await expect(run).rejects.toHaveProperty("name", "AbortError");
+  });
+
+  it("surfaces job errors", async () => {
+    await expect(engine.run("nope", {})).rejects.toThrow(/unknown engine job/);
+  });
+});
+
+// A stand-in worker that never answers, so only its error events settle a job
+class SilentWorker {
+  static last = null;
+  constructor() { SilentWorker.last = this; }
+  postMessage() {}
+  terminate() {}
+}
+
+describe("createEngineClient with a worker", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("rejects jobs in flight when the worker fails", async () => {
+    vi.stubGlobal("Worker", SilentWorker);
+    const engine = createEngineClient();
+    const first = engine.run("model", { inputs: DEFAULT_INPUTS });
+    const second = engine.run("model", { inputs: DEFAULT_INPUTS });
+    SilentWorker.last.onerror({ message: "boom" });
+    await expect(first).rejects.toThrow(/boom/);
+    await expect(second).rejects.toThrow(/boom/);
+  });
+
+  it("rejects jobs in flight on an unreadable message", async () => {
+    vi.stubGlobal("Worker", SilentWorker);
+    const engine = createEngineClient();
+    const run = engine.run("model", { inputs: DEFAULT_INPUTS });
+    SilentWorker.last.onmessageerror({});
+    await expect(run).rejects.toThrow(/could not be read/);
+  });
+});
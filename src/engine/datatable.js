@@ -0,0 +1,110 @@
+// ─── Two-Way Data Tables ───
+// Excel-style data table: the model rerun over a grid of two inputs, e.g. Power
+// Rate against Carbon Price, with one metric recorded per cell. The break-even
+// contour is traced through the grid with marching squares so the boundary
+// between cells reads as a line rather than a colour change.
+import { INPUT_FIELDS, NUMERIC_FIELDS, clampToField } from "./inputs.js";
+import { runFinancialModel } from "./model.js";
+import { SENSITIVITY_METRICS } from "./sensitivity.js";
+
+/**
+ * @typedef {Object} DataTableAxis
+ * @property {string} key    Any slider input
+ * @property {number} min
+ * @property {number} max
+ * @property {number} steps  Number of grid points, at least 2
+ */
+
+// Where each metric breaks even: NPV at zero, IRR at the discount rate, debt
+// service just covered, no customer savings, payback on the last contract year.
+export const BREAK_EVEN = {
+  NPV: () => 0,
+  IRR: inputs => inputs.r_disc,
+  DSCR_min: () => 1,
+  payback_disc: inputs => inputs.T_project,
+  savings_pct: () => 0,
+};
+
+export function isValidDataTableAxis(axis) {
+  return !!axis && NUMERIC_FIELDS.includes(INPUT_FIELDS[axis.key]) && Number.isFinite(axis.min)
+    && Number.isFinite(axis.max) && axis.max > axis.min && Number.isInteger(axis.steps) && axis.steps >= 2;
+}
+
+// Grid points along one axis, held inside the slider bounds. Whole-number inputs
+// can collapse onto the same value, so duplicates are dropped.
+export function axisValues(axis) {
+  const values = [];
+  for (let i = 0; i < axis.steps; i++) {
+    const v = clampToField(axis.key, axis.min + (axis.max - axis.min) * i / (axis.steps - 1));
+    if (values[values.length - 1] !== v) values.push(v);
+  }
+  return values;
+}
+
+// The break-even at every cell, [j][i] like the values: an axis may move the
+// input a threshold depends on (IRR against r_disc), so each cell gets its own
+export function breakEvenGrid(baseInputs, { x, y, metric }) {
+  const xs = axisValues(x);
+  return axisValues(y).map(yv => xs.map(xv => BREAK_EVEN[metric]({ ...baseInputs, [x.key]: xv, [y.key]: yv })));
+}
+
+// One row of the table: the metric at every x value for the y value at index j
+export function dataTableRow(baseInputs, { x, y, metric }, j) {
+  const get = SENSITIVITY_METRICS[metric].get;
+  const yValue = axisValues(y)[j];
+  return axisValues(x).map(xv => get(runFinancialModel({ ...baseInputs, [x.key]: xv, [y.key]: yValue })));
+}
+
+/**
+ * @param {import("./model.js").ModelInputs} baseInputs
+ * @param {{ x: DataTableAxis, y: DataTableAxis, metric: keyof SENSITIVITY_METRICS }} spec
+ * @returns {{ xs: number[], ys: number[], values: (?number)[][], threshold: number, thresholds: number[][] }}
+ *   values[j][i] is the metric at ys[j], xs[i]; null where it is undefined.
+ *   threshold is the break-even at the base inputs, thresholds the one at each cell.
+ */
+export function runDataTable(baseInputs, spec) {
+  if (spec.x.key === spec.y.key) throw new Error("runDataTable: the two axes must vary different inputs");
+  if (!isValidDataTableAxis(spec.x) || !isValidDataTableAxis(spec.y)) throw new Error("runDataTable: invalid axis");
+  const xs = axisValues(spec.x);
+  const ys = axisValues(spec.y);
+  return {
+    xs, ys,
+    values: ys.map((_, j) => dataTableRow(baseInputs, spec, j)),
+    threshold: BREAK_EVEN[spec.metric](baseInputs),
+    thresholds: breakEvenGrid(baseInputs, spec),
+  };
+}
+
+/**
+ * Break-even contour as line segments in grid coordinates: (i, j) is the cell
+ * at xs[i], ys[j], and crossings are interpolated linearly between cells.
+ * Squares with an undefined corner are left open.
+ * @param {(?number)[][]} values
+ * @param {number|number[][]} threshold  One break-even for the grid, or one per cell
+ * @returns {{ x1: number, y1: number, x2: number, y2: number }[]}
+ */
+export function contourSegments(values, threshold) {
+  const level = Array.isArray(threshold) ? (i, j) => threshold[j][i] : () => threshold;
+  const segments = [];
+  for (let j = 0; j + 1 < values.length; j++) {
+    for (let i = 0; i + 1 < values[j].length; i++) {
+      // Corners counter-clockwise from bottom-left, with the edges between them;
+      // d is each corner's margin over its break-even
+      const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]]
+        .map(([ci, cj]) => ({ i: ci, j: cj, d: values[cj][ci] === null ? null : values[cj][ci] - level(ci, cj) }));
+      if (corners.some(c => c.d === null)) continue;
+      const points = [];
+      for (let k = 0; k < 4; k++) {
+        const a = corners[k], b = corners[(k + 1) % 4];
+        if ((a.d >= 0) === (b.d >= 0)) continue;
+        const t = a.d / (a.d - b.d);
+        points.push({ x: a.i + (b.i - a.i) * t, y: a.j + (b.j - a.j) * t });
+      }
+      // Two crossings join directly; four (a saddle) are paired along the edges
+      for (let k = 0; k + 1 < points.length; k += 2) {
+        segments.push({ x1: points[k].x, y1: points[k].y, x2: points[k + 1].x, y2: points[k + 1].y });
+      }
+    }
+  }
+  return segments;
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INPUTS } from "./inputs.js";
+import { runFinancialModel } from "./model.js";
+import { axisValues, runDataTable, contourSegments } from "./datatable.js";
+
+describe("runDataTable", () => {
+  const spec = {
+    x: { key: "R_power", min: 0.04, max: 0.16, steps: 4 },
+    y: { key: "P_carbon", min: 0, max: 60, steps: 3 },
+    metric: "NPV",
+  };
+
+  it("runs the model at every grid point", () => {
+    const table = runDataTable(DEFAULT_INPUTS, spec);
+    expect(table.xs).toHaveLength(4);
+    expect(table.ys).toEqual([0, 30, 60]);
+    expect(table.values).toHaveLength(3);
+    expect(table.values[2][1]).toBeCloseTo(runFinancialModel({ ...DEFAULT_INPUTS, R_power: 0.08, P_carbon: 60 }).NPV, 6);
+    expect(table.threshold).toBe(0);
+  });
+
+  it("breaks IRR even at the discount rate", () => {
+    expect(runDataTable(DEFAULT_INPUTS, { ...spec, metric: "IRR" }).threshold).toBe(DEFAULT_INPUTS.r_disc);
+  });
+
+  it("judges each cell against its own discount rate when it is an axis", () => {
+    const table = runDataTable(DEFAULT_INPUTS, { ...spec, y: { key: "r_disc", min: 4, max: 12, steps: 3 }, metric: "IRR" });
+    expect(table.thresholds.map(row => row[0])).toEqual([4, 8, 12]);
+    expect(table.thresholds[2]).toEqual([12, 12, 12, 12]);
+  });
+
+  it("holds axes inside the slider bounds and drops snapped duplicates", () => {
+    expect(axisValues({ key: "f_avail", min: 0.9, max: 1.1, steps: 3 })).toEqual([0.9, 0.99]);
+    expect(axisValues({ key: "N_units", min: 1, max: 3, steps: 5 })).toEqual([1, 2, 3]);
+  });
+
+  it("rejects two axes on the same input", () => {
+    expect(() => runDataTable(DEFAULT_INPUTS, { ...spec, y: { ...spec.x } })).toThrow();
+  });
+});
+
+describe("contourSegments", () => {
+  it("interpolates the crossing between cells", () => {
+    const segments = contourSegments([[-1, 3], [-1, 3]], 0);
+    expect(segments).toEqual([{ x1: 0.25, y1: 0, x2: 0.25, y2: 1 }]);
+  });
+
+  it("follows a break-even that differs from cell to cell", () => {
+    // Same values, but the upper row breaks even at 1: the line leans to the right
+    const segments = contourSegments([[-1, 3], [-1, 3]], [[0, 0], [1, 1]]);
+    expect(segments).toEqual([{ x1: 0.25, y1: 0, x2: 0.5, y2: 1 }]);
+  });
+
+  it("skips squares with an undefined corner", () => {
+    expect(contourSegments([[-1, null], [-1, 3]], 0)).toEqual([]);
+  });
+
+  it("is empty when nothing crosses the threshold", () => {
+    expect(contourSegments([[1, 2], [3, 4]], 0)).toEqual([]);
+  });
+});
@@ -0,0 +1,45 @@
+// ─── Deployment Schedule ───
+// When each unit is built and when it starts earning. Units are built in the
+// order of the schedule: a year-by-year list of units (deploy_schedule) or,
+// without one, one unit in year 0 and units_per_year a year after that. Each
+// unit is installed in month M_install of its build year and enters commercial
+// operation T_commission months later, so its first year may be partial.
+
+/**
+ * Units built in each project year.
+ * @param {Object} inputs
+ * @returns {number[]} One entry per project year, 0 … T_project
+ */
+export function deploymentSchedule({ N_units, units_per_year, deploy_schedule, T_project }) {
+  if (deploy_schedule) return Array.from({ length: T_project + 1 }, (_, y) => deploy_schedule[y] ?? 0);
+  const built = (y) => (y < 0 ? 0 : Math.min(N_units, Math.floor(y * units_per_year) + 1));
+  return Array.from({ length: T_project + 1 }, (_, y) => built(y) - built(y - 1));
+}
+
+/**
+ * Every unit's build year, in build order. Without a schedule the fleet is
+ * N_units, and units the contract term never reaches get T_project + 1.
+ * @param {Object} inputs
+ * @returns {number[]}
+ */
+export function unitBuildYears(inputs) {
+  const years = deploymentSchedule(inputs).flatMap((n, y) => Array.from({ length: n }, () => y));
+  if (!inputs.deploy_schedule) while (years.length < inputs.N_units) years.push(inputs.T_project + 1);
+  return years;
+}
+
+// Month of commercial operation, counted from January of project year 0
+export function commissioningMonth({ M_install, T_commission }, build_year) {
+  return build_year * 12 + (M_install - 1) + T_commission;
+}
+
+/**
+ * Share of each project year a unit spends in commercial operation.
+ * @param {Object} inputs
+ * @param {number} build_year
+ * @returns {number[]} One entry per project year, 0 … T_project
+ */
+export function operatingShare(inputs, build_year) {
+  const cod = commissioningMonth(inputs, build_year);
+  return Array.from({ length: inputs.T_project + 1 }, (_, y) => Math.min(1, Math.max(0, (y * 12 + 12 - cod) / 12)));
+}
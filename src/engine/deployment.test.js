@@ -0,0 +1,28 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INPUTS } from "./inputs.js";
+import { deploymentSchedule, unitBuildYears, commissioningMonth, operatingShare } from "./deployment.js";
+
+const inputs = (overrides) => ({ ...DEFAULT_INPUTS, ...overrides });
+
+describe("deployment", () => {
+  it("builds one unit in year 0 and then units_per_year without a schedule", () => {
+    expect(deploymentSchedule(inputs({ N_units: 6, units_per_year: 2, T_project: 5 }))).toEqual([1, 2, 2, 1, 0, 0]);
+    expect(unitBuildYears(inputs({ N_units: 4, units_per_year: 1, T_project: 2 }))).toEqual([0, 1, 2, 3]);
+  });
+
+  it("follows a schedule with a pilot, a pause and a ramp", () => {
+    const scheduled = inputs({ deploy_schedule: [1, 0, 2, 3], T_project: 5 });
+    expect(deploymentSchedule(scheduled)).toEqual([1, 0, 2, 3, 0, 0]);
+    expect(unitBuildYears(scheduled)).toEqual([0, 2, 2, 3, 3, 3]);
+    // Years beyond the contract term are never built
+    expect(unitBuildYears(inputs({ deploy_schedule: [1, 0, 0, 4], T_project: 2 }))).toEqual([0]);
+  });
+
+  it("starts operation after the install month and commissioning delay", () => {
+    const july = inputs({ M_install: 7, T_commission: 3, T_project: 3 });
+    expect(commissioningMonth(july, 1)).toBe(21);
+    expect(operatingShare(july, 0)).toEqual([0.25, 1, 1, 1]);
+    expect(operatingShare(july, 1)).toEqual([0, 0.25, 1, 1]);
+    expect(operatingShare(inputs({ T_commission: 18, T_project: 2 }), 0)).toEqual([0, 0.5, 1]);
+  });
+});
@@ -0,0 +1,79 @@
+// ─── Feedstock Supply ───
+// With feedstock_sources set, fuel comes from a list of sources instead of a
+// flat F_tpd: each has an annual quantity (wet tons), a moisture content, a dry
+// heating value, a gate fee (positive when the supplier pays us to take it,
+// negative when we buy it) and a trucking distance and rate. The fleet's fuel
+// demand is its heat and power output over the CHP efficiency. Sources are drawn
+// in list order until the demand is met; when supply runs out, the units run
+// fewer hours than their availability allows.
+
+// MJ to evaporate a kg of moisture, taken off the as-received heating value
+const LATENT_HEAT = 2.44;
+
+/**
+ * One feedstock source.
+ * @typedef {Object} FeedstockSource
+ * @property {string} name
+ * @property {number} Q_tpy       Wet tons available per year
+ * @property {number} moisture    Water share of the wet mass, 0–1
+ * @property {number} LHV_dry     Dry lower heating value, MJ/kg
+ * @property {number} fee         $/wet ton: + received (tipping), − paid
+ * @property {number} miles       Trucking distance to the site
+ * @property {number} C_ton_mile  Trucking rate, $/ton-mile
+ */
+
+// Starting points for the source editor
+export const FEEDSTOCK_PRESETS = [
+  { name: "On-site waste", Q_tpy: 1500, moisture: 0.3, LHV_dry: 17, fee: 80, miles: 0, C_ton_mile: 0.15 },
+  { name: "Wood chips", Q_tpy: 1000, moisture: 0.35, LHV_dry: 19, fee: -45, miles: 40, C_ton_mile: 0.15 },
+  { name: "Ag residues", Q_tpy: 1000, moisture: 0.15, LHV_dry: 16.5, fee: -30, miles: 25, C_ton_mile: 0.15 },
+];
+
+// As-received heating value, MJ/kg (= GJ per wet ton); never below zero
+export function asReceivedLHV({ moisture, LHV_dry }) {
+  return Math.max(0, LHV_dry * (1 - moisture) - LATENT_HEAT * moisture);
+}
+
+// Fuel one unit burns in a year, GJ
+export function unitFuelDemand({ P_elec, P_therm, eta_chp }, hours_yr) {
+  return (P_elec + P_therm) * hours_yr * 0.0036 / eta_chp;
+}
+
+/**
+ * Draw the year's fuel demand from the sources in order.
+ * @param {FeedstockSource[]} sources
+ * @param {number} demand  GJ
+ * @returns {{ tons: number[], supplied: number, f_supply: number }}
+ *   Wet tons taken from each source, GJ supplied and the share of the demand met
+ */
+export function dispatchFeedstock(sources, demand) {
+  let remaining = demand;
+  const tons = sources.map(source => {
+    const lhv = asReceivedLHV(source);
+    if (lhv === 0 || remaining <= 0) return 0;
+    const taken = Math.min(source.Q_tpy, remaining / lhv);
+    remaining -= taken * lhv;
+    return taken;
+  });
+  const supplied = demand - Math.max(0, remaining);
+  return { tons, supplied, f_supply: demand > 0 ? supplied / demand : 1 };
+}
+
+/**
+ * The year's feedstock cash: tipping fees received, purchases and trucking.
+ * Fees received escalate at r_tipping; purchases and trucking at r_fuel.
+ * @param {FeedstockSource[]} sources
+ * @param {number[]} tons  Wet tons taken from each source
+ * @param {{ r_tipping: number, r_fuel: number }} inputs
+ * @param {number} y  Project year
+ * @returns {{ R_tip: number, C_feed: number, C_haul: number }}
+ */
+export function feedstockCash(sources, tons, { r_tipping, r_fuel }, y) {
+  const esc_tip = Math.pow(1 + r_tipping / 100, y);
+  const esc_fuel = Math.pow(1 + r_fuel / 100, y);
+  return sources.reduce((cash, source, i) => ({
+    R_tip: cash.R_tip + tons[i] * Math.max(0, source.fee) * esc_tip,
+    C_feed: cash.C_feed + tons[i] * Math.max(0, -source.fee) * esc_fuel,
+    C_haul: cash.C_haul + tons[i] * source.miles * source.C_ton_mile * esc_fuel,
+  }), { R_tip: 0, C_feed: 0, C_haul: 0 });
+}
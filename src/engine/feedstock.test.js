@@ -0,0 +1,75 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INPUTS } from "./inputs.js";
+import { runFinancialModel } from "./model.js";
+import { FEEDSTOCK_PRESETS, asReceivedLHV, unitFuelDemand, dispatchFeedstock, feedstockCash } from "./feedstock.js";
+
+const run = (overrides) => runFinancialModel({ ...DEFAULT_INPUTS, ...overrides });
+const sum = (years, key) => years.reduce((s, yr) => s + yr[key], 0);
+const [waste, chips] = FEEDSTOCK_PRESETS;
+
+describe("feedstock supply", () => {
+  it("takes the moisture's weight and evaporation off the heating value", () => {
+    expect(asReceivedLHV({ moisture: 0, LHV_dry: 18 })).toBe(18);
+    expect(asReceivedLHV({ moisture: 0.35, LHV_dry: 19 })).toBeCloseTo(19 * 0.65 - 2.44 * 0.35, 10);
+    expect(asReceivedLHV({ moisture: 0.95, LHV_dry: 18 })).toBe(0);
+    expect(unitFuelDemand({ P_elec: 225, P_therm: 400, eta_chp: 0.75 }, 8000)).toBeCloseTo(625 * 8000 * 0.0036 / 0.75, 6);
+  });
+
+  it("draws the sources in order until the demand is met", () => {
+    const sources = [{ ...waste, Q_tpy: 100, moisture: 0, LHV_dry: 10 }, { ...chips, Q_tpy: 1000, moisture: 0, LHV_dry: 20 }];
+    expect(dispatchFeedstock(sources, 3000)).toEqual({ tons: [100, 100], supplied: 3000, f_supply: 1 });
+    const short = dispatchFeedstock(sources, 40000);
+    expect(short.tons).toEqual([100, 1000]);
+    expect(short.f_supply).toBeCloseTo(21000 / 40000, 10);
+    expect(dispatchFeedstock(sources, 0).f_supply).toBe(1);
+  });
+
+  it("receives tipping fees, pays for purchases and pays to truck everything", () => {
+    const sources = [{ ...waste, fee: 80, miles: 5, C_ton_mile: 0.2 }, { ...chips, fee: -45, miles: 40, C_ton_mile: 0.15 }];
+    const cash = feedstockCash(sources, [100, 200], { r_tipping: 3, r_fuel: 2 }, 2);
+    expect(cash.R_tip).toBeCloseTo(100 * 80 * 1.03 ** 2, 6);
+    expect(cash.C_feed).toBeCloseTo(200 * 45 * 1.02 ** 2, 6);
+    expect(cash.C_haul).toBeCloseTo((100 * 5 * 0.2 + 200 * 40 * 0.15) * 1.02 ** 2, 6);
+  });
+
+  it("runs the fleet on the sources when they meet its fuel demand", () => {
+    const plain = run({ N_units: 1 });
+    const r = run({ N_units: 1, feedstock_sources: [{ ...waste, Q_tpy: 1000 }, { ...chips, Q_tpy: 5000 }] });
+    const yr = r.years[2];
+    expect(yr.f_supply).toBe(1);
+    expect(yr.R_pwr).toBe(plain.years[2].R_pwr);
+    const waste_GJ = 1000 * asReceivedLHV(waste);
+    const chips_t = (r.fuel_demand_unit - waste_GJ) / asReceivedLHV(chips);
+    expect(yr.F_used).toBeCloseTo(1000 + chips_t, 6);
+    expect(yr.R_tip).toBeCloseTo(1000 * waste.fee * 1.03 ** 2, 6);
+    expect(yr.C_feed).toBeCloseTo(chips_t * -chips.fee * (1 + DEFAULT_INPUTS.r_fuel / 100) ** 2, 6);
+    expect(yr.C_fuel).toBeCloseTo(yr.F_used * DEFAULT_INPUTS.C_fuel_process * (1 + DEFAULT_INPUTS.r_fuel / 100) ** 2, 6);
+    expect(yr.OPEX).toBeCloseTo(yr.C_maint + yr.C_fuel + yr.C_feed + yr.C_haul + yr.C_fixed, 6);
+    expect(r.C_current_waste).toBeCloseTo(1000 * DEFAULT_INPUTS.C_cust_waste, 6);
+    expect(r.warnings.some(w => w.includes("Feedstock"))).toBe(false);
+  });
+
+  it("runs fewer hours and warns when supply falls short", () => {
+    const plain = run({ N_units: 2 });
+    const r = run({ N_units: 2, units_per_year: 1, feedstock_sources: [{ ...chips, Q_tpy: 3000 }] });
+    expect(r.years[0].f_supply).toBe(1);
+    const f = 3000 * asReceivedLHV(chips) / (2 * r.fuel_demand_unit);
+    expect(r.years[1].f_supply).toBeCloseTo(f, 10);
+    expect(r.years[1].R_pwr).toBeCloseTo(plain.years[1].R_pwr * f, 6);
+    expect(r.years[1].F_used).toBeCloseTo(3000, 6);
+    expect(r.warnings.some(w => w.startsWith("⚠ Feedstock supply meets"))).toBe(true);
+  });
+
+  it("earns credits and wears the units only for the hours they run", () => {
+    const lifecycle = { N_units: 1, C_overhaul: 50000, H_overhaul: 20000 };
+    const plain = run(lifecycle);
+    const Q_half = 0.5 * plain.fuel_demand_unit / asReceivedLHV(chips);
+    const r = run({ ...lifecycle, feedstock_sources: [{ ...chips, Q_tpy: Q_half }] });
+    expect(r.years[1].f_supply).toBeCloseTo(0.5, 10);
+    expect(r.years[1].CC_vintage).toBeCloseTo(plain.years[1].CC_vintage * 0.5, 6);
+    expect(r.years[1].R_crb).toBeCloseTo(plain.years[1].R_crb * 0.5, 6);
+    const firstOverhaul = (res) => res.years.find(yr => yr.n_overhauls > 0).y;
+    expect(firstOverhaul(r)).toBeGreaterThan(firstOverhaul(plain));
+    expect(sum(r.years, "n_overhauls")).toBeLessThan(sum(plain.years, "n_overhauls"));
+  });
+});
@@ -0,0 +1,84 @@
+// ─── Goal Seek ───
+// Find the value of one input that brings one output metric to a target, e.g.
+// the Power Rate at which NPV = 0. The search stays inside the input's slider
+// bounds: a coarse scan finds where the metric crosses the target (the crossing
+// nearest the current value when there are several), then bisection pins it down.
+import { INPUT_FIELDS, NUMERIC_FIELDS } from "./inputs.js";
+import { runFinancialModel } from "./model.js";
+import { SENSITIVITY_METRICS } from "./sensitivity.js";
+
+const SCAN_POINTS = 40;
+const MAX_BISECTIONS = 60;
+
+/**
+ * @typedef {Object} GoalSeekResult
+ * @property {"solved"|"unreachable"|"insensitive"} status
+ *   unreachable: the target lies outside what the bounds can reach;
+ *   insensitive: the metric does not change with this input at all
+ * @property {?number} value     Solved input value (null unless solved)
+ * @property {?number} achieved  Metric at the solved value
+ * @property {?number} low       Smallest metric value seen across the bounds
+ * @property {?number} high      Largest metric value seen across the bounds
+ * @property {number} runs       Model evaluations used
+ */
+
+/**
+ * @param {import("./model.js").ModelInputs} baseInputs
+ * @param {{ key: string, metric: keyof SENSITIVITY_METRICS, target: number }} goal
+ * @returns {GoalSeekResult}
+ */
+export function goalSeek(baseInputs, { key, metric, target }) {
+  const field = INPUT_FIELDS[key];
+  if (!NUMERIC_FIELDS.includes(field)) throw new Error(`goalSeek: "${key}" is not a slider input`);
+  const get = SENSITIVITY_METRICS[metric].get;
+  let runs = 0;
+  const evaluate = (x) => {
+    runs++;
+    return get(runFinancialModel({ ...baseInputs, [key]: x }));
+  };
+
+  // Whole-number inputs are scanned on their own grid so the answer is a legal value
+  const discrete = field.step >= 1;
+  const grid = [];
+  if (discrete) {
+    const n = Math.round((field.max - field.min) / field.step);
+    const stride = Math.max(1, Math.ceil(n / SCAN_POINTS));
+    for (let i = 0; i <= n; i += stride) grid.push(field.min + i * field.step);
+    if (grid[grid.length - 1] !== field.max) grid.push(field.max);
+  } else {
+    for (let i = 0; i <= SCAN_POINTS; i++) grid.push(field.min + (field.max - field.min) * i / SCAN_POINTS);
+  }
+  const samples = grid.map(x => ({ x, y: evaluate(x) }));
+  const defined = samples.filter(s => s.y !== null);
+  const low = defined.length ? Math.min(...defined.map(s => s.y)) : null;
+  const high = defined.length ? Math.max(...defined.map(s => s.y)) : null;
+  const unsolved = (status) => ({ status, value: null, achieved: null, low, high, runs });
+
+  if (defined.length === 0 || high - low < 1e-9 * Math.max(1, Math.abs(high))) return unsolved("insensitive");
+
+  // Brackets where the metric meets or crosses the target, nearest the current value first
+  const current = baseInputs[key];
+  const brackets = [];
+  for (let i = 1; i < samples.length; i++) {
+    const a = samples[i - 1], b = samples[i];
+    if (a.y === null || b.y === null) continue;
+    if ((a.y - target) * (b.y - target) <= 0) brackets.push([a, b]);
+  }
+  if (brackets.length === 0) return unsolved("unreachable");
+  const distance = ([a, b]) => (current < a.x ? a.x - current : current > b.x ? current - b.x : 0);
+  let [a, b] = brackets.sort((p, q) => distance(p) - distance(q))[0];
+
+  for (let i = 0; i < MAX_BISECTIONS; i++) {
+    if (a.y === target) return { status: "solved", value: a.x, achieved: a.y, low, high, runs };
+    if (b.y === target) return { status: "solved", value: b.x, achieved: b.y, low, high, runs };
+    const atGrid = discrete ? b.x - a.x <= field.step : b.x - a.x <= 1e-9 * Math.max(1, Math.abs(b.x));
+    if (atGrid) break;
+    let x = (a.x + b.x) / 2;
+    if (discrete) x = a.x + Math.max(1, Math.round((x - a.x) / field.step)) * field.step;
+    const m = { x, y: evaluate(x) };
+    // An undefined metric mid-bracket (e.g. IRR) is treated as lying past the target
+    if (m.y !== null && (a.y - target) * (m.y - target) > 0) a = m; else b = m;
+  }
+  const best = b.y === null || (a.y !== null && Math.abs(a.y - target) <= Math.abs(b.y - target)) ? a : b;
+  return { status: "solved", value: best.x, achieved: best.y, low, high, runs };
+}
@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INPUTS, SCENARIOS } from "./inputs.js";
+import { runFinancialModel } from "./model.js";
+import { goalSeek } from "./goalseek.js";
+
+const conservative = { ...DEFAULT_INPUTS, ...SCENARIOS.conservative };
+
+describe("goalSeek", () => {
+  it("finds the break-even Power Rate", () => {
+    const r = goalSeek(conservative, { key: "R_power", metric: "NPV", target: 0 });
+    expect(r.status).toBe("solved");
+    expect(Math.abs(runFinancialModel({ ...conservative, R_power: r.value }).NPV)).toBeLessThan(1);
+    expect(r.value).toBeLessThan(conservative.R_power);
+  });
+
+  it("finds the equity share that keeps DSCR at the target", () => {
+    const r = goalSeek(conservative, { key: "f_equity", metric: "DSCR_min", target: 1.25 });
+    expect(r.status).toBe("solved");
+    expect(r.achieved).toBeCloseTo(1.25, 6);
+    expect(runFinancialModel({ ...conservative, f_equity: r.value + 0.01 }).DSCR_min).toBeGreaterThan(1.25);
+  });
+
+  it("snaps whole-step inputs to the nearest slider value", () => {
+    const r = goalSeek(conservative, { key: "R_tipping", metric: "IRR", target: 15 });
+    expect(r.status).toBe("solved");
+    expect(r.value % 5).toBe(0);
+    const above = runFinancialModel({ ...conservative, R_tipping: r.value + 5 }).IRR * 100;
+    const below = runFinancialModel({ ...conservative, R_tipping: r.value - 5 }).IRR * 100;
+    expect(Math.abs(r.achieved - 15)).toBeLessThanOrEqual(Math.min(Math.abs(above - 15), Math.abs(below - 15)));
+  });
+
+  it("reports targets outside the slider bounds as unreachable", () => {
+    const r = goalSeek(DEFAULT_INPUTS, { key: "R_power", metric: "NPV", target: 0 });
+    expect(r.status).toBe("unreachable");
+    expect(r.value).toBeNull();
+    expect(r.low).toBeGreaterThan(0);
+  });
+
+  it("reports metrics the input does not move as insensitive", () => {
+    // Customer savings depend on the tariff, not on what the system costs Enexor
+    const r = goalSeek(conservative, { key: "C_biochp", metric: "savings_pct", target: 20 });
+    expect(r.status).toBe("insensitive");
+  });
+
+  it("rejects inputs that are not sliders", () => {
+    expect(() => goalSeek(conservative, { key: "dep_method", metric: "NPV", target: 0 })).toThrow();
+  });
+});
@@ -0,0 +1,33 @@
+// Public surface of the headless financial engine, shared by the app and the CLI
+export {
+  SCENARIOS, DEFAULT_INPUTS, INPUT_GROUPS, INPUT_FIELDS, NUMERIC_FIELDS,
+  MONTH_LABELS, DAYS_IN_MONTH, ANNUAL_ONLY_INPUTS, MONTHLY_ONLY_INPUTS, HOURS_PER_YEAR, SITE_INPUTS,
+  clampToField, validateInput, validateInputs, normalizeInputs, splitCarbonPrice,
+} from "./inputs.js";
+export {
+  MACRS_TABLES, depreciationRates, buildTranche, createTaxLedger, monthlyOperation, unitLifecycle,
+  runFinancialModel,
+} from "./model.js";
+export {
+  SENSITIVITY_METRICS, DEFAULT_SENSITIVITY_PARAMS, isValidSensitivityParam, sensitivityValue,
+  runSensitivity, runSpider,
+} from "./sensitivity.js";
+export {
+  parseLoadCsv, parseTouCsv, touRates, dispatchLoad, importedInputKeys, applyLoadProfile, loadDurationCurve,
+} from "./loadprofile.js";
+export { deploymentSchedule, unitBuildYears, commissioningMonth, operatingShare } from "./deployment.js";
+export {
+  FEEDSTOCK_PRESETS, asReceivedLHV, unitFuelDemand, dispatchFeedstock, feedstockCash,
+} from "./feedstock.js";
+export { CARBON_STREAMS, streamCredits, carbonPrice, carbonLedger } from "./carbon.js";
+export { siteInputs, siteOverriddenKeys, learningSequence, rollUpPortfolio } from "./portfolio.js";
+export { solveIRR, computeIRR, computeMIRR } from "./irr.js";
+export { goalSeek } from "./goalseek.js";
+export {
+  BREAK_EVEN, isValidDataTableAxis, axisValues, breakEvenGrid, dataTableRow, runDataTable, contourSegments,
+} from "./datatable.js";
+export {
+  mulberry32, DISTRIBUTIONS, defaultDistribution, isValidDistribution, sampleInput, monteCarloDraws,
+  percentile, runMonteCarlo, summarizeMonteCarlo,
+} from "./montecarlo.js";
+export { YEAR_COLUMNS, MONTH_COLUMNS, toCsv, yearsToCsv, monthsToCsv } from "./table.js";
@@ -0,0 +1,388 @@
+// ─── Model Inputs ───
+// Presets, defaults and slider metadata for every model input, plus the checks
+// the engine and the CLI apply before running a model.
+
+export const SCENARIOS = {
+  conservative: { R_power: 0.08, R_therm: 0.022, R_tipping: 50, P_carbon: 10, P_carbon_fuel: 10, f_avail: 0.85, C_biochp: 750000, N_units: 1, f_equity: 0.60, r_disc: 10 },
+  base: { R_power: 0.10, R_therm: 0.027, R_tipping: 80, P_carbon: 20, P_carbon_fuel: 20, f_avail: 0.92, C_biochp: 660000, N_units: 3, f_equity: 0.50, r_disc: 7 },
+  optimistic: { R_power: 0.12, R_therm: 0.034, R_tipping: 100, P_carbon: 40, P_carbon_fuel: 40, f_avail: 0.95, C_biochp: 550000, N_units: 10, f_equity: 0.40, r_disc: 5 },
+};
+
+export const MONTH_LABELS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+export const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const flat = (v) => Array.from({ length: 12 }, () => v);
+
+// Typical site demand shapes for monthly mode, as a share of output used each month
+const POWER_PROFILES = [
+  { label: "Flat", values: flat(1) },
+  { label: "Greenhouse", values: [1, 1, 0.95, 0.9, 0.85, 0.85, 0.9, 0.9, 0.9, 0.95, 1, 1] },
+  { label: "Dairy", values: [0.85, 0.85, 0.85, 0.9, 0.95, 1, 1, 1, 0.95, 0.9, 0.85, 0.85] },
+];
+const THERMAL_PROFILES = [
+  { label: "Flat", values: flat(1) },
+  { label: "Greenhouse", values: [1, 1, 0.9, 0.7, 0.5, 0.35, 0.3, 0.35, 0.5, 0.75, 0.95, 1] },
+  { label: "Dairy", values: [0.95, 0.95, 0.9, 0.85, 0.8, 0.8, 0.8, 0.8, 0.8, 0.85, 0.9, 0.95] },
+  { label: "District heat", values: [1, 1, 0.9, 0.65, 0.4, 0.25, 0.2, 0.2, 0.35, 0.6, 0.9, 1] },
+];
+const OUTAGE_PLANS = [
+  { label: "None", values: flat(0) },
+  { label: "Spring overhaul", values: [0, 0, 0, 14, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { label: "Summer shutdown", values: [0, 0, 0, 0, 0, 0, 14, 0, 0, 0, 0, 0] },
+  { label: "Split overhauls", values: [0, 0, 0, 7, 0, 0, 0, 0, 0, 7, 0, 0] },
+];
+
+export const DEFAULT_INPUTS = {
+  P_elec: 225, P_therm: 400, f_avail: 0.92, F_tpd: 5, N_units: 3, eta_chp: 0.75, feedstock_sources: null,
+  R_power: 0.10, f_power_util: 1.0, r_power: 3.0, R_export: 0, r_export: 2.0, R_demand: 0,
+  R_therm: 0.027, f_therm_util: 1.0, r_therm: 3.0,
+  R_tipping: 80, W_tpy: 3000, r_tipping: 3.0,
+  CC_methane: 1200, CC_fuel: 1100, CC_emissions: 500, P_carbon: 20, r_carbon: 3.0,
+  P_carbon_fuel: 20, T_credit_methane: 25, T_credit_fuel: 25, P_curve_methane: null, P_curve_fuel: null,
+  f_buffer: 0, T_issuance: 0, C_verify: 0, C_issuance: 0,
+  f_biochar: 0, R_biochar: 150, r_biochar: 2.0, CDR_biochar: 2.5, P_cdr: 120, r_cdr: 3.0, C_char_handling: 40,
+  C_cust_power: 0.143, C_cust_therm: 0.034, C_cust_waste: 100, C_cust_demand: 0,
+  C_biochp: 660000, C_enexfuel: 45000, C_install: 25000, C_site: 12500,
+  R_maint: 0.025, C_fuel_process: 70, C_insurance: 2000, C_acct_mgmt: 2920,
+  r_maint: 3.0, r_fuel: 3.0,
+  r_degrade: 0, H_overhaul: 40000, C_overhaul: 0, mmra: false, f_salvage: 0, C_decom: 0,
+  f_equity: 0.50, r_debt: 6.0, T_loan: 5, f_loan_fees: 2.0,
+  T_construction: 0, T_grace: 0, debt_repayment: "annuity", f_balloon: 0.3, DSCR_target: 1.35,
+  r_disc: 7.0, r_mirr_finance: 6.0, r_mirr_reinvest: 7.0, T_project: 10, Y_start: 2026, LR: 0.90, units_per_year: 2,
+  deploy_schedule: null, M_install: 1, T_commission: 0,
+  tax_fed: 21, tax_state: 6, dep_method: "macrs5", T_dep_sl: 20, f_bonus: 0,
+  incentive: "none", itc_base: 30, itc_energy_community: false, itc_domestic_content: false,
+  ptc_rate: 0.0275, r_ptc: 2.0, T_ptc: 10, transfer_credits: false, transfer_price: 0.92,
+  time_step: "annual", f_avail_forced: 0.96,
+  profile_power: flat(1), profile_therm: flat(1), outage_days: [...OUTAGE_PLANS[1].values],
+  load_profile: null, tou_power: null,
+  sites: [],
+};
+
+// Slider definitions for the input panel. Bounds double as the physical limits
+// used when sampling or sweeping an input.
+export const INPUT_GROUPS = [
+  { title: "System Performance", icon: "⚡", defaultOpen: true, fields: [
+    { key: "P_elec", label: "Electrical Output", min: 50, max: 500, step: 25, unit: "kW", decimals: 0 },
+    { key: "P_therm", label: "Thermal Output", min: 100, max: 1000, step: 25, unit: "kWth", decimals: 0 },
+    { key: "f_avail", label: "Availability", min: 0.70, max: 0.99, step: 0.01, unit: "", decimals: 2 },
+    { key: "F_tpd", label: "Feedstock Required", min: 1, max: 20, step: 0.5, unit: "t/day", decimals: 1 },
+    { key: "eta_chp", label: "CHP Efficiency", min: 0.4, max: 0.95, step: 0.01, unit: "", decimals: 2 },
+  ] },
+  { title: "Power Revenue", icon: "⊕", fields: [
+    { key: "R_power", label: "Power Rate", min: 0.04, max: 0.25, step: 0.005, unit: "$/kWh", decimals: 3, prefix: "$" },
+    { key: "f_power_util", label: "Power Utilization", min: 0, max: 1, step: 0.05, unit: "", decimals: 2 },
+    { key: "r_power", label: "Power Escalation", min: 0, max: 8, step: 0.5, unit: "%/yr", decimals: 1 },
+    { key: "R_export", label: "Export / Net-Metering Rate", min: 0, max: 0.20, step: 0.005, unit: "$/kWh", decimals: 3, prefix: "$" },
+    { key: "r_export", label: "Export Escalation", min: 0, max: 8, step: 0.5, unit: "%/yr", decimals: 1 },
+    { key: "R_demand", label: "Capacity Charge", min: 0, max: 30, step: 0.5, unit: "$/kW-mo", decimals: 2, prefix: "$" },
+  ] },
+  { title: "Thermal Revenue", icon: "◎", fields: [
+    { key: "R_therm", label: "Thermal Rate", min: 0.01, max: 0.10, step: 0.001, unit: "$/kWh", decimals: 3, prefix: "$" },
+    { key: "f_therm_util", label: "Thermal Utilization", min: 0, max: 1, step: 0.05, unit: "", decimals: 2 },
+    { key: "r_therm", label: "Thermal Escalation", min: 0, max: 8, step: 0.5, unit: "%/yr", decimals: 1 },
+  ] },
+  { title: "Waste Processing", icon: "♻", fields: [
+    { key: "R_tipping", label: "Tipping Fee", min: 0, max: 200, step: 5, unit: "$/ton", decimals: 0, prefix: "$" },
+    { key: "W_tpy", label: "Waste Available", min: 0, max: 10000, step: 100, unit: "t/yr", decimals: 0 },
+    { key: "r_tipping", label: "Tipping Escalation", min: 0, max: 8, step: 0.5, unit: "%/yr", decimals: 1 },
+  ] },
+  { title: "Carbon Credits", icon: "◆", fields: [
+    { key: "CC_methane", label: "Methane Offsets", min: 0, max: 5000, step: 100, unit: "MTCO₂e/yr", decimals: 0 },
+    { key: "CC_fuel", label: "Fuel Offsets", min: 0, max: 5000, step: 100, unit: "MTCO₂e/yr", decimals: 0 },
+    { key: "CC_emissions", label: "Project Emissions", min: 0, max: 3000, step: 50, unit: "MTCO₂e/yr", decimals: 0 },
+    { key: "P_carbon", label: "Methane Credit Price", min: 0, max: 100, step: 1, unit: "$/ton", decimals: 0, prefix: "$" },
+    { key: "T_credit_methane", label: "Methane Crediting Period", min: 1, max: 25, step: 1, unit: "yrs", decimals: 0 },
+    { key: "P_carbon_fuel", label: "Fuel Credit Price", min: 0, max: 100, step: 1, unit: "$/ton", decimals: 0, prefix: "$" },
+    { key: "T_credit_fuel", label: "Fuel Crediting Period", min: 1, max: 25, step: 1, unit: "yrs", decimals: 0 },
+    { key: "r_carbon", label: "Carbon Escalation", min: 0, max: 8, step: 0.5, unit: "%/yr", decimals: 1 },
+    { key: "f_buffer", label: "Buffer Pool Share", min: 0, max: 0.3, step: 0.01, unit: "", decimals: 2 },
+    { key: "T_issuance", label: "Issuance Lag", min: 0, max: 3, step: 1, unit: "yrs", decimals: 0 },
+    { key: "C_verify", label: "Verification Cost", min: 0, max: 50000, step: 500, unit: "$/unit/yr", decimals: 0, prefix: "$" },
+    { key: "C_issuance", label: "Issuance Fee", min: 0, max: 1, step: 0.05, unit: "$/ton", decimals: 2, prefix: "$" },
+  ] },
+  { title: "Biochar", icon: "▲", fields: [
+    { key: "f_biochar", label: "Biochar Yield", min: 0, max: 0.3, step: 0.01, unit: "t/t feed", decimals: 2 },
+    { key: "R_biochar", label: "Biochar Price", min: 0, max: 1000, step: 10, unit: "$/t", decimals: 0, prefix: "$" },
+    { key: "r_biochar", label: "Biochar Escalation", min: 0, max: 8, step: 0.5, unit: "%/yr", decimals: 1 },
+    { key: "CDR_biochar", label: "Durable Carbon Removal", min: 0, max: 3.5, step: 0.1, unit: "tCO₂e/t", decimals: 1 },
+    { key: "P_cdr", label: "CDR Credit Price", min: 0, max: 500, step: 5, unit: "$/tCO₂e", decimals: 0, prefix: "$" },
+    { key: "r_cdr", label: "CDR Escalation", min: 0, max: 8, step: 0.5, unit: "%/yr", decimals: 1 },
+    { key: "C_char_handling", label: "Handling & Bagging", min: 0, max: 200, step: 5, unit: "$/t", decimals: 0, prefix: "$" },
+  ] },
+  { title: "Customer Current Costs", icon: "⇄", fields: [
+    { key: "C_cust_power", label: "Current Power Rate", min: 0.05, max: 0.40, step: 0.005, unit: "$/kWh", decimals: 3, prefix: "$" },
+    { key: "C_cust_therm", label: "Current Thermal Rate", min: 0.01, max: 0.15, step: 0.001, unit: "$/kWh", decimals: 3, prefix: "$" },
+    { key: "C_cust_waste", label: "Current Waste Cost", min: 0, max: 300, step: 5, unit: "$/ton", decimals: 0, prefix: "$" },
+    { key: "C_cust_demand", label: "Current Demand Charge", min: 0, max: 40, step: 0.5, unit: "$/kW-mo", decimals: 2, prefix: "$" },
+  ] },
+  { title: "CAPEX — Equipment", icon: "⚙", fields: [
+    { key: "C_biochp", label: "BioCHP System", min: 200000, max: 1500000, step: 10000, unit: "", decimals: 0, prefix: "$" },
+    { key: "C_enexfuel", label: "EnexFuel Equipment", min: 10000, max: 150000, step: 5000, unit: "", decimals: 0, prefix: "$" },
+    { key: "C_install", label: "Shipping & Install", min: 10000, max: 80000, step: 5000, unit: "", decimals: 0, prefix: "$" },
+  ] },
+  { title: "OPEX", icon: "⟳", fields: [
+    { key: "R_maint", label: "Maintenance Rate", min: 0.01, max: 0.06, step: 0.005, unit: "$/kWh", decimals: 3, prefix: "$" },
+    { key: "C_fuel_process", label: "EnexFuel Processing", min: 20, max: 150, step: 5, unit: "$/ton", decimals: 0, prefix: "$" },
+    { key: "C_insurance", label: "Insurance", min: 500, max: 10000, step: 250, unit: "/yr", decimals: 0, prefix: "$" },
+    { key: "C_acct_mgmt", label: "Account Management", min: 1000, max: 10000, step: 250, unit: "/yr", decimals: 0, prefix: "$" },
+  ] },
+  { title: "Lifecycle", icon: "⚒", fields: [
+    { key: "r_degrade", label: "Output Degradation", min: 0, max: 3, step: 0.1, unit: "%/yr", decimals: 1 },
+    { key: "H_overhaul", label: "Overhaul Interval", min: 10000, max: 80000, step: 2500, unit: "run-hrs", decimals: 0 },
+    { key: "C_overhaul", label: "Overhaul Cost", min: 0, max: 300000, step: 5000, unit: "/unit", decimals: 0, prefix: "$" },
+    { key: "mmra", label: "Major-Maintenance Reserve", type: "toggle" },
+    { key: "f_salvage", label: "Salvage Value (share of CAPEX)", min: 0, max: 0.3, step: 0.01, unit: "", decimals: 2 },
+    { key: "C_decom", label: "Decommissioning Cost", min: 0, max: 100000, step: 2500, unit: "/unit", decimals: 0, prefix: "$" },
+  ] },
+  { title: "Financing", icon: "◈", fields: [
+    { key: "f_equity", label: "Equity %", min: 0, max: 1, step: 0.05, unit: "", decimals: 2 },
+    { key: "r_debt", label: "Debt Rate", min: 2, max: 15, step: 0.5, unit: "%", decimals: 1 },
+    { key: "T_loan", label: "Loan Term", min: 1, max: 15, step: 1, unit: "yrs", decimals: 0 },
+    { key: "f_loan_fees", label: "Loan Fees", min: 0, max: 5, step: 0.5, unit: "%", decimals: 1 },
+    { key: "T_construction", label: "Construction Period", min: 0, max: 24, step: 1, unit: "months", decimals: 0 },
+    { key: "T_grace", label: "Interest-Only Grace", min: 0, max: 5, step: 1, unit: "yrs", decimals: 0 },
+    { key: "debt_repayment", label: "Repayment Profile", type: "select", options: [
+      { value: "annuity", label: "Level annuity" }, { value: "balloon", label: "Balloon" }, { value: "sculpted", label: "Sculpted to DSCR" },
+    ] },
+    { key: "f_balloon", label: "Balloon at Maturity", min: 0, max: 0.8, step: 0.05, unit: "", decimals: 2 },
+    { key: "DSCR_target", label: "Sculpting DSCR Target", min: 1.1, max: 2.0, step: 0.05, unit: "×", decimals: 2 },
+    { key: "r_disc", label: "Discount Rate", min: 4, max: 20, step: 0.5, unit: "%", decimals: 1 },
+    { key: "r_mirr_finance", label: "MIRR Finance Rate", min: 0, max: 15, step: 0.5, unit: "%", decimals: 1 },
+    { key: "r_mirr_reinvest", label: "MIRR Reinvestment Rate", min: 0, max: 20, step: 0.5, unit: "%", decimals: 1 },
+  ] },
+  { title: "Tax & Depreciation", icon: "§", fields: [
+    { key: "tax_fed", label: "Federal Tax Rate", min: 0, max: 35, step: 0.5, unit: "%", decimals: 1 },
+    { key: "tax_state", label: "State Tax Rate", min: 0, max: 12, step: 0.25, unit: "%", decimals: 2 },
+    { key: "dep_method", label: "Depreciation Schedule", type: "select", options: [
+      { value: "macrs5", label: "MACRS 5-yr" }, { value: "macrs7", label: "MACRS 7-yr" },
+      { value: "macrs15", label: "MACRS 15-yr" }, { value: "sl", label: "Straight-line" },
+    ] },
+    { key: "T_dep_sl", label: "Straight-Line Life", min: 5, max: 40, step: 1, unit: "yrs", decimals: 0 },
+    { key: "f_bonus", label: "Bonus Depreciation", min: 0, max: 1, step: 0.05, unit: "", decimals: 2 },
+  ] },
+  { title: "Incentives", icon: "★", fields: [
+    { key: "incentive", label: "Tax Credit", type: "select", options: [
+      { value: "none", label: "None" }, { value: "itc", label: "§48 ITC" }, { value: "ptc", label: "§45Y PTC" },
+    ] },
+    { key: "itc_base", label: "ITC Base Rate", min: 6, max: 30, step: 1, unit: "%", decimals: 0 },
+    { key: "ptc_rate", label: "PTC Rate", min: 0.003, max: 0.035, step: 0.0005, unit: "$/kWh", decimals: 4, prefix: "$" },
+    { key: "r_ptc", label: "PTC Inflation Adj.", min: 0, max: 5, step: 0.5, unit: "%/yr", decimals: 1 },
+    { key: "T_ptc", label: "PTC Period", min: 1, max: 10, step: 1, unit: "yrs", decimals: 0 },
+    { key: "itc_energy_community", label: "Energy Community Adder", type: "toggle" },
+    { key: "itc_domestic_content", label: "Domestic Content Adder", type: "toggle" },
+    { key: "transfer_credits", label: "Transfer Credits (§6418)", type: "toggle" },
+    { key: "transfer_price", label: "Transfer Price", min: 0.80, max: 1.00, step: 0.01, unit: "$/credit $", decimals: 2, prefix: "$" },
+  ] },
+  { title: "Seasonality", icon: "◔", fields: [
+    { key: "time_step", label: "Time Step", type: "select", options: [
+      { value: "annual", label: "Annual (flat)" }, { value: "monthly", label: "Monthly profiles" },
+    ] },
+    { key: "f_avail_forced", label: "Availability excl. Outages", min: 0.80, max: 1.00, step: 0.01, unit: "", decimals: 2 },
+    { key: "profile_power", label: "Power Utilization by Month", type: "monthly", min: 0, max: 1, step: 0.05, unit: "", decimals: 2, presets: POWER_PROFILES },
+    { key: "profile_therm", label: "Thermal Utilization by Month", type: "monthly", min: 0, max: 1, step: 0.05, unit: "", decimals: 2, presets: THERMAL_PROFILES },
+    { key: "outage_days", label: "Planned Outage Days", type: "monthly", min: 0, max: 31, step: 1, unit: "days", decimals: 0, presets: OUTAGE_PLANS },
+  ] },
+  { title: "Fleet & Project", icon: "▥", fields: [
+    { key: "N_units", label: "Number of Units", min: 1, max: 50, step: 1, unit: "units", decimals: 0 },
+    { key: "T_project", label: "Contract Term", min: 5, max: 25, step: 1, unit: "yrs", decimals: 0 },
+    { key: "LR", label: "Learning Rate", min: 0.75, max: 0.95, step: 0.01, unit: "", decimals: 2 },
+    { key: "units_per_year", label: "Deploy Rate", min: 1, max: 10, step: 1, unit: "/yr", decimals: 0 },
+    { key: "M_install", label: "Install Month", min: 1, max: 12, step: 1, unit: "", decimals: 0 },
+    { key: "T_commission", label: "Commissioning Delay", min: 0, max: 24, step: 1, unit: "mo", decimals: 0 },
+  ] },
+];
+
+export const INPUT_FIELDS = Object.fromEntries(INPUT_GROUPS.flatMap(g => g.fields.map(f => [f.key, f])));
+export const NUMERIC_FIELDS = Object.values(INPUT_FIELDS).filter(f => !f.type);
+
+// Inputs each time step ignores: monthly mode replaces the flat availability and
+// utilization factors with the 12-month profiles and planned outages.
+export const ANNUAL_ONLY_INPUTS = ["f_avail", "f_power_util", "f_therm_util"];
+export const MONTHLY_ONLY_INPUTS = ["f_avail_forced", "profile_power", "profile_therm", "outage_days"];
+
+// Imported hourly data (see loadprofile.js), null until a file is loaded. These
+// have no slider; they are set from the load-profile panel or a scenario file.
+export const HOURS_PER_YEAR = 8760;
+const IMPORTED_INPUTS = { load_profile: validateLoadProfile, tou_power: validateTouTariff };
+
+// Forward carbon price curves (see carbon.js), null to escalate today's price
+const PRICE_CURVES = ["P_curve_methane", "P_curve_fuel"];
+
+// Inputs a portfolio site may set for itself (see portfolio.js): unit size and
+// cost, the host's rates and waste, carbon credits and the commissioning year.
+// Every other input is shared by the whole portfolio.
+export const SITE_INPUTS = [
+  "N_units", "Y_start", "P_elec", "P_therm", "F_tpd", "C_biochp", "C_install",
+  "R_power", "R_therm", "R_tipping", "W_tpy", "C_cust_power", "C_cust_therm", "C_cust_waste",
+  "CC_methane", "CC_fuel", "P_carbon", "P_carbon_fuel",
+];
+
+// Hold a swept or sampled value inside the slider bounds (no 105% availability)
+// and snap it to whole steps for integer inputs such as N_units or T_loan.
+export function clampToField(key, x) {
+  const field = INPUT_FIELDS[key];
+  x = Math.min(field.max, Math.max(field.min, x));
+  if (field.step >= 1) x = Math.round(x / field.step) * field.step;
+  return x;
+}
+
+// Hard limits beyond the slider bounds: sliders mark the usual range, but a site
+// model may legitimately sit outside it (e.g. r_debt = 0). Only values the model
+// cannot represent are rejected.
+const POSITIVE_INPUTS = ["LR", "DSCR_target", "H_overhaul", "eta_chp"];
+const WHOLE_INPUTS = ["Y_start"];
+
+/**
+ * Check one input value. Returns a human-readable problem, or null when valid.
+ * @param {string} key
+ * @param {*} value
+ * @returns {string|null}
+ */
+export function validateInput(key, value) {
+  if (!(key in DEFAULT_INPUTS)) return `unknown input "${key}"`;
+  const field = INPUT_FIELDS[key];
+  if (field?.type === "monthly") return validateMonthly(key, value, field);
+  if (IMPORTED_INPUTS[key]) return value === null ? null : IMPORTED_INPUTS[key](key, value);
+  if (key === "sites") return validateSites(key, value);
+  if (key === "deploy_schedule") return value === null ? null : validateSchedule(key, value);
+  if (PRICE_CURVES.includes(key)) return value === null ? null : validateCurve(key, value);
+  if (key === "feedstock_sources") return value === null ? null : validateSources(key, value);
+  const expected = typeof DEFAULT_INPUTS[key];
+  if (typeof value !== expected) return `"${key}" must be a ${expected}`;
+  if (field?.type === "select" && !field.options.some(o => o.value === value)) {
+    return `"${key}" must be one of ${field.options.map(o => `"${o.value}"`).join(", ")}`;
+  }
+  if (expected !== "number") return null;
+  if (!isFinite(value)) return `"${key}" must be a finite number`;
+  if (WHOLE_INPUTS.includes(key)) return Number.isInteger(value) ? null : `"${key}" must be a whole number`;
+  if (value < 0) return `"${key}" must not be negative`;
+  if (POSITIVE_INPUTS.includes(key) && value === 0) return `"${key}" must be greater than 0`;
+  if (!field) return null;
+  // Shares and utilization factors are fractions; counts and terms are whole numbers
+  if (!field.unit && field.max <= 1 && value > 1) return `"${key}" must be between 0 and 1`;
+  if (field.step === 1 && !Number.isInteger(value)) return `"${key}" must be a whole number`;
+  if (field.step === 1 && field.min >= 1 && value < 1) return `"${key}" must be at least 1`;
+  return null;
+}
+
+// Twelve values, January first; outage days cannot exceed the month's length
+function validateMonthly(key, value, field) {
+  if (!Array.isArray(value) || value.length !== 12) return `"${key}" must list 12 monthly values`;
+  if (!value.every(v => typeof v === "number" && isFinite(v) && v >= 0)) return `"${key}" must hold non-negative numbers`;
+  if (field.max <= 1 && value.some(v => v > 1)) return `"${key}" values must be between 0 and 1`;
+  if (field.unit === "days" && value.some((v, m) => v > DAYS_IN_MONTH[m])) return `"${key}" cannot exceed the days in each month`;
+  return null;
+}
+
+const isHourly = (v) => Array.isArray(v) && v.length === HOURS_PER_YEAR && v.every(x => typeof x === "number" && isFinite(x) && x >= 0);
+
+// kW (electric) and kWth (thermal, optional) averaged over each hour from Jan 1 00:00
+function validateLoadProfile(key, value) {
+  if (typeof value !== "object" || !isHourly(value.power)) return `"${key}" must hold ${HOURS_PER_YEAR} non-negative hourly power loads`;
+  if (value.therm !== null && !isHourly(value.therm)) return `"${key}" thermal loads must be null or ${HOURS_PER_YEAR} non-negative values`;
+  return null;
+}
+
+// $/kWh by month and hour of day, for weekdays and weekends
+function validateTouTariff(key, value) {
+  const isMatrix = (m) => Array.isArray(m) && m.length === 12
+    && m.every(row => Array.isArray(row) && row.length === 24 && row.every(x => typeof x === "number" && isFinite(x) && x >= 0));
+  if (typeof value !== "object" || !isMatrix(value.weekday) || !isMatrix(value.weekend)) {
+    return `"${key}" must hold weekday and weekend rates for 12 months × 24 hours`;
+  }
+  return null;
+}
+
+// Units built in each project year, from year 0; at least one unit in all
+function validateSchedule(key, value) {
+  if (!Array.isArray(value) || value.length === 0) return `"${key}" must list units by year`;
+  if (!value.every(n => Number.isInteger(n) && n >= 0)) return `"${key}" must hold whole, non-negative unit counts`;
+  if (!value.some(n => n > 0)) return `"${key}" must build at least one unit`;
+  return null;
+}
+
+// Forward carbon prices in $/ton by project year, from year 0
+function validateCurve(key, value) {
+  if (!Array.isArray(value) || value.length === 0) return `"${key}" must list prices by year`;
+  if (!value.every(p => typeof p === "number" && isFinite(p) && p >= 0)) return `"${key}" must hold non-negative prices`;
+  return null;
+}
+
+// Each feedstock source is a name plus its supply, fuel quality and costs (see feedstock.js)
+function validateSources(key, value) {
+  if (!Array.isArray(value) || value.length === 0) return `"${key}" must list feedstock sources`;
+  for (const [i, source] of value.entries()) {
+    if (source === null || typeof source !== "object" || typeof source.name !== "string") return `"${key}" source ${i + 1} must have a name`;
+    for (const field of ["Q_tpy", "moisture", "LHV_dry", "fee", "miles", "C_ton_mile"]) {
+      const v = source[field];
+      if (typeof v !== "number" || !isFinite(v)) return `"${key}" source ${i + 1}: "${field}" must be a finite number`;
+      if (field !== "fee" && v < 0) return `"${key}" source ${i + 1}: "${field}" must not be negative`;
+    }
+    if (source.moisture >= 1) return `"${key}" source ${i + 1}: "moisture" must be below 1`;
+  }
+  return null;
+}
+
+// Each site is a name plus the site inputs it overrides
+function validateSites(key, value) {
+  if (!Array.isArray(value)) return `"${key}" must be a list of sites`;
+  for (const [i, site] of value.entries()) {
+    if (site === null || typeof site !== "object" || typeof site.name !== "string") return `"${key}" site ${i + 1} must have a name`;
+    for (const [k, v] of Object.entries(site)) {
+      if (k === "name") continue;
+      if (!SITE_INPUTS.includes(k)) return `"${key}" site ${i + 1}: "${k}" cannot be set per site`;
+      const issue = validateInput(k, v);
+      if (issue) return `"${key}" site ${i + 1}: ${issue}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a complete input set. Returns every problem found; empty when valid.
+ * @param {Object} inputs
+ * @returns {string[]}
+ */
+export function validateInputs(inputs) {
+  if (inputs === null || typeof inputs !== "object") return ["inputs must be an object"];
+  const issues = Object.keys(DEFAULT_INPUTS).filter(key => !(key in inputs)).map(key => `missing input "${key}"`);
+  for (const [key, value] of Object.entries(inputs)) {
+    const issue = validateInput(key, value);
+    if (issue) issues.push(issue);
+  }
+  return issues;
+}
+
+// Coerce a stored inputs object onto the current input set: unknown keys are
+// dropped and missing or invalid values fall back to DEFAULT_INPUTS.
+export function normalizeInputs(raw) {
+  const inputs = { ...DEFAULT_INPUTS };
+  const issues = [];
+  for (const [key, value] of Object.entries(raw || {})) {
+    if (!(key in DEFAULT_INPUTS)) {
+      issues.push(`unknown input "${key}" ignored`);
+      continue;
+    }
+    const issue = validateInput(key, value);
+    if (issue) {
+      issues.push(`${issue} — default used`);
+      continue;
+    }
+    inputs[key] = value;
+  }
+  return { inputs, issues };
+}
+
+// Inputs saved before fuel-displacement credits had their own price sold every
+// credit at P_carbon. Give them (and each site that set P_carbon) a P_carbon_fuel
+// equal to it, so they keep their numbers; 20 was the default P_carbon then.
+export function splitCarbonPrice(raw) {
+  if (raw === null || typeof raw !== "object" || "P_carbon_fuel" in raw) return raw;
+  const inputs = { ...raw, P_carbon_fuel: raw.P_carbon ?? 20 };
+  if (Array.isArray(raw.sites)) {
+    inputs.sites = raw.sites.map(site => (site && typeof site === "object" && "P_carbon" in site && !("P_carbon_fuel" in site)
+      ? { ...site, P_carbon_fuel: site.P_carbon } : site));
+  }
+  return inputs;
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect } from "vitest";
+import { SCENARIOS, DEFAULT_INPUTS, INPUT_FIELDS, validateInput, validateInputs, normalizeInputs, splitCarbonPrice } from "./inputs.js";
+
+describe("validateInputs", () => {
+  it("accepts the defaults and every preset", () => {
+    expect(validateInputs(DEFAULT_INPUTS)).toEqual([]);
+    for (const preset of Object.values(SCENARIOS)) expect(validateInputs({ ...DEFAULT_INPUTS, ...preset })).toEqual([]);
+  });
+
+  it("accepts values outside the slider range the model can still represent", () => {
+    expect(validateInputs({ ...DEFAULT_INPUTS, r_debt: 0, P_elec: 1200, T_project: 30 })).toEqual([]);
+  });
+
+  it("reports missing, unknown and invalid inputs", () => {
+    const { P_elec: _omit, ...rest } = DEFAULT_INPUTS;
+    const issues = validateInputs({ ...rest, extra: 1, N_units: 2.5, f_avail: 1.2, dep_method: "macrs3", f_bonus: "1" });
+    expect(issues).toEqual([
+      'missing input "P_elec"',
+      '"f_avail" must be between 0 and 1',
+      '"N_units" must be a whole number',
+      '"dep_method" must be one of "macrs5", "macrs7", "macrs15", "sl"',
+      '"f_bonus" must be a number',
+      'unknown input "extra"',
+    ]);
+  });
+
+  it("rejects values the model cannot run", () => {
+    expect(validateInput("C_biochp", -1)).toMatch(/negative/);
+    expect(validateInput("r_disc", NaN)).toMatch(/finite/);
+    expect(validateInput("LR", 0)).toMatch(/greater than 0/);
+    expect(validateInput("H_overhaul", 0)).toMatch(/greater than 0/);
+    expect(validateInput("N_units", 0)).toMatch(/at least 1/);
+    expect(validateInput("Y_start", 2026.5)).toMatch(/whole number/);
+    expect(validateInput("transfer_credits", 1)).toMatch(/boolean/);
+  });
+
+  it("checks a deployment schedule", () => {
+    expect(validateInput("deploy_schedule", [1, 0, 2])).toBeNull();
+    expect(validateInput("deploy_schedule", [1, 0.5])).toMatch(/whole/);
+    expect(validateInput("deploy_schedule", [0, 0])).toMatch(/at least one unit/);
+    expect(validateInput("deploy_schedule", [])).toMatch(/units by year/);
+  });
+
+  it("checks a forward carbon price curve", () => {
+    expect(validateInput("P_curve_methane", null)).toBeNull();
+    expect(validateInput("P_curve_fuel", [18, 22.5, 30])).toBeNull();
+    expect(validateInput("P_curve_fuel", [18, -1])).toMatch(/non-negative/);
+    expect(validateInput("P_curve_fuel", [])).toMatch(/prices by year/);
+  });
+
+  it("checks feedstock sources", () => {
+    const chips = { name: "Chips", Q_tpy: 1000, moisture: 0.35, LHV_dry: 19, fee: -45, miles: 40, C_ton_mile: 0.15 };
+    expect(validateInput("feedstock_sources", null)).toBeNull();
+    expect(validateInput("feedstock_sources", [chips])).toBeNull();
+    expect(validateInput("feedstock_sources", [])).toMatch(/must list/);
+    expect(validateInput("feedstock_sources", [{ ...chips, moisture: 1 }])).toMatch(/below 1/);
+    expect(validateInput("feedstock_sources", [{ ...chips, miles: -1 }])).toMatch(/negative/);
+    expect(validateInput("feedstock_sources", [{ ...chips, name: undefined }])).toMatch(/name/);
+  });
+
+  it("needs a CHP efficiency to size the fuel demand", () => {
+    expect(validateInput("eta_chp", 0.6)).toBeNull();
+    expect(validateInput("eta_chp", 0)).toMatch(/greater than 0/);
+    expect(validateInput("eta_chp", 1.2)).toMatch(/between 0 and 1/);
+  });
+
+  it("checks each portfolio site's overrides", () => {
+    expect(validateInput("sites", [{ name: "Dairy", N_units: 2, Y_start: 2027, P_elec: 150 }])).toBeNull();
+    expect(validateInput("sites", [{ N_units: 2 }])).toMatch(/site 1 must have a name/);
+    expect(validateInput("sites", [{ name: "A" }, { name: "B", r_disc: 9 }])).toMatch(/site 2: "r_disc" cannot be set per site/);
+    expect(validateInput("sites", [{ name: "A", N_units: 0 }])).toMatch(/at least 1/);
+  });
+
+  it("has slider metadata for every field it describes", () => {
+    for (const key of Object.keys(INPUT_FIELDS)) expect(key in DEFAULT_INPUTS).toBe(true);
+  });
+});
+
+describe("normalizeInputs", () => {
+  it("falls back to defaults for unknown and invalid values", () => {
+    const { inputs, issues } = normalizeInputs({ N_units: 5, f_avail: 3, bogus: true });
+    expect(inputs).toEqual({ ...DEFAULT_INPUTS, N_units: 5 });
+    expect(issues).toEqual(['"f_avail" must be between 0 and 1 — default used', 'unknown input "bogus" ignored']);
+  });
+});
+
+describe("splitCarbonPrice", () => {
+  it("prices fuel credits at the old single carbon price", () => {
+    expect(splitCarbonPrice({ P_carbon: 40 })).toEqual({ P_carbon: 40, P_carbon_fuel: 40 });
+    expect(splitCarbonPrice({ R_power: 0.12 })).toEqual({ R_power: 0.12, P_carbon_fuel: 20 });
+    const sites = [{ name: "A", P_carbon: 55 }, { name: "B" }];
+    expect(splitCarbonPrice({ P_carbon: 40, sites }).sites).toEqual([{ name: "A", P_carbon: 55, P_carbon_fuel: 55 }, { name: "B" }]);
+  });
+
+  it("leaves inputs that already price fuel credits alone", () => {
+    const inputs = { P_carbon: 40, P_carbon_fuel: 5 };
+    expect(splitCarbonPrice(inputs)).toBe(inputs);
+  });
+});
+
+describe("monthly inputs", () => {
+  it("need twelve values in range", () => {
+    expect(validateInput("profile_therm", DEFAULT_INPUTS.profile_therm)).toBeNull();
+    expect(validateInput("profile_therm", [1, 1])).toMatch(/12 monthly values/);
+    expect(validateInput("profile_power", [...DEFAULT_INPUTS.profile_power.slice(1), 1.2])).toMatch(/between 0 and 1/);
+    expect(validateInput("outage_days", [0, 29, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0])).toMatch(/days in each month/);
+    expect(validateInput("outage_days", "14")).toMatch(/12 monthly values/);
+  });
+
+  it("offer presets that differ from one another, so each can show as selected", () => {
+    for (const field of Object.values(INPUT_FIELDS).filter(f => f.type === "monthly")) {
+      const shapes = field.presets.map(p => JSON.stringify(p.values));
+      expect(new Set(shapes).size).toBe(shapes.length);
+      for (const p of field.presets) expect(validateInput(field.key, p.values)).toBeNull();
+    }
+  });
+});
@@ -0,0 +1,93 @@
+// ─── IRR & MIRR ───
+// Staggered deployments and debt draws can flip the sign of the yearly cash flow
+// more than once, so NPV(r) may have several roots or none. The solver scans the
+// whole range for sign changes, then polishes each bracketed root with Newton
+// steps that fall back to bisection whenever a step leaves the bracket.
+
+const IRR_MIN = -0.99;
+const IRR_MAX = 100; // 10,000%
+const SCAN_STEPS = 400;
+
+function npvAndSlope(cashflows, rate) {
+  let npv = 0, slope = 0, factor = 1;
+  for (let t = 0; t < cashflows.length; t++) {
+    npv += cashflows[t] / factor;
+    slope -= t * cashflows[t] / (factor * (1 + rate));
+    factor *= 1 + rate;
+  }
+  return [npv, slope];
+}
+
+function polishRoot(cashflows, lo, hi, npvLo, tolerance) {
+  let rate = (lo + hi) / 2;
+  for (let iter = 0; iter < 100; iter++) {
+    const [npv, slope] = npvAndSlope(cashflows, rate);
+    if (Math.abs(npv) <= tolerance) return rate;
+    if (Math.sign(npv) === Math.sign(npvLo)) {
+      lo = rate;
+      npvLo = npv;
+    } else {
+      hi = rate;
+    }
+    let next = slope !== 0 ? rate - npv / slope : NaN;
+    if (!(next > lo && next < hi)) next = (lo + hi) / 2;
+    if (Math.abs(next - rate) < 1e-12) return next;
+    rate = next;
+  }
+  return rate;
+}
+
+/**
+ * Every IRR of a cash-flow series between −99% and 10,000%.
+ * @param {number[]} cashflows  One flow per period, starting at t = 0
+ * @returns {{ irr: ?number, status: "unique"|"multiple"|"none", roots: number[], sign_changes: number }}
+ *   `irr` is set only when exactly one root exists; a series with a non-finite
+ *   flow has none.
+ */
+export function solveIRR(cashflows) {
+  if (!cashflows.every(Number.isFinite)) return { irr: null, status: "none", roots: [], sign_changes: 0 };
+  const signs = cashflows.filter(cf => cf !== 0).map(Math.sign);
+  const sign_changes = signs.slice(1).filter((s, i) => s !== signs[i]).length;
+  const roots = [];
+  if (sign_changes > 0) {
+    // Scan evenly in log(1 + r) so low rates get as much resolution as high ones
+    const tolerance = 1e-12 * cashflows.reduce((s, cf) => s + Math.abs(cf), 0);
+    const x0 = Math.log(1 + IRR_MIN), x1 = Math.log(1 + IRR_MAX);
+    let lo = IRR_MIN;
+    let [npvLo] = npvAndSlope(cashflows, lo);
+    for (let i = 1; i <= SCAN_STEPS; i++) {
+      const hi = Math.exp(x0 + (x1 - x0) * i / SCAN_STEPS) - 1;
+      const [npvHi] = npvAndSlope(cashflows, hi);
+      if (npvLo === 0) roots.push(lo);
+      else if (Math.sign(npvLo) !== Math.sign(npvHi) && npvHi !== 0) roots.push(polishRoot(cashflows, lo, hi, npvLo, tolerance));
+      lo = hi;
+      npvLo = npvHi;
+    }
+  }
+  const status = roots.length === 0 ? "none" : roots.length === 1 ? "unique" : "multiple";
+  return { irr: roots.length === 1 ? roots[0] : null, status, roots, sign_changes };
+}
+
+// The unique IRR, or null when there is none or more than one
+export function computeIRR(cashflows) {
+  return solveIRR(cashflows).irr;
+}
+
+/**
+ * Modified IRR: outflows are discounted at the finance rate and inflows
+ * compounded to the final period at the reinvestment rate (Excel's MIRR).
+ * @param {number[]} cashflows
+ * @param {number} finance_rate    Fraction, e.g. 0.06
+ * @param {number} reinvest_rate   Fraction
+ * @returns {?number} null without both an outflow and an inflow
+ */
+export function computeMIRR(cashflows, finance_rate, reinvest_rate) {
+  const n = cashflows.length - 1;
+  let pv_out = 0, fv_in = 0;
+  cashflows.forEach((cf, t) => {
+    if (cf < 0) pv_out -= cf / Math.pow(1 + finance_rate, t);
+    else fv_in += cf * Math.pow(1 + reinvest_rate, n - t);
+  });
+  if (n < 1 || pv_out === 0 || fv_in === 0) return null;
+  return Math.pow(fv_in / pv_out, 1 / n) - 1;
+}
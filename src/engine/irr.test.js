@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import { solveIRR, computeIRR, computeMIRR } from "./irr.js";
+
+describe("solveIRR", () => {
+  it("finds a unique IRR", () => {
+    expect(solveIRR([-100, 110])).toMatchObject({ status: "unique", sign_changes: 1 });
+    expect(computeIRR([-100, 110])).toBeCloseTo(0.1, 10);
+    expect(computeIRR([-1000, 300, 400, 500])).toBeCloseTo(0.0889633947, 8);
+  });
+
+  it("finds IRRs beyond the old 200% bisection bound", () => {
+    expect(computeIRR([-100, 500])).toBeCloseTo(4, 8);
+    expect(computeIRR([-100, 20])).toBeCloseTo(-0.8, 8);
+  });
+
+  it("reports every root when the cash flows change sign more than once", () => {
+    const { irr, status, roots } = solveIRR([-100, 230, -132]);
+    expect(irr).toBeNull();
+    expect(status).toBe("multiple");
+    expect(roots).toHaveLength(2);
+    expect(roots[0]).toBeCloseTo(0.1, 8);
+    expect(roots[1]).toBeCloseTo(0.2, 8);
+  });
+
+  it("reports no IRR when the cash flows never change sign", () => {
+    expect(solveIRR([100, 100, 100])).toEqual({ irr: null, status: "none", roots: [], sign_changes: 0 });
+    expect(solveIRR([-100, -100])).toMatchObject({ status: "none" });
+  });
+
+  it("reports no IRR when NPV never reaches zero despite a sign change", () => {
+    // NPV(r) = 10 − 20/(1+r) + 11/(1+r)² stays positive for every rate
+    expect(solveIRR([10, -20, 11])).toMatchObject({ irr: null, status: "none", sign_changes: 2 });
+  });
+
+  it("reports no IRR for a series with a non-finite flow", () => {
+    expect(solveIRR([-100, NaN, 110])).toEqual({ irr: null, status: "none", roots: [], sign_changes: 0 });
+    expect(computeIRR([-100, Infinity])).toBeNull();
+  });
+});
+
+describe("computeMIRR", () => {
+  it("matches Excel's MIRR", () => {
+    // Excel documentation example: MIRR(A2:A7, 10%, 12%) = 12.61%
+    expect(computeMIRR([-120000, 39000, 30000, 21000, 37000, 46000], 0.1, 0.12)).toBeCloseTo(0.126094, 6);
+  });
+
+  it("equals the IRR when both rates equal it", () => {
+    const flows = [-1000, 300, 400, 500];
+    const irr = computeIRR(flows);
+    expect(computeMIRR(flows, irr, irr)).toBeCloseTo(irr, 8);
+  });
+
+  it("is undefined without both an outflow and an inflow", () => {
+    expect(computeMIRR([100, 100], 0.06, 0.07)).toBeNull();
+    expect(computeMIRR([-100, -100], 0.06, 0.07)).toBeNull();
+    expect(computeMIRR([-100], 0.06, 0.07)).toBeNull();
+  });
+});
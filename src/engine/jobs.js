@@ -0,0 +1,84 @@
+// ─── Engine Jobs ───
+// Every analysis the app runs off the main thread, written as a generator that
+// yields { done, total } between units of work and returns its result. Whoever
+// steps the generator (the worker, or the app itself where workers are missing)
+// gets a point between yields to report progress or drop a cancelled job.
+import { runFinancialModel } from "./model.js";
+import { runSensitivity, runSpider } from "./sensitivity.js";
+import { goalSeek } from "./goalseek.js";
+import { axisValues, dataTableRow, breakEvenGrid, BREAK_EVEN } from "./datatable.js";
+import { monteCarloDraws, summarizeMonteCarlo } from "./montecarlo.js";
+
+const MONTE_CARLO_CHUNK = 100;
+
+// A job that is one unit of work still yields once, without progress, so a run
+// superseded while it waited in the worker's queue is dropped before it starts
+function singleStep(run) {
+  return function* (payload) {
+    yield;
+    return run(payload);
+  };
+}
+
+export const ENGINE_JOBS = {
+  model: singleStep(({ inputs }) => runFinancialModel(inputs)),
+  sensitivity: singleStep(({ inputs, params, metric }) => runSensitivity(inputs, { params, metric })),
+  spider: singleStep(({ inputs, params, metric, steps }) => runSpider(inputs, { params, metric, steps })),
+  goalSeek: singleStep(({ inputs, goal }) => goalSeek(inputs, goal)),
+  *dataTable({ inputs, spec }) {
+    const xs = axisValues(spec.x);
+    const ys = axisValues(spec.y);
+    const values = [];
+    for (let j = 0; j < ys.length; j++) {
+      values.push(dataTableRow(inputs, spec, j));
+      yield { done: j + 1, total: ys.length };
+    }
+    return { spec, xs, ys, values, threshold: BREAK_EVEN[spec.metric](inputs), thresholds: breakEvenGrid(inputs, spec) };
+  },
+  *monteCarlo({ inputs, options }) {
+    const draws = [];
+    for (const draw of monteCarloDraws(inputs, options)) {
+      draws.push(draw);
+      if (draws.length % MONTE_CARLO_CHUNK === 0) yield { done: draws.length, total: options.iterations };
+    }
+    return summarizeMonteCarlo(draws);
+  },
+};
+
+export function startJob(job, payload) {
+  if (!Object.hasOwn(ENGINE_JOBS, job)) throw new Error(`unknown engine job "${job}"`);
+  return ENGINE_JOBS[job](payload);
+}
+
+// Run a job to completion in one go (tests, scripts)
+export function runJob(job, payload) {
+  const steps = startJob(job, payload);
+  for (;;) {
+    const { value, done } = steps.next();
+    if (done) return value;
+  }
+}
+
+/**
+ * Step a job on the event loop, one unit of work per task, so messages and
+ * input events are handled between units.
+ * @param {Generator} steps             From startJob
+ * @param {{ onProgress?: (p: { done: number, total: number }) => void, isCancelled?: () => boolean }} [hooks]
+ * @returns {Promise<{ cancelled: boolean, result?: any }>}
+ */
+export function driveJob(steps, { onProgress, isCancelled = () => false } = {}) {
+  return new Promise((resolve, reject) => {
+    const step = () => {
+      if (isCancelled()) return resolve({ cancelled: true });
+      try {
+        const { value, done } = steps.next();
+        if (done) return resolve({ cancelled: false, result: value });
+        if (value) onProgress?.(value);
+        setTimeout(step, 0);
+      } catch (err) {
+        reject(err);
+      }
+    };
+    setTimeout(step, 0);
+  });
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INPUTS } from "./inputs.js";
+import { runFinancialModel } from "./model.js";
+import { runDataTable } from "./datatable.js";
+import { runMonteCarlo, defaultDistribution } from "./montecarlo.js";
+import { startJob, runJob, driveJob } from "./jobs.js";
+
+const spec = {
+  x: { key: "R_power", min: 0.06, max: 0.14, steps: 3 },
+  y: { key: "P_carbon", min: 0, max: 40, steps: 3 },
+  metric: "NPV",
+};
+
+describe("engine jobs", () => {
+  it("match the engine functions they wrap", () => {
+    expect(runJob("model", { inputs: DEFAULT_INPUTS })).toEqual(runFinancialModel(DEFAULT_INPUTS));
+    expect(runJob("dataTable", { inputs: DEFAULT_INPUTS, spec })).toEqual({ spec, ...runDataTable(DEFAULT_INPUTS, spec) });
+    const options = { iterations: 250, seed: 7, dists: [defaultDistribution("R_power", DEFAULT_INPUTS.R_power)] };
+    expect(runJob("monteCarlo", { inputs: DEFAULT_INPUTS, options })).toEqual(runMonteCarlo(DEFAULT_INPUTS, options));
+  });
+
+  it("produce results that survive structured cloning", () => {
+    const results = runJob("model", { inputs: DEFAULT_INPUTS });
+    expect(structuredClone(results)).toEqual(results);
+  });
+
+  it("reject unknown jobs", () => {
+    expect(() => startJob("toString", {})).toThrow(/unknown engine job/);
+  });
+});
+
+describe("driveJob", () => {
+  it("reports progress for each unit of work", async () => {
+    const progress = [];
+    const { cancelled, result } = await driveJob(startJob("dataTable", { inputs: DEFAULT_INPUTS, spec }), { onProgress: p => progress.push(p) });
+    expect(cancelled).toBe(false);
+    expect(result.values).toHaveLength(3);
+    expect(progress).toEqual([1, 2, 3].map(done => ({ done, total: 3 })));
+  });
+
+  it("stops at the next yield once cancelled", async () => {
+    let rows = 0;
+    const outcome = await driveJob(startJob("dataTable", { inputs: DEFAULT_INPUTS, spec }), {
+      onProgress: () => rows++,
+      isCancelled: () => rows >= 1,
+    });
+    expect(outcome).toEqual({ cancelled: true });
+    expect(rows).toBe(1);
+  });
+});
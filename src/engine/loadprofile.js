@@ -0,0 +1,236 @@
+// ─── Hourly Load Profiles ───
+// A customer's 8760-hour electric and thermal load, and optionally a time-of-use
+// power tariff, dispatched against the whole fleet's output. The result replaces
+// the utilization and current-power-rate guesses with what the site would use,
+// shared evenly between the units.
+import { DAYS_IN_MONTH, HOURS_PER_YEAR } from "./inputs.js";
+import { unitBuildYears } from "./deployment.js";
+
+/** @typedef {{ power: number[], therm: number[]|null }} LoadProfile  Hourly kW / kWth from Jan 1 00:00 */
+/** @typedef {{ weekday: number[][], weekend: number[][] }} TouTariff   $/kWh by month × hour of day */
+
+/**
+ * One calendar month of dispatch for the fleet running all month.
+ * @typedef {Object} DispatchMonth
+ * @property {number} month
+ * @property {number} hours
+ * @property {number} power_load     kWh the site draws
+ * @property {number} power_used     kWh of the fleet's output used on site
+ * @property {number} therm_load
+ * @property {number} therm_used
+ * @property {number} power_cost     $ the site would have paid for power_used
+ * @property {number} power_peak     kW, the month's highest hourly load
+ * @property {number} residual_peak  kW, the highest load left for the grid while the fleet runs
+ */
+
+const MONTH_OF_HOUR = DAYS_IN_MONTH.flatMap((days, m) => Array.from({ length: days * 24 }, () => m));
+const FEB_29 = (31 + 28) * 24;
+
+// ─── CSV Import ───
+function splitCsvLine(line, delim) {
+  const cells = [];
+  let cell = "", quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === "\"" && line[i + 1] === "\"") cell += line[++i];
+      else if (c === "\"") quoted = false;
+      else cell += c;
+    } else if (c === "\"") quoted = true;
+    else if (c === delim) {
+      cells.push(cell.trim());
+      cell = "";
+    } else cell += c;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function readCsv(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() !== "");
+  const first = lines[0] || "";
+  const delim = first.includes("\t") ? "\t" : first.includes(";") && !first.includes(",") ? ";" : ",";
+  // With semicolons the comma is a decimal mark; otherwise it separates thousands
+  const toNumber = (cell) => {
+    const clean = cell.replace(/[$\s]/g, "");
+    const n = Number(delim === ";" ? clean.replace(",", ".") : clean.replace(/,/g, ""));
+    return clean === "" ? NaN : n;
+  };
+  return { rows: lines.map(l => splitCsvLine(l, delim)), toNumber };
+}
+
+// Interval exports come hourly or quarter-hourly, for a common or a leap year
+function toHourly(values) {
+  const perHour = values.length >= HOURS_PER_YEAR * 4 ? 4 : 1;
+  const hourly = [];
+  for (let i = 0; i + perHour <= values.length; i += perHour) {
+    hourly.push(values.slice(i, i + perHour).reduce((s, v) => s + v, 0) / perHour);
+  }
+  if (hourly.length === HOURS_PER_YEAR + 24) hourly.splice(FEB_29, 24);
+  return hourly;
+}
+
+const INTERVAL_COUNTS = [HOURS_PER_YEAR, HOURS_PER_YEAR + 24, HOURS_PER_YEAR * 4, (HOURS_PER_YEAR + 24) * 4];
+
+/**
+ * Read a year of interval load data. Columns are found by header name (electric:
+ * kW, power, demand, load; thermal: therm, heat, steam) or, without a header, as
+ * the first and second numeric columns. Timestamps are ignored: rows run from
+ * Jan 1 00:00 in order.
+ * @param {string} text
+ * @returns {{ profile: LoadProfile|null, issues: string[] }}
+ */
+export function parseLoadCsv(text) {
+  const { rows, toNumber } = readCsv(text);
+  if (rows.length === 0) return { profile: null, issues: ["File is empty."] };
+  const isNumeric = (cell) => !isNaN(toNumber(cell));
+  const header = rows[0].every(c => !isNumeric(c)) ? rows[0] : null;
+  const data = header ? rows.slice(1) : rows;
+  if (data.length === 0) return { profile: null, issues: ["File has no data rows."] };
+
+  const numeric = data[0].map((c, i) => i).filter(i => isNumeric(data[0][i]));
+  const named = (pattern, skip) => numeric.find(i => i !== skip && pattern.test(header?.[i] ?? ""));
+  const thermCol = header ? named(/therm|heat|steam/i) : numeric[1];
+  const powerCol = header ? named(/kw|power|elec|demand|load|usage/i, thermCol) ?? numeric.find(i => i !== thermCol) : numeric[0];
+  if (powerCol === undefined || powerCol === thermCol) return { profile: null, issues: ["No electric load column found."] };
+
+  if (!INTERVAL_COUNTS.includes(data.length)) {
+    return { profile: null, issues: [`Expected ${HOURS_PER_YEAR} hourly or ${HOURS_PER_YEAR * 4} quarter-hourly rows, found ${data.length}.`] };
+  }
+  const issues = [];
+  const column = (col, name) => data.map((row, r) => {
+    const v = toNumber(row[col] ?? "");
+    if ((isNaN(v) || v < 0) && issues.length < 5) issues.push(`Row ${r + (header ? 2 : 1)}: ${name} load "${row[col] ?? ""}" is not a non-negative number.`);
+    return v;
+  });
+  const power = column(powerCol, "electric");
+  const therm = thermCol === undefined ? null : column(thermCol, "thermal");
+  if (issues.length > 0) return { profile: null, issues };
+  return { profile: { power: toHourly(power), therm: therm && toHourly(therm) }, issues };
+}
+
+/**
+ * Read a time-of-use tariff as rows of 24 hourly $/kWh rates: 12 rows (every day)
+ * or 24 rows (12 weekday months, then 12 weekend months). A header row and a
+ * leading month label column are skipped.
+ * @param {string} text
+ * @returns {{ tariff: TouTariff|null, issues: string[] }}
+ */
+export function parseTouCsv(text) {
+  const { rows, toNumber } = readCsv(text);
+  const matrix = rows
+    .map(row => row.map(toNumber).filter(v => !isNaN(v)))
+    .filter(row => row.length > 0)
+    .map(row => (row.length === 25 ? row.slice(1) : row));
+  // A header of hour numbers reads as one more row of rates
+  if (matrix.length === 13 || matrix.length === 25) matrix.shift();
+  if (![12, 24].includes(matrix.length) || matrix.some(row => row.length !== 24)) {
+    return { tariff: null, issues: ["Expected 12 or 24 rows of 24 hourly rates."] };
+  }
+  if (matrix.some(row => row.some(v => v < 0))) return { tariff: null, issues: ["Rates must not be negative."] };
+  return { tariff: { weekday: matrix.slice(0, 12), weekend: matrix.slice(-12) }, issues: [] };
+}
+
+// ─── Dispatch ───
+/**
+ * Hourly $/kWh for a tariff, laid on the calendar of the given year.
+ * @param {TouTariff} tariff
+ * @param {number} year
+ * @returns {number[]}
+ */
+export function touRates(tariff, year) {
+  const jan1 = new Date(Date.UTC(year, 0, 1)).getUTCDay();
+  return MONTH_OF_HOUR.map((m, h) => {
+    const weekday = (jan1 + Math.floor(h / 24)) % 7;
+    return (weekday === 0 || weekday === 6 ? tariff.weekend : tariff.weekday)[m][h % 24];
+  });
+}
+
+// Units the site load is shared between: every unit built within the contract
+export function dispatchUnits(inputs) {
+  return Math.max(1, unitBuildYears(inputs).filter(d => d <= inputs.T_project).length);
+}
+
+/**
+ * Dispatch the fleet's output against the site load, hour by hour, at full
+ * availability. Output beyond the load is exported (power) or dumped (heat).
+ * Without a load profile the site takes every kWh (and so peaks at or above the
+ * fleet's output); without a tariff power is priced at C_cust_power.
+ * @param {Object} inputs
+ * @returns {DispatchMonth[]}
+ */
+export function dispatchLoad(inputs) {
+  const { load_profile, tou_power, C_cust_power, Y_start } = inputs;
+  const units = dispatchUnits(inputs);
+  const fleet_elec = units * inputs.P_elec, fleet_therm = units * inputs.P_therm;
+  const rates = tou_power ? touRates(tou_power, Y_start) : null;
+  const months = DAYS_IN_MONTH.map((days, month) => ({
+    month, hours: days * 24, power_load: 0, power_used: 0, therm_load: 0, therm_used: 0, power_cost: 0,
+    power_peak: 0, residual_peak: 0,
+  }));
+  for (let h = 0; h < HOURS_PER_YEAR; h++) {
+    const m = months[MONTH_OF_HOUR[h]];
+    const power = load_profile ? load_profile.power[h] : fleet_elec;
+    const therm = load_profile?.therm ? load_profile.therm[h] : fleet_therm;
+    const used = Math.min(power, fleet_elec);
+    m.power_load += power;
+    m.power_used += used;
+    m.therm_load += therm;
+    m.therm_used += Math.min(therm, fleet_therm);
+    m.power_cost += used * (rates ? rates[h] : C_cust_power);
+    m.power_peak = Math.max(m.power_peak, power);
+    m.residual_peak = Math.max(m.residual_peak, power - used);
+  }
+  return months;
+}
+
+// Inputs replaced by imported data, so the app can mark their sliders as unused
+export function importedInputKeys({ load_profile, tou_power }) {
+  return [
+    ...(load_profile ? ["f_power_util", "profile_power"] : []),
+    ...(load_profile?.therm ? ["f_therm_util", "profile_therm"] : []),
+    ...(tou_power ? ["C_cust_power"] : []),
+  ];
+}
+
+/**
+ * Derive utilization (flat and monthly) and the energy-weighted power rate from
+ * the hourly dispatch. Availability scales generation and on-site use alike, so
+ * the shares hold whichever time step the model runs. Every unit takes the
+ * same share, so the fleet never uses more on site than the load.
+ * @param {Object} inputs
+ * @returns {{ inputs: Object, dispatch: DispatchMonth[]|null, units: number }}
+ */
+export function applyLoadProfile(inputs) {
+  const { load_profile, tou_power } = inputs;
+  if (!load_profile && !tou_power) return { inputs, dispatch: null, units: 1 };
+  const dispatch = dispatchLoad(inputs);
+  const units = dispatchUnits(inputs);
+  const fleet_elec = units * inputs.P_elec, fleet_therm = units * inputs.P_therm;
+  const sum = (field) => dispatch.reduce((s, m) => s + m[field], 0);
+  const derived = {};
+  if (load_profile) {
+    derived.f_power_util = sum("power_used") / (fleet_elec * HOURS_PER_YEAR);
+    derived.profile_power = dispatch.map(m => m.power_used / (fleet_elec * m.hours));
+  }
+  if (load_profile?.therm) {
+    derived.f_therm_util = sum("therm_used") / (fleet_therm * HOURS_PER_YEAR);
+    derived.profile_therm = dispatch.map(m => m.therm_used / (fleet_therm * m.hours));
+  }
+  if (tou_power && sum("power_used") > 0) derived.C_cust_power = sum("power_cost") / sum("power_used");
+  return { inputs: { ...inputs, ...derived }, dispatch, units };
+}
+
+/**
+ * Hourly values sorted high to low and sampled at even shares of the year.
+ * @param {number[]} values
+ * @param {number} [points]
+ * @returns {{ pct: number, value: number }[]}
+ */
+export function loadDurationCurve(values, points = 100) {
+  const sorted = [...values].sort((a, b) => b - a);
+  return Array.from({ length: points + 1 }, (_, i) => ({
+    pct: (i / points) * 100,
+    value: sorted[Math.round((i / points) * (sorted.length - 1))],
+  }));
+}
@@ -0,0 +1,122 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INPUTS, HOURS_PER_YEAR, validateInput } from "./inputs.js";
+import { runFinancialModel } from "./model.js";
+import { parseLoadCsv, parseTouCsv, touRates, applyLoadProfile, loadDurationCurve } from "./loadprofile.js";
+
+const hours = (fn) => Array.from({ length: HOURS_PER_YEAR }, (_, h) => fn(h));
+// Site draws 300 kW by day and 100 kW overnight; heat follows the same shape
+const daytime = (h) => h % 24 >= 8 && h % 24 < 20;
+const load = { power: hours(h => (daytime(h) ? 300 : 100)), therm: hours(h => (daytime(h) ? 500 : 200)) };
+
+describe("parseLoadCsv", () => {
+  it("finds columns by header and ignores timestamps", () => {
+    const rows = load.power.map((p, h) => `2025-01-01 ${h}:00,"${load.therm[h].toLocaleString("en-US")}",${p}`);
+    const { profile, issues } = parseLoadCsv(["Timestamp,Thermal kWth,Electric kW", ...rows].join("\n"));
+    expect(issues).toEqual([]);
+    expect(profile.power).toEqual(load.power);
+    expect(profile.therm).toEqual(load.therm);
+  });
+
+  it("averages quarter-hourly data and drops Feb 29", () => {
+    const rows = Array.from({ length: (HOURS_PER_YEAR + 24) * 4 }, (_, i) => String(Math.floor(i / 4) % 2 ? 4 : 2));
+    const { profile } = parseLoadCsv(rows.join("\n"));
+    expect(profile.power).toHaveLength(HOURS_PER_YEAR);
+    expect(profile.therm).toBeNull();
+  });
+
+  it("reports row counts and bad cells", () => {
+    expect(parseLoadCsv("kW\n1\n2").issues[0]).toMatch(/found 2/);
+    const rows = load.power.map(String);
+    rows[9] = "n/a";
+    expect(parseLoadCsv(["kW", ...rows].join("\n")).issues).toEqual(['Row 11: electric load "n/a" is not a non-negative number.']);
+  });
+});
+
+describe("time-of-use tariffs", () => {
+  const peak = Array.from({ length: 24 }, (_, h) => (h >= 16 && h < 21 ? 0.30 : 0.10));
+  const csv = ["Month," + Array.from({ length: 24 }, (_, h) => h).join(","),
+    ...Array.from({ length: 12 }, (_, m) => `${m + 1},${peak.join(",")}`),
+    ...Array.from({ length: 12 }, (_, m) => `${m + 1},${peak.map(() => 0.08).join(",")}`)].join("\n");
+
+  it("reads weekday and weekend matrices with a label column", () => {
+    const { tariff, issues } = parseTouCsv(csv);
+    expect(issues).toEqual([]);
+    expect(tariff.weekday[0]).toEqual(peak);
+    expect(tariff.weekend[11][17]).toBe(0.08);
+  });
+
+  it("lays rates on the calendar", () => {
+    const { tariff } = parseTouCsv(csv);
+    const rates = touRates(tariff, 2026); // Jan 1 2026 is a Thursday; Jan 3 a Saturday
+    expect(rates[17]).toBe(0.30);
+    expect(rates[2 * 24 + 17]).toBe(0.08);
+  });
+
+  it("rejects a malformed matrix", () => {
+    expect(parseTouCsv("0.1,0.2\n0.3,0.4").tariff).toBeNull();
+  });
+});
+
+describe("dispatch", () => {
+  const inputs = { ...DEFAULT_INPUTS, N_units: 1, P_elec: 225, P_therm: 400, load_profile: load };
+
+  it("validates imported profiles", () => {
+    expect(validateInput("load_profile", load)).toBeNull();
+    expect(validateInput("load_profile", { power: [1, 2], therm: null })).toMatch(/8760/);
+    expect(validateInput("tou_power", null)).toBeNull();
+  });
+
+  it("derives utilization from the hours the site can take the output", () => {
+    const { inputs: derived } = applyLoadProfile(inputs);
+    expect(derived.f_power_util).toBeCloseTo((12 * 225 + 12 * 100) / (24 * 225), 10);
+    expect(derived.f_therm_util).toBeCloseTo((12 * 400 + 12 * 200) / (24 * 400), 10);
+    expect(derived.profile_power.every(v => Math.abs(v - derived.f_power_util) < 1e-12)).toBe(true);
+  });
+
+  it("feeds savings, exports and residual grid purchases", () => {
+    const r = runFinancialModel(inputs);
+    const flat = runFinancialModel({ ...DEFAULT_INPUTS, N_units: 1, f_power_util: r.power_util_eff, f_therm_util: r.therm_util_eff });
+    expect(r.savings_annual).toBeCloseTo(flat.savings_annual, 6);
+    expect(r.NPV).toBeCloseTo(flat.NPV, 4);
+    expect(r.E_power_exported).toBeCloseTo(r.E_power_yr - r.E_power_sold, 6);
+    expect(r.load_dispatch.E_grid_power).toBeCloseTo(r.load_dispatch.E_load_power - r.E_power_sold, 6);
+  });
+
+  it("prices displaced power at the tariff, weighted by when it is used", () => {
+    const weekday = Array.from({ length: 12 }, () => Array.from({ length: 24 }, (_, h) => (daytime(h) ? 0.2 : 0.1)));
+    const r = runFinancialModel({ ...inputs, tou_power: { weekday, weekend: weekday } });
+    expect(r.load_dispatch.C_cust_power).toBeCloseTo((12 * 225 * 0.2 + 12 * 100 * 0.1) / (12 * 225 + 12 * 100), 10);
+    expect(r.C_current_power).toBeCloseTo(r.E_power_sold * r.load_dispatch.C_cust_power, 6);
+  });
+
+  it("takes demand off each month's peak, up to the unit's output", () => {
+    expect(runFinancialModel(inputs).D_avoided).toBeCloseTo(12 * 225 * DEFAULT_INPUTS.f_avail, 6);
+    const small = { power: hours(() => 100), therm: null };
+    expect(runFinancialModel({ ...inputs, load_profile: small }).D_avoided).toBeCloseTo(12 * 100 * DEFAULT_INPUTS.f_avail, 6);
+  });
+
+  it("shares the load between the units so the fleet never uses more than the site", () => {
+    // Three 225 kW units against a 300 / 100 kW load: 675 kW of output, never all used
+    const fleet = { ...inputs, N_units: 3 };
+    const { inputs: derived, units } = applyLoadProfile(fleet);
+    expect(units).toBe(3);
+    expect(derived.f_power_util).toBeCloseTo((12 * 300 + 12 * 100) / (24 * 675), 10);
+    const r = runFinancialModel(fleet);
+    expect(3 * r.E_power_sold).toBeCloseTo(r.load_dispatch.E_load_power * DEFAULT_INPUTS.f_avail, 4);
+    expect(r.load_dispatch.E_grid_power).toBeCloseTo(r.load_dispatch.E_load_power * (1 - DEFAULT_INPUTS.f_avail), 4);
+    expect(3 * r.D_avoided).toBeCloseTo(12 * 300 * DEFAULT_INPUTS.f_avail, 6);
+    expect(r.E_power_exported).toBeGreaterThan(runFinancialModel(inputs).E_power_exported);
+  });
+
+  it("runs unchanged without imported data", () => {
+    expect(runFinancialModel(DEFAULT_INPUTS).load_dispatch).toBeNull();
+  });
+});
+
+describe("loadDurationCurve", () => {
+  it("sorts from peak to base load", () => {
+    const curve = loadDurationCurve(load.power, 5);
+    expect(curve.map(p => p.value)).toEqual([300, 300, 300, 100, 100, 100]);
+    expect(curve[5].pct).toBe(100);
+  });
+});
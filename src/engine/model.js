@@ -0,0 +1,783 @@
+// ─── Financial Model Engine ───
+// Headless: no React, no DOM. Runs the same in the browser, in Node (CLI, tests)
+// and later in a worker.
+import { solveIRR, computeIRR, computeMIRR } from "./irr.js";
+import { DAYS_IN_MONTH } from "./inputs.js";
+import { applyLoadProfile } from "./loadprofile.js";
+import { siteInputs, learningSequence, rollUpPortfolio } from "./portfolio.js";
+import { unitBuildYears, commissioningMonth, operatingShare } from "./deployment.js";
+import { CARBON_STREAMS, carbonLedger } from "./carbon.js";
+import { unitFuelDemand, dispatchFeedstock, feedstockCash } from "./feedstock.js";
+
+/** @typedef {typeof import("./inputs.js").DEFAULT_INPUTS} ModelInputs */
+
+/**
+ * One project year (y = 0 is the first deployment year). Money is nominal dollars.
+ * @typedef {Object} YearRow
+ * @property {number} y            Project year index
+ * @property {number} year         Calendar year
+ * @property {number} N_deployed   Units installed
+ * @property {number} N_new        Units installed this year
+ * @property {number} N_operating  Unit-years in commercial operation (partial first years count in part)
+ * @property {number} capex_year   CAPEX spent this year
+ * @property {number} R_pwr
+ * @property {number} R_thrm
+ * @property {number} R_tip
+ * @property {number} R_crb        Carbon credits sold this year, all streams
+ * @property {number} R_crb_methane
+ * @property {number} R_crb_fuel
+ * @property {number} R_exp        Surplus power sold to the grid
+ * @property {number} R_dem        Capacity charges for the host's avoided demand
+ * @property {number} R_char       Biochar sales plus its durable carbon removal (CDR) credits
+ * @property {number} R_cdr        Of R_char, the CDR credits
+ * @property {number} R_total
+ * @property {number} C_maint
+ * @property {number} C_fuel
+ * @property {number} C_fixed
+ * @property {number} C_carbon     Verification and issuance fees for the credits sold
+ * @property {number} C_char       Biochar handling and bagging
+ * @property {number} C_feed       Feedstock bought from sources that charge for it
+ * @property {number} C_haul       Trucking feedstock to the site
+ * @property {number} OPEX
+ * @property {number} EBITDA
+ * @property {number} F_used       Feedstock burned (wet tons)
+ * @property {number} f_supply     Share of the fleet's fuel demand the feedstock sources meet
+ * @property {number} Q_char       Biochar produced (tons)
+ * @property {number} CC_vintage   Credits earned this year (tons)
+ * @property {number} CC_buffer    Of those, held back in the registry buffer pool
+ * @property {number} CC_issued    Credits issued and sold this year, of this and earlier vintages
+ * @property {number} output_factor    Fleet output against installed nameplate, after degradation and commissioning
+ * @property {number} n_overhauls      Major overhauls falling due this year
+ * @property {number} capex_overhaul   Overhaul CAPEX, paid from equity
+ * @property {number} reserve_deposit  Paid into the major-maintenance reserve
+ * @property {number} reserve_release  Drawn from the reserve to pay an overhaul
+ * @property {number} reserve_balance
+ * @property {number} salvage          Final year: proceeds from selling the fleet
+ * @property {number} decom            Final year: decommissioning cost
+ * @property {number} CFADS            EBITDA less overhauls and net reserve funding
+ * @property {number} DS           Debt service (interest + principal)
+ * @property {?number} DSCR        CFADS / DS; null without debt service
+ * @property {number} interest
+ * @property {number} principal
+ * @property {number} loan_opening
+ * @property {number} loan_draw
+ * @property {number} loan_fees
+ * @property {number} loan_idc     Capitalized construction interest
+ * @property {number} loan_closing
+ * @property {number} depreciation
+ * @property {number} taxable_income
+ * @property {number} tax_gross    Tax before credits (equity view)
+ * @property {number} tax          Tax after credits (equity view)
+ * @property {number} tax_project  Tax after credits (unlevered view)
+ * @property {number} nol_balance
+ * @property {number} ITC
+ * @property {number} PTC
+ * @property {number} credits_applied
+ * @property {number} credit_sale
+ * @property {number} credit_balance
+ * @property {number} equity_capex
+ * @property {number} CF_pretax
+ * @property {number} CF           Equity (levered) after-tax cash flow
+ * @property {number} DCF
+ * @property {number} cumNPV
+ * @property {number} CF_project   Project (unlevered) after-tax cash flow
+ * @property {number} cumNPV_project
+ */
+
+/**
+ * One project month in monthly mode. Lines sum to the matching YearRow.
+ * @typedef {Object} MonthRow
+ * @property {number} y            Project year index
+ * @property {number} year
+ * @property {number} month        0 = January
+ * @property {number} N_deployed
+ * @property {number} N_running     Units in commercial operation this month
+ * @property {number} R_pwr
+ * @property {number} R_thrm
+ * @property {number} R_tip
+ * @property {number} R_crb
+ * @property {number} R_exp
+ * @property {number} R_dem
+ * @property {number} R_char
+ * @property {number} R_total
+ * @property {number} OPEX
+ * @property {number} EBITDA
+ * @property {number} interest
+ * @property {number} principal
+ * @property {number} DS
+ * @property {number} equity_capex  Paid in the install month (M_install)
+ * @property {number} lifecycle_cash  Overhauls and net reserve funding (in the overhaul month) and salvage less decommissioning (last month)
+ * @property {number} tax           Settled in the last month, net of credit sales
+ * @property {number} CF            Equity cash flow
+ */
+
+/**
+ * @typedef {Object} ModelResults
+ * @property {YearRow[]} years
+ * @property {?MonthRow[]} months    Monthly mode only
+ * @property {?Object[]} monthly_operation  Per-unit operation by calendar month (monthly mode only)
+ * @property {string[]} warnings
+ * @property {number} NPV            Equity NPV at r_disc
+ * @property {?number} IRR           Equity IRR as a fraction; null unless exactly one exists
+ * @property {IRRSolution} IRR_info   Every equity IRR found, and why IRR may be null
+ * @property {?number} MIRR          Equity MIRR at r_mirr_finance / r_mirr_reinvest
+ * @property {number} NPV_project
+ * @property {?number} IRR_project
+ * @property {IRRSolution} IRR_project_info
+ * @property {?number} MIRR_project
+ * @property {number} NPV_pretax
+ * @property {?number} IRR_pretax
+ * @property {?number} DSCR_min
+ * @property {?number} payback_disc  First year cumulative DCF turns positive
+ * @property {?number} payback_simple
+ * @property {number} capex_fleet_total
+ * @property {number[]} unit_capex
+ * @property {number} loan_amount     Drawn debt plus capitalized fees
+ * @property {number} loan_fees
+ * @property {number} peak_debt_service
+ * @property {Object[]} tranches
+ * @property {Object[]} loan_table
+ * @property {number} tax_rate
+ * @property {number} tax_total
+ * @property {number} depreciation_total
+ * @property {number} credits_total
+ * @property {number} credit_value_total
+ * @property {number} avail_eff       Share of the year running (f_avail, or the monthly equivalent)
+ * @property {number} power_util_eff  Share of generated power sold
+ * @property {number} therm_util_eff  Share of generated heat sold
+ * @property {number} fuel_demand_unit  Fuel one unit burns in a year at f_avail, GJ
+ * @property {number} E_power_exported  Per unit, year 1: power beyond the site load
+ * @property {number} E_therm_dumped    Per unit, year 1: heat beyond the site load
+ * @property {number} D_avoided         Per unit, year 1: kW-months taken off the host's demand bill
+ * @property {?Object} load_dispatch    Hourly dispatch summary when load or tariff data is imported
+ * @property {number} savings_annual  Customer savings per unit, year 1
+ * @property {number} savings_pct
+ * @property {number} R_per_unit
+ * @property {?import("./portfolio.js").SiteRun[]} sites  Portfolio runs only: each site's sub-model
+ */
+
+/** @typedef {ReturnType<typeof solveIRR>} IRRSolution */
+
+// IRS Pub. 946 Table A-1, half-year convention
+export const MACRS_TABLES = {
+  macrs5: [0.2000, 0.3200, 0.1920, 0.1152, 0.1152, 0.0576],
+  macrs7: [0.1429, 0.2449, 0.1749, 0.1249, 0.0893, 0.0892, 0.0893, 0.0446],
+  macrs15: [0.0500, 0.0950, 0.0855, 0.0770, 0.0693, 0.0623, 0.0590, 0.0590,
+    0.0591, 0.0590, 0.0591, 0.0590, 0.0591, 0.0590, 0.0591, 0.0295],
+};
+
+export function depreciationRates(dep_method, T_dep_sl) {
+  if (MACRS_TABLES[dep_method]) return MACRS_TABLES[dep_method];
+  return Array.from({ length: Math.max(1, T_dep_sl) }, () => 1 / Math.max(1, T_dep_sl));
+}
+
+// One debt tranche, amortized monthly and rolled up into project years. The tranche
+// draws at the start of `start_year`; interest during construction is capitalized,
+// then T_grace years are interest-only before repayment. Sculpted repayment makes
+// debt service a constant fraction of the tranche's CFADS (`cfads[y]`): the fraction
+// that just retires the loan over its tenor, but never above 1 / DSCR_target — when
+// the target binds, the remainder falls due as a balloon at maturity.
+// Any balance still open at the end of the project is repaid in the final year.
+export function buildTranche({
+  start_year, amount, r_debt, T_loan, f_loan_fees, T_construction, T_grace,
+  repayment, f_balloon, DSCR_target, cfads, T_project,
+}) {
+  const rows = Array.from({ length: T_project + 1 }, () => ({
+    opening: 0, draw: 0, fees: 0, idc: 0, interest: 0, principal: 0, closing: 0,
+  }));
+  const interest_monthly = new Array((T_project + 1) * 12).fill(0);
+  const principal_monthly = new Array((T_project + 1) * 12).fill(0);
+  const fees = amount * f_loan_fees / 100;
+  const r_monthly = r_debt / 100 / 12;
+  const n_repay = Math.max(1, Math.round(T_loan * 12));
+  const n_grace = Math.min(n_repay - 1, Math.round(T_grace * 12));
+  const n_constr = Math.round(T_construction);
+  const first_month = start_year * 12;
+  const last_month = (T_project + 1) * 12 - 1;
+
+  rows[start_year].draw = amount;
+  rows[start_year].fees = fees;
+  let balance = amount + fees;
+  let payment = 0;
+  let balloon = 0;
+  let sculpt = 0;
+  let truncated = false;
+  let sculpt_shortfall = false;
+
+  for (let m = first_month; m <= last_month && balance > 1e-6; m++) {
+    const y = Math.floor(m / 12);
+    const row = rows[y];
+    if (m === y * 12 && y !== start_year) row.opening = balance;
+    const interest = balance * r_monthly;
+    const k = m - first_month - n_constr;
+
+    if (k < 0) {
+      row.idc += interest;
+      balance += interest;
+    } else {
+      let principal = 0;
+      if (k >= n_grace) {
+        const n_amort = n_repay - n_grace;
+        if (k === n_grace) {
+          balloon = repayment === "balloon" ? balance * f_balloon : 0;
+          const amortizing = balance - balloon / Math.pow(1 + r_monthly, n_amort);
+          payment = r_monthly > 0 ? amortizing * r_monthly / (1 - Math.pow(1 + r_monthly, -n_amort)) : amortizing / n_amort;
+          if (repayment === "sculpted") {
+            let pv = 0;
+            for (let j = 0; j < n_amort; j++) pv += (cfads[Math.floor((m + j) / 12)] || 0) / 12 / Math.pow(1 + r_monthly, j + 1);
+            const fit = pv > 0 ? balance / pv : Infinity;
+            sculpt = Math.min(fit, 1 / DSCR_target);
+            sculpt_shortfall = fit > 1 / DSCR_target;
+          }
+        }
+        const target = repayment === "sculpted" ? (cfads[y] || 0) / 12 * sculpt : payment;
+        principal = Math.max(0, target - interest);
+        if (k === n_repay - 1) principal = balance;
+      }
+      if (m === last_month && balance - principal > 1e-6) {
+        principal = balance;
+        truncated = true;
+      }
+      principal = Math.min(balance, principal);
+      row.interest += interest;
+      row.principal += principal;
+      interest_monthly[m] = interest;
+      principal_monthly[m] = principal;
+      balance -= principal;
+    }
+    row.closing = balance;
+  }
+  return { rows, fees, truncated, sculpt_shortfall, interest_monthly, principal_monthly };
+}
+
+/**
+ * Per-unit operation in each calendar month for monthly mode. Availability is
+ * the share of the month outside planned outages times f_avail_forced; power and
+ * heat sold follow the 12-month utilization profiles.
+ * @param {ModelInputs} inputs
+ */
+export function monthlyOperation({ P_elec, P_therm, F_tpd, f_avail_forced, profile_power, profile_therm, outage_days }) {
+  return DAYS_IN_MONTH.map((days, month) => {
+    const f_avail = Math.max(0, 1 - outage_days[month] / days) * f_avail_forced;
+    const hours = 24 * days * f_avail;
+    return {
+      month, days, f_avail, hours,
+      E_power: P_elec * hours,
+      E_therm: P_therm * hours,
+      E_power_sold: P_elec * hours * profile_power[month],
+      E_therm_sold: P_therm * hours * profile_therm[month],
+      F_processed: F_tpd * hours / 24,
+    };
+  });
+}
+
+// Tracks loss and credit carry-forwards across years for one taxpayer view
+export function createTaxLedger(tax_rate, transfer_credits, transfer_price) {
+  let nol_balance = 0, credit_balance = 0;
+  return (taxable_before_nol, credit_earned) => {
+    let nol_used = 0;
+    if (taxable_before_nol < 0) {
+      nol_balance -= taxable_before_nol;
+    } else {
+      nol_used = Math.min(nol_balance, taxable_before_nol);
+      nol_balance -= nol_used;
+    }
+    const taxable_income = Math.max(0, taxable_before_nol - nol_used);
+    const tax_gross = taxable_income * tax_rate;
+
+    // Credits are either sold for cash (§6418) or offset tax, carrying forward any excess
+    let credits_applied = 0, credit_sale = 0;
+    if (transfer_credits) {
+      credit_sale = credit_earned * transfer_price;
+    } else {
+      credit_balance += credit_earned;
+      credits_applied = Math.min(credit_balance, tax_gross);
+      credit_balance -= credits_applied;
+    }
+    return { taxable_income, tax_gross, credits_applied, credit_sale, tax: tax_gross - credits_applied, nol_balance, credit_balance };
+  };
+}
+
+/**
+ * Output and overhauls of each unit over the contract, [unit][year]. `shares`
+ * gives the part of each year a unit is in operation (see operatingShare). Output
+ * falls r_degrade a year with the run-hours since the unit started or was last
+ * overhauled; an overhaul falls due every H_overhaul run-hours and restores it.
+ * @param {{ shares: number[][], hours_yr: number, r_degrade: number, H_overhaul: number }} params
+ * @returns {{ output: number[], overhauls: number[] }[]}
+ */
+export function unitLifecycle({ shares, hours_yr, r_degrade, H_overhaul }) {
+  return shares.map(share => {
+    const output = [], overhauls = [];
+    let run = 0;
+    for (const s of share) {
+      const hours = s * hours_yr;
+      output.push(s > 0 && hours_yr > 0 ? s * Math.pow(1 - r_degrade / 100, (run % H_overhaul) / hours_yr) : s);
+      overhauls.push(hours > 0 ? Math.floor((run + hours) / H_overhaul) - Math.floor(run / H_overhaul) : 0);
+      run += hours;
+    }
+    return { output, overhauls };
+  });
+}
+
+// Site view of year 1: what the customer draws, and what they still buy after the unit
+function summarizeDispatch({ load_profile, C_cust_power }, months, units, E_power_sold, E_therm_sold) {
+  const E_load_power = load_profile ? months.reduce((s, m) => s + m.power_load, 0) : null;
+  const E_load_therm = load_profile?.therm ? months.reduce((s, m) => s + m.therm_load, 0) : null;
+  return {
+    months, units, C_cust_power, E_load_power, E_load_therm,
+    E_grid_power: E_load_power === null ? null : E_load_power - units * E_power_sold,
+    E_boiler_therm: E_load_therm === null ? null : E_load_therm - units * E_therm_sold,
+  };
+}
+
+/**
+ * Run the model for one site, or for each site of a portfolio and roll them up.
+ * @param {ModelInputs} baseInputs  A complete, valid input set (see validateInputs)
+ * @param {?number[]} [learning_seq]  Each unit's place in a portfolio's build order;
+ *   the learning curve prices unit n at its place rather than at n
+ * @returns {ModelResults}
+ */
+export function runFinancialModel(baseInputs, learning_seq = null) {
+  if (baseInputs.sites.length > 0) {
+    const sites = baseInputs.sites.map(site => ({ name: site.name, inputs: siteInputs(baseInputs, site) }));
+    const seqs = learningSequence(sites.map(site => site.inputs));
+    return rollUpPortfolio(baseInputs, sites.map((site, i) => ({
+      ...site, seq: seqs[i], results: runFinancialModel(site.inputs, seqs[i]),
+    })));
+  }
+
+  // Imported hourly load and tariff data stand in for the utilization and power-rate inputs
+  const { inputs, dispatch, units: dispatch_units } = applyLoadProfile(baseInputs);
+  const {
+    P_elec, P_therm, f_avail, F_tpd,
+    R_power, f_power_util, r_power, R_export, r_export, R_demand,
+    R_therm, f_therm_util, r_therm,
+    R_tipping, W_tpy, r_tipping,
+    CC_methane, CC_fuel, CC_emissions,
+    f_biochar, R_biochar, r_biochar, CDR_biochar, P_cdr, r_cdr, C_char_handling,
+    C_cust_power, C_cust_therm, C_cust_waste, C_cust_demand,
+    C_biochp, C_enexfuel, C_install, C_site,
+    R_maint, C_fuel_process, C_insurance, C_acct_mgmt, r_maint, r_fuel,
+    r_degrade, H_overhaul, C_overhaul, mmra, f_salvage, C_decom,
+    f_equity, r_debt, T_loan, f_loan_fees,
+    T_construction, T_grace, debt_repayment, f_balloon, DSCR_target,
+    r_disc, r_mirr_finance, r_mirr_reinvest, T_project, Y_start, LR,
+    tax_fed, tax_state, dep_method, T_dep_sl, f_bonus,
+    incentive, itc_base, itc_energy_community, itc_domestic_content,
+    ptc_rate, r_ptc, T_ptc, transfer_credits, transfer_price, time_step, M_install,
+  } = inputs;
+
+  // Per-unit annual operation: flat factors, or the sum of the monthly profile
+  const warnings = [];
+  const monthly_operation = time_step === "monthly" ? monthlyOperation(inputs) : null;
+  const sumMonths = (field) => monthly_operation.reduce((s, m) => s + m[field], 0);
+  const hours_yr = monthly_operation ? sumMonths("hours") : 8760 * f_avail;
+  const E_power_yr = P_elec * hours_yr;
+  const E_therm_yr = P_therm * hours_yr;
+  const F_tpy = F_tpd * hours_yr / 24;
+  const E_power_sold = monthly_operation ? sumMonths("E_power_sold") : E_power_yr * f_power_util;
+  const E_therm_sold = monthly_operation ? sumMonths("E_therm_sold") : E_therm_yr * f_therm_util;
+  const E_power_exported = E_power_yr - E_power_sold;
+  const E_therm_dumped = E_therm_yr - E_therm_sold;
+  const CC_net = Math.max(0, CC_methane + CC_fuel - CC_emissions);
+
+  // Avoided demand: each month the unit takes its output off the host's billed
+  // peak (or its share of what the fleet takes, per the hourly load), but only if
+  // it is running at the peak
+  const avail_by_month = DAYS_IN_MONTH.map((_, m) => (monthly_operation ? monthly_operation[m].f_avail : f_avail));
+  const demand_by_month = avail_by_month.map((a, m) => a * (dispatch ? (dispatch[m].power_peak - dispatch[m].residual_peak) / dispatch_units : P_elec));
+  const D_avoided = demand_by_month.reduce((s, v) => s + v, 0);
+
+  // Deployment: each unit's build year (CAPEX) and the share of each year it
+  // operates once commissioned
+  const build_years = unitBuildYears(inputs);
+  const cod_months = build_years.map(d => commissioningMonth(inputs, d));
+  const shares = build_years.map(d => operatingShare(inputs, d));
+  const builtBy = (y) => build_years.filter(d => d <= y).length;
+
+  // Feedstock: F_tpd per unit, tipped up to W_tpy, or drawn from the supply
+  // sources against the fuel the units burn
+  const sources = inputs.feedstock_sources;
+  const fuel_demand_unit = unitFuelDemand(inputs, hours_yr);
+  const N_fleet = Math.max(1, build_years.length);
+  const fleet_feed = sources && dispatchFeedstock(sources, N_fleet * fuel_demand_unit);
+  const W_tipped_unit = fleet_feed
+    ? sources.reduce((s, source, i) => s + (source.fee > 0 ? fleet_feed.tons[i] : 0), 0) / N_fleet
+    : Math.min(F_tpy, W_tpy);
+  const R_tip_unit = fleet_feed ? feedstockCash(sources, fleet_feed.tons, inputs, 0).R_tip / N_fleet : W_tipped_unit * R_tipping;
+
+  // Customer savings (per unit, year 1)
+  const C_current_power = E_power_sold * C_cust_power;
+  const C_current_therm = E_therm_sold * C_cust_therm;
+  const C_current_waste = W_tipped_unit * C_cust_waste;
+  const C_current_demand = D_avoided * C_cust_demand;
+  const C_current_total = C_current_power + C_current_therm + C_current_waste + C_current_demand;
+
+  const C_enexor_power = E_power_sold * R_power;
+  const C_enexor_therm = E_therm_sold * R_therm;
+  const C_enexor_waste = R_tip_unit;
+  const C_enexor_demand = D_avoided * R_demand;
+  const C_enexor_total = C_enexor_power + C_enexor_therm + C_enexor_waste + C_enexor_demand;
+
+  const savings_annual = C_current_total - C_enexor_total;
+  const savings_pct = C_current_total > 0 ? (savings_annual / C_current_total) * 100 : 0;
+
+  // CAPEX
+  const CAPEX_unit1 = C_biochp + C_enexfuel + C_install;
+  const lr_exp = Math.log(LR) / Math.log(2);
+  const unit_capex = [];
+  for (let n = 1; n <= build_years.length; n++) {
+    unit_capex.push(CAPEX_unit1 * Math.pow(learning_seq ? learning_seq[n - 1] : n, lr_exp));
+  }
+  const capex_fleet_total = unit_capex.reduce((s, v) => s + v, 0);
+
+  // IRA incentives: §48 ITC adders are +10 pts each; §45Y PTC bonuses are +10% of the base rate each
+  const adders = (itc_energy_community ? 1 : 0) + (itc_domestic_content ? 1 : 0);
+  const itc_rate = incentive === "itc" ? (itc_base + 10 * adders) / 100 : 0;
+  const ptc_rate_eff = incentive === "ptc" ? ptc_rate * (1 + 0.1 * adders) : 0;
+  // The PTC is earned on power sold to anyone, so exports count once they are paid for
+  const E_power_ptc = E_power_sold + (R_export > 0 ? E_power_exported : 0);
+
+  // Tax depreciation and the ITC start when a unit is placed in service (commissioned).
+  // Claiming the ITC reduces the depreciable basis by half the credit (§50(c)).
+  const service_years = cod_months.map(m => Math.floor(m / 12));
+  const dep_rates = depreciationRates(dep_method, T_dep_sl);
+  const depreciation = new Array(T_project + 1).fill(0);
+  const itc = new Array(T_project + 1).fill(0);
+  let basis_total = 0;
+  const depreciate = (y, basis) => {
+    basis_total += basis;
+    depreciation[y] += basis * f_bonus;
+    dep_rates.forEach((rate, k) => {
+      if (y + k <= T_project) depreciation[y + k] += basis * (1 - f_bonus) * rate;
+    });
+  };
+  service_years.forEach((y, n) => {
+    if (y > T_project) return;
+    itc[y] += unit_capex[n] * itc_rate;
+    depreciate(y, unit_capex[n] * (1 - itc_rate / 2));
+  });
+
+  // Feedstock burned each year, and the share of the fuel demand the sources can
+  // meet; short of fuel, the units run fewer hours, earn fewer credits and wear
+  // more slowly
+  const feeds = Array.from({ length: T_project + 1 }, (_, y) => (
+    sources && dispatchFeedstock(sources, shares.reduce((s, share) => s + share[y], 0) * fuel_demand_unit)));
+  const supply = feeds.map(feed => (feed ? feed.f_supply : 1));
+  const running = shares.map(share => share.map((s, y) => s * supply[y]));
+
+  // Carbon credits by vintage, sold once issued
+  const carbon = carbonLedger(inputs, build_years, supply);
+
+  // Lifecycle: degradation, overhauls (capitalized, escalating with maintenance)
+  // and, optionally, a reserve that sets aside each overhaul's cost evenly over
+  // the years before it falls due
+  const lifecycle = unitLifecycle({ shares: running, hours_yr, r_degrade, H_overhaul });
+  const capex_overhaul = new Array(T_project + 1).fill(0);
+  const reserve_deposit = new Array(T_project + 1).fill(0);
+  const reserve_release = new Array(T_project + 1).fill(0);
+  lifecycle.forEach(({ overhauls }, n) => {
+    let saving_from = service_years[n];
+    for (let y = service_years[n]; y <= T_project; y++) {
+      if (overhauls[y] === 0) continue;
+      const cost = overhauls[y] * C_overhaul * Math.pow(1 + r_maint / 100, y);
+      capex_overhaul[y] += cost;
+      if (mmra && y > saving_from) {
+        for (let k = saving_from; k < y; k++) reserve_deposit[k] += cost / (y - saving_from);
+        reserve_release[y] += cost;
+      }
+      saving_from = y;
+    }
+  });
+  capex_overhaul.forEach((cost, y) => cost > 0 && depreciate(y, cost));
+
+  // State tax is deductible against federal
+  const tax_rate = (tax_state + tax_fed * (1 - tax_state / 100)) / 100;
+
+  // Operating years: deployment, CAPEX, revenue and OPEX
+  const ops = [];
+  for (let y = 0; y <= T_project; y++) {
+    const N_deployed = builtBy(y);
+    const N_prev = builtBy(y - 1);
+    const capex_year = unit_capex.reduce((s, cost, n) => s + (build_years[n] === y ? cost : 0), 0);
+    // Unit-years in operation: units commissioned part-way through the year count in part
+    const N_operating = shares.reduce((s, share) => s + share[y], 0);
+
+    // Revenue
+    const esc_power = Math.pow(1 + r_power / 100, y);
+    const esc_therm = Math.pow(1 + r_therm / 100, y);
+    const esc_tip = Math.pow(1 + r_tipping / 100, y);
+    const esc_export = Math.pow(1 + r_export / 100, y);
+
+    // Feedstock burned
+    const feed = feeds[y];
+    const F_used = feed ? feed.tons.reduce((s, t) => s + t, 0) : N_operating * F_tpy;
+    const f_supply = supply[y];
+    const { R_tip, C_feed, C_haul } = feed
+      ? feedstockCash(sources, feed.tons, inputs, y)
+      : { R_tip: Math.min(F_used, W_tpy) * R_tipping * esc_tip, C_feed: 0, C_haul: 0 };
+
+    // Degraded units burn the same feedstock for less power and heat
+    const N_output = lifecycle.reduce((s, u) => s + u.output[y], 0);
+
+    const R_pwr = N_output * E_power_sold * R_power * esc_power;
+    const R_thrm = N_output * E_therm_sold * R_therm * esc_therm;
+    const R_crb = carbon.R_crb[y];
+    const R_exp = N_output * E_power_exported * R_export * esc_export;
+    const R_dem = N_output * D_avoided * R_demand * esc_power;
+    // Biochar comes from the feedstock, so degradation does not reduce it
+    const Q_char = F_used * f_biochar;
+    const R_cdr = Q_char * CDR_biochar * P_cdr * Math.pow(1 + r_cdr / 100, y);
+    const R_char = Q_char * R_biochar * Math.pow(1 + r_biochar / 100, y) + R_cdr;
+    const R_total = R_pwr + R_thrm + R_tip + R_crb + R_exp + R_dem + R_char;
+
+    // OPEX
+    const esc_maint = Math.pow(1 + r_maint / 100, y);
+    const esc_fuel = Math.pow(1 + r_fuel / 100, y);
+    const esc_fixed = Math.pow(1.03, y);
+
+    const C_maint = N_output * E_power_yr * R_maint * esc_maint;
+    const C_fuel = F_used * C_fuel_process * esc_fuel;
+    const C_fixed = N_deployed * (C_insurance + C_acct_mgmt) * esc_fixed;
+    const C_carbon = carbon.C_carbon[y];
+    const C_char = Q_char * C_char_handling * esc_fuel;
+    const OPEX = C_maint + C_fuel + C_feed + C_haul + C_fixed + C_carbon + C_char;
+
+    // End of contract: the fleet is sold for salvage or removed at a cost
+    const final = y === T_project;
+    const salvage = final ? f_salvage * unit_capex.reduce((s, cost, n) => s + (build_years[n] <= y ? cost : 0), 0) : 0;
+    const decom = final ? N_deployed * C_decom * esc_fixed : 0;
+    const reserve_balance = reserve_deposit.slice(0, y + 1).reduce((s, v) => s + v, 0)
+      - reserve_release.slice(0, y + 1).reduce((s, v) => s + v, 0);
+
+    const EBITDA = R_total - OPEX;
+    ops.push({
+      y, year: Y_start + y, N_deployed, N_new: N_deployed - N_prev, N_operating, capex_year,
+      R_pwr, R_thrm, R_tip, R_crb, R_exp, R_dem, R_char, R_cdr, R_total,
+      C_maint, C_fuel, C_feed, C_haul, C_fixed, C_carbon, C_char, OPEX, EBITDA, F_used, f_supply, Q_char,
+      ...Object.fromEntries(CARBON_STREAMS.map(({ key }) => [`R_crb_${key}`, carbon[`R_crb_${key}`][y]])),
+      CC_vintage: carbon.CC_vintage[y], CC_buffer: carbon.CC_buffer[y], CC_issued: carbon.CC_issued[y],
+      output_factor: N_deployed > 0 ? N_output / N_deployed : 0,
+      n_overhauls: lifecycle.reduce((s, u) => s + u.overhauls[y], 0), capex_overhaul: capex_overhaul[y],
+      reserve_deposit: reserve_deposit[y], reserve_release: reserve_release[y], reserve_balance, salvage, decom,
+      CFADS: EBITDA - capex_overhaul[y] - reserve_deposit[y] + reserve_release[y],
+    });
+  }
+
+  // Debt: each deployment year's CAPEX draws its own tranche. Sculpted tranches
+  // are sized against the CFADS of the units they financed.
+  const tranches = [];
+  if (f_equity < 1 && T_loan > 0) {
+    for (const op of ops) {
+      if (op.capex_year <= 0) continue;
+      const cfads = ops.map(o => (o.y >= op.y && o.N_deployed > 0 ? o.CFADS * op.N_new / o.N_deployed : 0));
+      const tranche = buildTranche({
+        start_year: op.y, amount: op.capex_year * (1 - f_equity), r_debt, T_loan, f_loan_fees,
+        T_construction, T_grace, repayment: debt_repayment, f_balloon, DSCR_target, cfads, T_project,
+      });
+      tranches.push({ ...tranche, start_year: op.y, year: op.year, units: op.N_new, amount: op.capex_year * (1 - f_equity) });
+    }
+  }
+  const sumTranches = (y, field) => tranches.reduce((s, t) => s + t.rows[y][field], 0);
+  const loan_fees = tranches.reduce((s, t) => s + t.fees, 0);
+  const loan_amount = tranches.reduce((s, t) => s + t.amount, 0) + loan_fees;
+
+  // Year-by-year financing. Equity (levered) cash flows carry debt service and the
+  // interest tax shield; project (unlevered) cash flows carry the full CAPEX and no debt.
+  const years = [];
+  let cumulative_dcf = 0;
+  let cumulative_cf = 0;
+  let cumulative_dcf_project = 0;
+  let payback_disc = null;
+  let payback_simple = null;
+  const equityTax = createTaxLedger(tax_rate, transfer_credits, transfer_price);
+  const projectTax = createTaxLedger(tax_rate, transfer_credits, transfer_price);
+
+  for (const op of ops) {
+    const { y, N_deployed, capex_year, EBITDA, CFADS, salvage, decom } = op;
+    const debt = {
+      opening: sumTranches(y, "opening"), draw: sumTranches(y, "draw"), fees: sumTranches(y, "fees"), idc: sumTranches(y, "idc"),
+      interest: sumTranches(y, "interest"), principal: sumTranches(y, "principal"), closing: sumTranches(y, "closing"),
+    };
+    const DS = debt.interest + debt.principal;
+    const DSCR = DS > 0 ? CFADS / DS : null;
+
+    // PTC runs for T_ptc years from each unit's in-service year, on electricity sold
+    const N_ptc = lifecycle.reduce((s, u, n) => s + (y - service_years[n] < T_ptc ? u.output[y] : 0), 0);
+    const ptc = N_ptc * E_power_ptc * ptc_rate_eff * Math.pow(1 + r_ptc / 100, y);
+    const credit_earned = itc[y] + ptc;
+
+    // At the end of the contract the undepreciated basis is written off against
+    // whatever the fleet sells for (nothing when abandoned); removal is deductible
+    const basis_left = basis_total - depreciation.reduce((s, v) => s + v, 0);
+    const terminal_income = y === T_project ? salvage - basis_left - decom : 0;
+
+    // Income tax with loss carry-forward; interest is deductible on the levered view only
+    const tax_equity = equityTax(EBITDA + terminal_income - depreciation[y] - debt.interest, credit_earned);
+    const tax_project = projectTax(EBITDA + terminal_income - depreciation[y], credit_earned);
+    const { taxable_income, tax_gross, tax, credits_applied, credit_sale, nol_balance, credit_balance } = tax_equity;
+
+    const equity_capex = capex_year - debt.draw;
+    const CF_pretax = CFADS - equity_capex - DS + salvage - decom;
+    const CF = CF_pretax - tax + credit_sale;
+    // Reserve funding is a lender covenant, so the unlevered view pays overhauls as they fall due
+    const CF_project = EBITDA - capex_year - op.capex_overhaul + salvage - decom - tax_project.tax + tax_project.credit_sale;
+
+    const discount_factor = Math.pow(1 + r_disc / 100, y);
+    const DCF = CF / discount_factor;
+    cumulative_dcf += DCF;
+    cumulative_cf += CF;
+    cumulative_dcf_project += CF_project / discount_factor;
+
+    if (payback_disc === null && y > 0 && cumulative_dcf >= 0) payback_disc = y;
+    if (payback_simple === null && y > 0 && cumulative_cf >= 0) payback_simple = y;
+
+    years.push({
+      ...op, DS, DSCR, CF, DCF, cumNPV: cumulative_dcf,
+      interest: debt.interest, principal: debt.principal, depreciation: depreciation[y],
+      taxable_income, tax_gross, tax, nol_balance, CF_pretax,
+      ITC: itc[y], PTC: ptc, credits_applied, credit_sale, credit_balance,
+      equity_capex, tax_project: tax_project.tax, CF_project, cumNPV_project: cumulative_dcf_project,
+      loan_opening: debt.opening, loan_draw: debt.draw, loan_fees: debt.fees, loan_idc: debt.idc, loan_closing: debt.closing,
+    });
+  }
+
+  // Monthly cash flows: each year's lines spread over its months by what drives
+  // them and by how many units are in operation, debt service from the tranche
+  // schedules, equity CAPEX in the install month and the year's tax in the last,
+  // so every month sums back to its year.
+  let months = null;
+  if (monthly_operation) {
+    const share = (values) => {
+      const total = values.reduce((s, v) => s + v, 0);
+      return values.map((v, m) => (total > 0 ? v / total : DAYS_IN_MONTH[m] / 365));
+    };
+    const s_days = monthly_operation.map(m => m.days / 365);
+    // Overhauls are done in the month with the most planned outage days
+    const overhaul_month = inputs.outage_days.indexOf(Math.max(...inputs.outage_days));
+    months = years.flatMap(yr => {
+      const running = monthly_operation.map((_, m) => cod_months.filter(c => c <= yr.y * 12 + m).length);
+      const byRunning = (values) => share(values.map((v, m) => v * running[m]));
+      const s_power = byRunning(monthly_operation.map(m => m.E_power_sold));
+      const s_therm = byRunning(monthly_operation.map(m => m.E_therm_sold));
+      const s_fuel = byRunning(monthly_operation.map(m => m.F_processed));
+      const s_run = byRunning(monthly_operation.map(m => m.E_power));
+      const s_export = byRunning(monthly_operation.map(m => m.E_power - m.E_power_sold));
+      const s_demand = byRunning(demand_by_month);
+      const s_carbon = byRunning(s_days);
+      return monthly_operation.map((_, m) => {
+        const i = yr.y * 12 + m;
+        const R_pwr = yr.R_pwr * s_power[m];
+        const R_thrm = yr.R_thrm * s_therm[m];
+        const R_tip = yr.R_tip * s_fuel[m];
+        const R_crb = yr.R_crb * s_carbon[m];
+        const R_exp = yr.R_exp * s_export[m];
+        const R_dem = yr.R_dem * s_demand[m];
+        const R_char = yr.R_char * s_fuel[m];
+        const R_total = R_pwr + R_thrm + R_tip + R_crb + R_exp + R_dem + R_char;
+        const OPEX = yr.C_maint * s_run[m] + (yr.C_fuel + yr.C_feed + yr.C_haul + yr.C_char) * s_fuel[m] + yr.C_fixed * s_days[m] + yr.C_carbon * s_carbon[m];
+        const interest = tranches.reduce((s, t) => s + t.interest_monthly[i], 0);
+        const principal = tranches.reduce((s, t) => s + t.principal_monthly[i], 0);
+        const equity_capex = m === M_install - 1 ? yr.equity_capex : 0;
+        const tax = m === 11 ? yr.tax - yr.credit_sale : 0;
+        const lifecycle_cash = (m === overhaul_month ? yr.reserve_release - yr.capex_overhaul : 0)
+          - yr.reserve_deposit * s_days[m] + (m === 11 ? yr.salvage - yr.decom : 0);
+        const EBITDA = R_total - OPEX;
+        return {
+          y: yr.y, year: yr.year, month: m, N_deployed: yr.N_deployed, N_running: running[m],
+          R_pwr, R_thrm, R_tip, R_crb, R_exp, R_dem, R_char, R_total, OPEX, EBITDA,
+          interest, principal, DS: interest + principal, equity_capex, tax,
+          lifecycle_cash, CF: EBITDA - interest - principal - equity_capex - tax + lifecycle_cash,
+        };
+      });
+    });
+  }
+
+  // NPV — equity (levered) is the headline figure
+  const NPV = cumulative_dcf;
+  const NPV_project = cumulative_dcf_project;
+
+  // IRR — reported only when unique; MIRR is always defined for a conventional investment
+  const equity_irr = solveIRR(years.map(yr => yr.CF));
+  const project_irr = solveIRR(years.map(yr => yr.CF_project));
+  const IRR = equity_irr.irr;
+  const IRR_project = project_irr.irr;
+  const MIRR = computeMIRR(years.map(yr => yr.CF), r_mirr_finance / 100, r_mirr_reinvest / 100);
+  const MIRR_project = computeMIRR(years.map(yr => yr.CF_project), r_mirr_finance / 100, r_mirr_reinvest / 100);
+
+  // Loan table (years with a balance or activity)
+  const loan_table = years
+    .filter(yr => yr.loan_opening > 0 || yr.loan_draw > 0 || yr.loan_closing > 0)
+    .map(yr => ({
+      y: yr.y, year: yr.year, opening: yr.loan_opening, draw: yr.loan_draw, fees: yr.loan_fees, idc: yr.loan_idc,
+      interest: yr.interest, principal: yr.principal, closing: yr.loan_closing,
+    }));
+  const peak_debt_service = Math.max(0, ...years.map(yr => yr.DS));
+
+  // Pre-tax reference figures
+  const NPV_pretax = years.reduce((s, yr) => s + yr.CF_pretax / Math.pow(1 + r_disc / 100, yr.y), 0);
+  const IRR_pretax = computeIRR(years.map(yr => yr.CF_pretax));
+  const tax_total = years.reduce((s, yr) => s + yr.tax, 0);
+  const credits_total = years.reduce((s, yr) => s + yr.ITC + yr.PTC, 0);
+  const credit_value_total = years.reduce((s, yr) => s + yr.credits_applied + yr.credit_sale, 0);
+  const depreciation_total = depreciation.reduce((s, v) => s + v, 0);
+
+  // DSCR minimum
+  const dscr_values = years.filter(y => y.DSCR !== null).map(y => y.DSCR);
+  const DSCR_min = dscr_values.length > 0 ? Math.min(...dscr_values) : null;
+
+  // Revenue per unit (year 1)
+  const yr1 = years[1] || years[0];
+  const R_per_unit = yr1.N_deployed > 0 ? yr1.R_total / yr1.N_deployed : 0;
+
+  // Revenue per unit breakdown
+  const R_per_unit_power = yr1.N_deployed > 0 ? yr1.R_pwr / yr1.N_deployed : 0;
+  const R_per_unit_therm = yr1.N_deployed > 0 ? yr1.R_thrm / yr1.N_deployed : 0;
+  const R_per_unit_tip = yr1.N_deployed > 0 ? yr1.R_tip / yr1.N_deployed : 0;
+  const R_per_unit_carbon = yr1.N_deployed > 0 ? yr1.R_crb / yr1.N_deployed : 0;
+  const R_per_unit_export = yr1.N_deployed > 0 ? yr1.R_exp / yr1.N_deployed : 0;
+  const R_per_unit_demand = yr1.N_deployed > 0 ? yr1.R_dem / yr1.N_deployed : 0;
+  const R_per_unit_char = yr1.N_deployed > 0 ? yr1.R_char / yr1.N_deployed : 0;
+
+  // Warnings
+  if (NPV < 0) warnings.push(`Equity NPV is negative at ${r_disc}% discount rate.`);
+  if (NPV_project < 0 && NPV >= 0) warnings.push(`Project (unlevered) NPV is negative at ${r_disc}% — returns rely on leverage.`);
+  const fmtRoots = (roots) => roots.map(r => `${(r * 100).toFixed(1)}%`).join(", ");
+  const fmtShare = (f) => `${(f * 100).toFixed(0)}%`;
+  if (equity_irr.status === "multiple") warnings.push(`Equity cash flows change sign ${equity_irr.sign_changes} times and have ${equity_irr.roots.length} IRRs (${fmtRoots(equity_irr.roots)}) — rely on NPV or MIRR.`);
+  if (project_irr.status === "multiple") warnings.push(`Project cash flows have ${project_irr.roots.length} IRRs (${fmtRoots(project_irr.roots)}) — rely on NPV or MIRR.`);
+  if (DSCR_min !== null && DSCR_min < 1.0) warnings.push(`⚠ DSCR falls below 1.0× — loan default risk. Increase equity or reduce debt.`);
+  if (DSCR_min !== null && DSCR_min < 1.25 && DSCR_min >= 1.0) warnings.push(`⚠ DSCR below 1.25× — may not meet lender covenants.`);
+  if (tranches.some(t => t.sculpt_shortfall)) warnings.push(`⚠ Sculpting at ${DSCR_target.toFixed(2)}× cannot retire the debt within the loan term — a balloon payment falls due at maturity.`);
+  if (tranches.some(t => t.truncated)) warnings.push(`Debt outlives the ${T_project}-year contract — the remaining balance is repaid in ${Y_start + T_project}.`);
+  const short = years.filter(yr => yr.f_supply < 1);
+  if (short.length > 0) {
+    const worst = short.reduce((a, b) => (b.f_supply < a.f_supply ? b : a));
+    warnings.push(`⚠ Feedstock supply meets ${fmtShare(worst.f_supply)} of the fleet's fuel demand in ${worst.year} — the units can run ${fmtShare(worst.f_supply * hours_yr / 8760)} of the year, short of ${fmtShare(hours_yr / 8760)} availability.`);
+  }
+  const { nol_balance, credit_balance } = years[years.length - 1];
+  if (credit_balance > 0) warnings.push(`Tax credits of $${Math.round(credit_balance).toLocaleString()} cannot be used against tax liability — consider transferring them.`);
+  if (nol_balance > 0) warnings.push(`Tax losses of $${Math.round(nol_balance).toLocaleString()} remain unused at the end of the contract term.`);
+
+  return {
+    hours_yr, E_power_yr, E_therm_yr, F_tpy, CC_net, E_power_sold, E_therm_sold,
+    avail_eff: hours_yr / 8760,
+    power_util_eff: E_power_yr > 0 ? E_power_sold / E_power_yr : 0,
+    therm_util_eff: E_therm_yr > 0 ? E_therm_sold / E_therm_yr : 0,
+    fuel_demand_unit, E_power_exported, E_therm_dumped, D_avoided, load_dispatch: dispatch && summarizeDispatch(inputs, dispatch, dispatch_units, E_power_sold, E_therm_sold),
+    C_current_total, C_enexor_total, savings_annual, savings_pct,
+    C_current_power, C_current_therm, C_current_waste, C_current_demand,
+    C_enexor_power, C_enexor_therm, C_enexor_waste, C_enexor_demand,
+    CAPEX_unit1, capex_fleet_total, unit_capex,
+    loan_amount, peak_debt_service, tranches,
+    tax_rate, tax_total, depreciation_total, NPV_pretax, IRR_pretax,
+    itc_rate, ptc_rate_eff, credits_total, credit_value_total,
+    NPV, IRR, NPV_project, IRR_project, loan_table, loan_fees,
+    IRR_info: equity_irr, MIRR, IRR_project_info: project_irr, MIRR_project,
+    payback_disc, payback_simple, DSCR_min,
+    R_per_unit, R_per_unit_power, R_per_unit_therm, R_per_unit_tip, R_per_unit_carbon, R_per_unit_export, R_per_unit_demand, R_per_unit_char,
+    years, months, monthly_operation, warnings,
+    yr1_revenue: yr1.R_total, yr1_opex: yr1.OPEX, yr1_ebitda: yr1.EBITDA,
+  };
+}
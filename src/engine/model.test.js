@@ -0,0 +1,306 @@
+import { describe, it, expect } from "vitest";
+import { SCENARIOS, DEFAULT_INPUTS, DAYS_IN_MONTH } from "./inputs.js";
+import { runFinancialModel, unitLifecycle } from "./model.js";
+
+const run = (overrides) => runFinancialModel({ ...DEFAULT_INPUTS, ...overrides });
+const sum = (years, key) => years.reduce((s, yr) => s + yr[key], 0);
+
+// Regression pins: any change to these numbers should be a deliberate model change
+describe("presets", () => {
+  const pins = {
+    conservative: { NPV: 203188.64, IRR: 0.185111, MIRR: 0.129516, NPV_project: 190282.35, IRR_project: 0.163550, DSCR_min: 1.80020, payback_disc: 7 },
+    base: { NPV: 2656827.14, IRR: 0.716627, MIRR: 0.302478, NPV_project: 2656301.29, IRR_project: 0.440320, DSCR_min: 2.82157, payback_disc: 3 },
+    // Debt plus year-one cash flow covers the equity share, so there is no outlay to earn an IRR on
+    optimistic: { NPV: 11959237.93, IRR: null, MIRR: null, NPV_project: 12055381.84, IRR_project: 1.049483, DSCR_min: 4.12145, payback_disc: 1 },
+  };
+
+  for (const [name, pin] of Object.entries(pins)) {
+    it(`pins ${name} NPV, IRR and DSCR`, () => {
+      const r = run(SCENARIOS[name]);
+      expect(r.NPV).toBeCloseTo(pin.NPV, 1);
+      expect(r.NPV_project).toBeCloseTo(pin.NPV_project, 1);
+      if (pin.IRR === null) expect(r.IRR).toBeNull();
+      else expect(r.IRR).toBeCloseTo(pin.IRR, 5);
+      if (pin.MIRR === null) expect(r.MIRR).toBeNull();
+      else expect(r.MIRR).toBeCloseTo(pin.MIRR, 5);
+      expect(r.IRR_project).toBeCloseTo(pin.IRR_project, 5);
+      expect(r.DSCR_min).toBeCloseTo(pin.DSCR_min, 4);
+      expect(r.payback_disc).toBe(pin.payback_disc);
+    });
+  }
+});
+
+describe("runFinancialModel", () => {
+  it("has one row per project year, each finite", () => {
+    const r = run();
+    expect(r.years).toHaveLength(DEFAULT_INPUTS.T_project + 1);
+    for (const yr of r.years) {
+      for (const key of ["R_total", "OPEX", "EBITDA", "DS", "tax", "CF", "CF_project", "cumNPV"]) {
+        expect(Number.isFinite(yr[key])).toBe(true);
+      }
+    }
+    expect(r.NPV).toBeCloseTo(r.years.at(-1).cumNPV, 6);
+  });
+
+  it("repays the loan without interest when r_debt = 0", () => {
+    const r = run({ r_debt: 0 });
+    expect(sum(r.years, "interest")).toBe(0);
+    expect(sum(r.years, "principal")).toBeCloseTo(r.loan_amount, 2);
+    expect(r.years.at(-1).loan_closing).toBeCloseTo(0, 6);
+    expect(r.NPV).toBeGreaterThan(run().NPV);
+  });
+
+  it("has no debt and matching equity and project returns when f_equity = 1", () => {
+    const r = run({ f_equity: 1 });
+    expect(r.loan_amount).toBe(0);
+    expect(r.tranches).toHaveLength(0);
+    expect(r.DSCR_min).toBeNull();
+    expect(sum(r.years, "DS")).toBe(0);
+    expect(r.NPV).toBeCloseTo(r.NPV_project, 6);
+    expect(r.IRR).toBeCloseTo(r.IRR_project, 6);
+  });
+
+  it("deploys a single unit in year 0 when N_units = 1", () => {
+    const r = run({ N_units: 1 });
+    expect(r.unit_capex).toEqual([DEFAULT_INPUTS.C_biochp + DEFAULT_INPUTS.C_enexfuel + DEFAULT_INPUTS.C_install]);
+    expect(r.years.map(yr => yr.capex_year).filter(c => c > 0)).toHaveLength(1);
+    expect(r.years.every(yr => yr.N_deployed === 1)).toBe(true);
+    expect(r.tranches).toHaveLength(1);
+  });
+
+  it("matches the pre-tax figures when there is no tax", () => {
+    const r = run({ tax_fed: 0, tax_state: 0 });
+    expect(r.tax_total).toBe(0);
+    expect(r.NPV).toBeCloseTo(r.NPV_pretax, 6);
+  });
+
+  it("keeps the loan roll-forward balanced", () => {
+    const r = run({ T_construction: 9, T_grace: 1, debt_repayment: "balloon" });
+    for (const row of r.loan_table) {
+      expect(row.closing).toBeCloseTo(row.opening + row.draw + row.fees + row.idc - row.principal, 4);
+    }
+  });
+
+  it("repays any balance outstanding at the end of the contract", () => {
+    const r = run({ T_loan: 15 });
+    expect(r.years.at(-1).loan_closing).toBeCloseTo(0, 6);
+    expect(r.warnings.some(w => w.includes("outlives"))).toBe(true);
+  });
+
+  it("explains why there is no equity IRR", () => {
+    const r = run(SCENARIOS.optimistic);
+    expect(r.IRR_info).toMatchObject({ irr: null, status: "none", roots: [], sign_changes: 0 });
+  });
+
+  it("flags a negative NPV", () => {
+    const r = run({ R_power: 0.04, R_therm: 0.01, R_tipping: 0, P_carbon: 0 });
+    expect(r.NPV).toBeLessThan(0);
+    expect(r.warnings.some(w => w.includes("NPV is negative"))).toBe(true);
+  });
+});
+
+describe("monthly time step", () => {
+  const flat = (v) => Array.from({ length: 12 }, () => v);
+  const monthly = (overrides) => run({ time_step: "monthly", outage_days: flat(0), f_avail_forced: DEFAULT_INPUTS.f_avail, ...overrides });
+
+  it("matches the annual model when the profiles are flat", () => {
+    const annual = run({ f_power_util: 0.8, f_therm_util: 0.6 });
+    const r = monthly({ profile_power: flat(0.8), profile_therm: flat(0.6) });
+    expect(r.NPV).toBeCloseTo(annual.NPV, 4);
+    expect(r.IRR).toBeCloseTo(annual.IRR, 10);
+    expect(r.savings_pct).toBeCloseTo(annual.savings_pct, 10);
+    expect(annual.months).toBeNull();
+  });
+
+  it("rolls monthly cash flows up into each year", () => {
+    const r = monthly({ profile_therm: DEFAULT_INPUTS.profile_therm.map((_, m) => (m < 3 || m > 9 ? 1 : 0.3)), outage_days: [0, 0, 0, 14, 0, 0, 0, 0, 0, 0, 0, 0], f_biochar: 0.1 });
+    expect(r.months).toHaveLength(r.years.length * 12);
+    for (const yr of r.years) {
+      const months = r.months.filter(m => m.y === yr.y);
+      for (const key of ["R_pwr", "R_thrm", "R_tip", "R_crb", "R_char", "OPEX", "EBITDA", "interest", "principal", "CF"]) {
+        expect(sum(months, key)).toBeCloseTo(yr[key], 4);
+      }
+    }
+    const yr1 = r.months.filter(m => m.y === 1);
+    expect(yr1[0].R_thrm).toBeGreaterThan(yr1[6].R_thrm);
+    expect(yr1[3].R_pwr).toBeLessThan(yr1[4].R_pwr);
+  });
+
+  it("replaces f_avail with planned outages and forced availability", () => {
+    const r = monthly({ f_avail: 0.5, f_avail_forced: 0.95, outage_days: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 31] });
+    expect(r.avail_eff).toBeCloseTo(0.95 * 334 / 365, 10);
+    expect(r.monthly_operation[11].hours).toBe(0);
+  });
+
+  it("earns less heat revenue from a seasonal load", () => {
+    const profile = [1, 1, 0.9, 0.65, 0.4, 0.25, 0.2, 0.2, 0.35, 0.6, 0.9, 1];
+    const flatHeat = monthly({ profile_therm: flat(1) });
+    const districtHeat = monthly({ profile_therm: profile });
+    // Without outages every hour counts alike, so the effective factor is the day-weighted mean
+    expect(districtHeat.therm_util_eff).toBeCloseTo(profile.reduce((s, v, m) => s + v * DAYS_IN_MONTH[m], 0) / 365, 10);
+    expect(districtHeat.NPV).toBeLessThan(flatHeat.NPV);
+  });
+});
+
+describe("exports and demand charges", () => {
+  it("sells surplus power at the export rate with its own escalator", () => {
+    const r = run({ f_power_util: 0.6, R_export: 0.04, r_export: 1 });
+    expect(r.E_power_exported).toBeCloseTo(r.E_power_yr * 0.4, 6);
+    for (const yr of r.years) {
+      expect(yr.R_exp).toBeCloseTo(yr.N_deployed * r.E_power_exported * 0.04 * Math.pow(1.01, yr.y), 6);
+    }
+    expect(run({ f_power_util: 0.6, R_export: 0 }).NPV).toBeLessThan(r.NPV);
+    expect(run({ R_export: 0.04 }).NPV).toBe(run({ R_export: 0 }).NPV);
+  });
+
+  it("earns nothing from exports until a rate is set, so older models keep their numbers", () => {
+    const r = run({ f_power_util: 0.6 });
+    expect(r.years.every(yr => yr.R_exp === 0)).toBe(true);
+    expect(r.R_per_unit_export).toBe(0);
+  });
+
+  it("bills avoided demand on both sides of the customer comparison", () => {
+    const base = run({});
+    const r = run({ C_cust_demand: 15, R_demand: 10 });
+    expect(r.D_avoided).toBeCloseTo(12 * DEFAULT_INPUTS.P_elec * DEFAULT_INPUTS.f_avail, 6);
+    expect(r.savings_annual - base.savings_annual).toBeCloseTo(r.D_avoided * 5, 6);
+    expect(r.years[2].R_dem).toBeCloseTo(r.years[2].N_deployed * r.D_avoided * 10 * Math.pow(1 + DEFAULT_INPUTS.r_power / 100, 2), 6);
+  });
+
+  it("spreads export and demand revenue over the months that earn it", () => {
+    const profile_power = Array.from({ length: 12 }, (_, m) => (m < 6 ? 1 : 0.5));
+    const r = run({ time_step: "monthly", profile_power, R_demand: 8 });
+    const yr1 = r.months.filter(m => m.y === 1);
+    for (const key of ["R_exp", "R_dem", "R_total"]) expect(sum(yr1, key)).toBeCloseTo(r.years[1][key], 4);
+    expect(yr1[0].R_exp).toBe(0);
+    expect(yr1[3].R_dem).toBeLessThan(yr1[4].R_dem);
+  });
+});
+
+describe("lifecycle", () => {
+  it("schedules overhauls by run-hours and restores output after each", () => {
+    const [unit] = unitLifecycle({ shares: [[0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1]], hours_yr: 5000, r_degrade: 2, H_overhaul: 20000 });
+    expect(unit.overhauls).toEqual([0, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0]);
+    expect(unit.output[0]).toBe(0);
+    expect(unit.output[4]).toBeCloseTo(0.98 ** 3, 12);
+    expect(unit.output[5]).toBe(1);
+  });
+
+  it("loses power revenue to degradation but not feedstock", () => {
+    const base = run({ N_units: 1 });
+    const r = run({ N_units: 1, r_degrade: 2, H_overhaul: 80000 });
+    expect(r.years[3].R_pwr).toBeCloseTo(base.years[3].R_pwr * 0.98 ** 3, 6);
+    expect(r.years[3].R_tip).toBe(base.years[3].R_tip);
+    expect(r.years[3].output_factor).toBeCloseTo(0.98 ** 3, 12);
+  });
+
+  it("funds overhauls from a reserve without changing total cash", () => {
+    const overhauls = { N_units: 1, C_overhaul: 100000, H_overhaul: 20000 };
+    const paid = run(overhauls);
+    const reserved = run({ ...overhauls, mmra: true });
+    expect(paid.years.map(yr => yr.n_overhauls)).toEqual([0, 0, 1, 0, 1, 0, 0, 1, 0, 1, 0]);
+    expect(paid.years[2].capex_overhaul).toBeCloseTo(100000 * 1.03 ** 2, 6);
+    expect(reserved.years[0].reserve_deposit).toBeCloseTo(paid.years[2].capex_overhaul / 2, 6);
+    expect(reserved.years[2].reserve_release).toBeCloseTo(paid.years[2].capex_overhaul, 6);
+    expect(reserved.years[reserved.years.length - 1].reserve_balance).toBeCloseTo(0, 6);
+    expect(sum(reserved.years, "CF")).toBeCloseTo(sum(paid.years, "CF"), 4);
+    expect(reserved.NPV).toBeLessThan(paid.NPV);
+    expect(paid.NPV).toBeLessThan(run({ N_units: 1 }).NPV);
+  });
+
+  it("sells or removes the fleet in the final year", () => {
+    const base = run({ tax_fed: 0, tax_state: 0 });
+    const last = base.years.length - 1;
+    const sold = run({ tax_fed: 0, tax_state: 0, f_salvage: 0.1 });
+    expect(sold.years[last].salvage).toBeCloseTo(0.1 * base.capex_fleet_total, 6);
+    expect(sold.years[last].CF - base.years[last].CF).toBeCloseTo(sold.years[last].salvage, 6);
+    expect(run({ C_decom: 20000 }).NPV).toBeLessThan(run({}).NPV);
+    // Fully depreciated units realize the whole sale price as a taxable gain
+    const taxed = run({ f_salvage: 0.1 });
+    expect(taxed.years[last].taxable_income - run({}).years[last].taxable_income).toBeCloseTo(taxed.years[last].salvage, 6);
+  });
+
+  it("writes off the undepreciated basis whether the fleet is sold or abandoned", () => {
+    const long_life = { dep_method: "sl", T_dep_sl: 39 };
+    const lossIn = (r) => r.years[r.years.length - 1].nol_balance - r.years[r.years.length - 2].nol_balance;
+    const abandoned = run(long_life);
+    const yr = abandoned.years[abandoned.years.length - 1];
+    const basis_left = abandoned.capex_fleet_total - abandoned.depreciation_total;
+    expect(basis_left).toBeGreaterThan(yr.EBITDA);
+    expect(lossIn(abandoned)).toBeCloseTo(basis_left - (yr.EBITDA - yr.depreciation - yr.interest), 4);
+    const sold = run({ ...long_life, f_salvage: 0.01 });
+    expect(lossIn(abandoned) - lossIn(sold)).toBeCloseTo(sold.years[sold.years.length - 1].salvage, 4);
+  });
+
+  it("rolls lifecycle cash into the monthly flows", () => {
+    const r = run({ time_step: "monthly", C_overhaul: 80000, H_overhaul: 20000, mmra: true, f_salvage: 0.05, C_decom: 10000 });
+    for (const yr of r.years) expect(sum(r.months.filter(m => m.y === yr.y), "CF")).toBeCloseTo(yr.CF, 4);
+  });
+});
+
+describe("biochar", () => {
+  it("earns nothing and costs nothing without a yield", () => {
+    const r = run({});
+    expect(r.years.every(yr => yr.R_char === 0 && yr.C_char === 0 && yr.Q_char === 0)).toBe(true);
+  });
+
+  it("sells biochar and its carbon removal credits and pays to handle it", () => {
+    const plain = run({ N_units: 1 });
+    const r = run({ N_units: 1, f_biochar: 0.08, R_biochar: 200, r_biochar: 2, CDR_biochar: 2.5, P_cdr: 150, r_cdr: 5, C_char_handling: 30 });
+    const yr = r.years[3];
+    const Q = r.F_tpy * 0.08;
+    expect(yr.Q_char).toBeCloseTo(Q, 6);
+    expect(yr.R_cdr).toBeCloseTo(Q * 2.5 * 150 * 1.05 ** 3, 6);
+    expect(yr.R_char).toBeCloseTo(Q * 200 * 1.02 ** 3 + yr.R_cdr, 6);
+    expect(yr.C_char).toBeCloseTo(Q * 30 * (1 + DEFAULT_INPUTS.r_fuel / 100) ** 3, 6);
+    expect(yr.R_total).toBeCloseTo(plain.years[3].R_total + yr.R_char, 6);
+    expect(yr.OPEX).toBeCloseTo(plain.years[3].OPEX + yr.C_char, 6);
+    expect(r.R_per_unit_char).toBeCloseTo(r.years[1].R_char, 6);
+  });
+
+  it("comes from the feedstock, so output degradation does not reduce it", () => {
+    const biochar = { N_units: 1, f_biochar: 0.08 };
+    expect(run({ ...biochar, r_degrade: 3 }).years[5].R_char).toBe(run(biochar).years[5].R_char);
+  });
+});
+
+describe("deployment schedule", () => {
+  const unit1 = DEFAULT_INPUTS.C_biochp + DEFAULT_INPUTS.C_enexfuel + DEFAULT_INPUTS.C_install;
+
+  it("spends CAPEX and prices the learning curve in schedule order", () => {
+    const r = run({ deploy_schedule: [1, 0, 3] });
+    expect(r.years.slice(0, 4).map(yr => yr.N_deployed)).toEqual([1, 1, 4, 4]);
+    expect(r.years[1].capex_year).toBe(0);
+    const lr_exp = Math.log(DEFAULT_INPUTS.LR) / Math.log(2);
+    expect(r.years[2].capex_year).toBeCloseTo(unit1 * (2 ** lr_exp + 3 ** lr_exp + 4 ** lr_exp), 6);
+    expect(r.years[1].R_pwr).toBeCloseTo(run({ N_units: 1 }).years[1].R_pwr, 6);
+  });
+
+  it("earns only the commissioned part of a unit's first year", () => {
+    const full = run({ N_units: 1 });
+    const july = run({ N_units: 1, M_install: 7 });
+    expect(july.years[0].N_operating).toBe(0.5);
+    expect(july.years[0].R_pwr).toBeCloseTo(full.years[0].R_pwr / 2, 6);
+    expect(july.years[0].R_tip).toBeCloseTo(full.years[0].R_tip / 2, 6);
+    expect(july.years[0].C_fixed).toBe(full.years[0].C_fixed);
+    expect(july.years[1].R_pwr).toBe(full.years[1].R_pwr);
+  });
+
+  it("places a unit in service for tax when it is commissioned", () => {
+    const itc = { N_units: 1, incentive: "itc" };
+    const late = run({ ...itc, T_commission: 12 });
+    expect(late.years[0].ITC).toBe(0);
+    expect(late.years[1].ITC).toBeCloseTo(run(itc).years[0].ITC, 6);
+    expect(late.years[0].depreciation).toBe(0);
+    expect(late.years[0].capex_year).toBeCloseTo(unit1, 6);
+  });
+
+  it("spreads the first year's operation over the commissioned months", () => {
+    const r = run({ N_units: 1, time_step: "monthly", M_install: 4, T_commission: 2 });
+    const first = r.months.filter(m => m.y === 0);
+    for (const m of first.slice(0, 5)) expect(m.R_total).toBeCloseTo(0, 6);
+    expect(first[5].R_pwr).toBeGreaterThan(0);
+    expect(first[3].equity_capex).toBe(r.years[0].equity_capex);
+    for (const yr of r.years) expect(sum(r.months.filter(m => m.y === yr.y), "CF")).toBeCloseTo(yr.CF, 4);
+  });
+});
@@ -0,0 +1,122 @@
+// ─── Monte Carlo ───
+import { INPUT_FIELDS, NUMERIC_FIELDS, clampToField } from "./inputs.js";
+import { runFinancialModel } from "./model.js";
+
+// Seeded PRNG (mulberry32) so a given seed always reproduces the same draws.
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal via Box–Muller
+function sampleStdNormal(rand) {
+  let u = 0;
+  while (u === 0) u = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+}
+
+export const DISTRIBUTIONS = {
+  triangular: {
+    label: "Triangular", params: ["min", "mode", "max"],
+    defaults: (v) => ({ min: v * 0.8, mode: v, max: v * 1.2 }),
+    validate: ({ min, mode, max }) => min <= mode && mode <= max && min < max,
+    sample: (rand, { min, mode, max }) => {
+      const u = rand();
+      const c = (mode - min) / (max - min);
+      return u < c
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    },
+  },
+  normal: {
+    label: "Normal", params: ["mean", "sd"],
+    defaults: (v) => ({ mean: v, sd: Math.abs(v) * 0.1 }),
+    validate: ({ sd }) => sd >= 0,
+    sample: (rand, { mean, sd }) => mean + sd * sampleStdNormal(rand),
+  },
+  lognormal: {
+    // Parameterised by the arithmetic mean and sd of the variable itself
+    label: "Lognormal", params: ["mean", "sd"],
+    defaults: (v) => ({ mean: v, sd: Math.abs(v) * 0.1 }),
+    validate: ({ mean, sd }) => mean > 0 && sd >= 0,
+    sample: (rand, { mean, sd }) => {
+      const sigma2 = Math.log(1 + (sd * sd) / (mean * mean));
+      const mu = Math.log(mean) - sigma2 / 2;
+      return Math.exp(mu + Math.sqrt(sigma2) * sampleStdNormal(rand));
+    },
+  },
+  uniform: {
+    label: "Uniform", params: ["min", "max"],
+    defaults: (v) => ({ min: v * 0.8, max: v * 1.2 }),
+    validate: ({ min, max }) => min <= max,
+    sample: (rand, { min, max }) => min + (max - min) * rand(),
+  },
+};
+
+export function defaultDistribution(key, value, type = "triangular") {
+  return { key, type, params: DISTRIBUTIONS[type].defaults(value) };
+}
+
+export function isValidDistribution(d) {
+  const dist = DISTRIBUTIONS[d.type];
+  if (!dist || !NUMERIC_FIELDS.includes(INPUT_FIELDS[d.key])) return false;
+  if (dist.params.some(p => typeof d.params[p] !== "number" || isNaN(d.params[p]))) return false;
+  return dist.validate(d.params);
+}
+
+export function sampleInput(rand, d) {
+  return clampToField(d.key, DISTRIBUTIONS[d.type].sample(rand, d.params));
+}
+
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx), hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+// Draws one at a time, so a long simulation can report progress or stop early
+export function* monteCarloDraws(baseInputs, { iterations, seed, dists }) {
+  const rand = mulberry32(seed);
+  for (let i = 0; i < iterations; i++) {
+    const trial = { ...baseInputs };
+    for (const d of dists) trial[d.key] = sampleInput(rand, d);
+    const r = runFinancialModel(trial);
+    yield { NPV: r.NPV, IRR: r.IRR, DSCR_min: r.DSCR_min };
+  }
+}
+
+export function runMonteCarlo(baseInputs, options) {
+  return summarizeMonteCarlo([...monteCarloDraws(baseInputs, options)]);
+}
+
+export function summarizeMonteCarlo(draws, bins = 30) {
+  const n = draws.length;
+  const npv = draws.map(d => d.NPV).sort((a, b) => a - b);
+  const irr = draws.filter(d => d.IRR !== null).map(d => d.IRR).sort((a, b) => a - b);
+
+  const lo = npv[0], hi = npv[n - 1];
+  const width = (hi - lo) / bins || 1;
+  const histogram = Array.from({ length: bins }, (_, i) => ({ x0: lo + i * width, x1: lo + (i + 1) * width, count: 0 }));
+  for (const v of npv) histogram[Math.min(bins - 1, Math.floor((v - lo) / width))].count++;
+  let cum = 0;
+  for (const b of histogram) {
+    cum += b.count;
+    b.cdf = cum / n;
+  }
+
+  return {
+    n,
+    NPV: { p10: percentile(npv, 0.1), p50: percentile(npv, 0.5), p90: percentile(npv, 0.9), mean: npv.reduce((s, v) => s + v, 0) / n },
+    IRR: { p10: percentile(irr, 0.1), p50: percentile(irr, 0.5), p90: percentile(irr, 0.9), undefinedCount: n - irr.length },
+    prob_npv_negative: npv.filter(v => v < 0).length / n,
+    prob_dscr_breach: draws.filter(d => d.DSCR_min !== null && d.DSCR_min < 1.25).length / n,
+    histogram,
+  };
+}
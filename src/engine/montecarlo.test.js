@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INPUTS } from "./inputs.js";
+import { mulberry32, DISTRIBUTIONS, defaultDistribution, isValidDistribution, sampleInput, runMonteCarlo } from "./montecarlo.js";
+
+describe("runMonteCarlo", () => {
+  const options = { iterations: 50, seed: 42, dists: [defaultDistribution("R_power", DEFAULT_INPUTS.R_power)] };
+
+  it("reproduces a run from its seed", () => {
+    expect(runMonteCarlo(DEFAULT_INPUTS, options)).toEqual(runMonteCarlo(DEFAULT_INPUTS, options));
+  });
+
+  it("summarizes every draw", () => {
+    const summary = runMonteCarlo(DEFAULT_INPUTS, options);
+    expect(summary.n).toBe(50);
+    expect(summary.histogram.reduce((s, b) => s + b.count, 0)).toBe(50);
+    expect(summary.histogram.at(-1).cdf).toBe(1);
+    expect(summary.NPV.p10).toBeLessThanOrEqual(summary.NPV.p50);
+    expect(summary.NPV.p50).toBeLessThanOrEqual(summary.NPV.p90);
+  });
+});
+
+describe("sampleInput", () => {
+  it("clamps draws to the slider bounds and snaps whole-number inputs", () => {
+    const rand = mulberry32(7);
+    const avail = { key: "f_avail", type: "uniform", params: { min: 0.5, max: 1.5 } };
+    const units = { key: "N_units", type: "triangular", params: { min: 1, mode: 3, max: 8 } };
+    for (let i = 0; i < 200; i++) {
+      const a = sampleInput(rand, avail);
+      expect(a).toBeGreaterThanOrEqual(0.7);
+      expect(a).toBeLessThanOrEqual(0.99);
+      expect(Number.isInteger(sampleInput(rand, units))).toBe(true);
+    }
+  });
+
+  it("only accepts distributions on numeric inputs with valid parameters", () => {
+    expect(isValidDistribution(defaultDistribution("C_biochp", 660000, "lognormal"))).toBe(true);
+    expect(isValidDistribution({ key: "dep_method", type: "uniform", params: DISTRIBUTIONS.uniform.defaults(1) })).toBe(false);
+    expect(isValidDistribution({ key: "R_power", type: "triangular", params: { min: 0.2, mode: 0.1, max: 0.3 } })).toBe(false);
+  });
+});
@@ -0,0 +1,167 @@
+// ─── Site Portfolio ───
+// A pipeline of host sites, each run as its own project: its own unit size,
+// rates, waste and commissioning year, and its own debt and tax position. Units
+// are numbered across the portfolio in build order, so the learning curve runs
+// over the shared manufacturing sequence. The portfolio is the sum of the sites'
+// cash flows by calendar year, discounted from the first site's start.
+import { solveIRR, computeIRR, computeMIRR } from "./irr.js";
+import { DAYS_IN_MONTH, SITE_INPUTS } from "./inputs.js";
+import { unitBuildYears } from "./deployment.js";
+
+/**
+ * One site's sub-model, as rolled up into the portfolio.
+ * @typedef {Object} SiteRun
+ * @property {string} name
+ * @property {Object} inputs     The site's complete input set (see siteInputs)
+ * @property {number[]} seq      Each unit's place in the portfolio build order, from 1
+ * @property {Object} results    The site's ModelResults
+ */
+
+/**
+ * A site's complete input set: the portfolio inputs with the site's own values on
+ * top. A site that sets its own N_units builds that fleet at units_per_year; the
+ * portfolio's deployment schedule only reaches the sites that leave it blank.
+ * @param {Object} inputs
+ * @param {{ name: string }} site
+ * @returns {Object}
+ */
+export function siteInputs(inputs, site) {
+  const overrides = Object.fromEntries(Object.entries(site).filter(([key]) => key !== "name"));
+  const deploy_schedule = "N_units" in overrides ? null : inputs.deploy_schedule;
+  return { ...inputs, ...overrides, deploy_schedule, sites: [] };
+}
+
+// Inputs every site sets for itself, which the portfolio-wide sliders no longer reach
+export function siteOverriddenKeys({ sites }) {
+  if (sites.length === 0) return [];
+  return SITE_INPUTS.filter(key => sites.every(site => key in site));
+}
+
+/**
+ * Number every unit in the portfolio in the order it is built: by calendar year,
+ * then by site. Each site follows its deployment schedule from its own Y_start;
+ * units the contract term never reaches go last.
+ * @param {Object[]} sites  Complete site input sets
+ * @returns {number[][]}    [site][unit] → build number
+ */
+export function learningSequence(sites) {
+  const builds = sites.map(unitBuildYears);
+  const units = builds.flatMap((years, s) => years.map((d, i) => ({ s, i, year: sites[s].Y_start + d })));
+  units.sort((a, b) => a.year - b.year || a.s - b.s);
+  const seq = builds.map(years => new Array(years.length));
+  units.forEach(({ s, i }, k) => { seq[s][i] = k + 1; });
+  return seq;
+}
+
+// Year-row fields that do not add across sites
+const RECOMPUTED_YEAR_FIELDS = ["y", "year", "output_factor", "f_supply", "DSCR", "DCF", "cumNPV", "cumNPV_project"];
+// Whole-fleet totals; every other single-number result is per unit and averaged over units
+const SUMMED_RESULTS = ["capex_fleet_total", "loan_amount", "loan_fees", "tax_total", "depreciation_total", "credits_total", "credit_value_total"];
+
+function sumRows(rows, template, skip) {
+  return Object.fromEntries(Object.keys(template)
+    .filter(key => !skip.includes(key))
+    .map(key => [key, rows.reduce((s, row) => s + row[key], 0)]));
+}
+
+// First year after the start in which the running total turns non-negative
+function paybackYear(flows) {
+  let total = 0;
+  for (const [y, v] of flows.entries()) {
+    total += v;
+    if (y > 0 && total >= 0) return y;
+  }
+  return null;
+}
+
+/**
+ * Aggregate the site sub-models into portfolio results of the same shape as a
+ * single-site run, plus `sites` for drill-down. Each site is its own borrower
+ * and taxpayer, so losses and credits do not cross between sites.
+ * @param {Object} inputs  The portfolio inputs
+ * @param {SiteRun[]} runs
+ * @returns {Object}
+ */
+export function rollUpPortfolio(inputs, runs) {
+  const { r_disc, r_mirr_finance, r_mirr_reinvest } = inputs;
+  const Y_first = Math.min(...runs.map(r => r.inputs.Y_start));
+  const Y_last = Math.max(...runs.map(r => r.inputs.Y_start + r.inputs.T_project));
+
+  const years = [];
+  let cumNPV = 0, cumNPV_project = 0;
+  for (let year = Y_first; year <= Y_last; year++) {
+    const y = year - Y_first;
+    const rows = runs.map(r => r.results.years[year - r.inputs.Y_start]).filter(Boolean);
+    const row = sumRows(rows, runs[0].results.years[0], RECOMPUTED_YEAR_FIELDS);
+    const discount_factor = Math.pow(1 + r_disc / 100, y);
+    cumNPV += row.CF / discount_factor;
+    cumNPV_project += row.CF_project / discount_factor;
+    const N_output = rows.reduce((s, r) => s + r.output_factor * r.N_deployed, 0);
+    const N_supplied = rows.reduce((s, r) => s + r.f_supply * r.N_operating, 0);
+    years.push({
+      ...row, y, year,
+      output_factor: row.N_deployed > 0 ? N_output / row.N_deployed : 0,
+      f_supply: row.N_operating > 0 ? N_supplied / row.N_operating : 1,
+      DSCR: row.DS > 0 ? row.CFADS / row.DS : null,
+      DCF: row.CF / discount_factor, cumNPV, cumNPV_project,
+    });
+  }
+
+  const months = runs.every(r => r.results.months) ? years.flatMap(yr => DAYS_IN_MONTH.map((_, month) => {
+    const rows = runs.map(r => r.results.months[(yr.year - r.inputs.Y_start) * 12 + month]).filter(Boolean);
+    return { y: yr.y, year: yr.year, month, ...sumRows(rows, runs[0].results.months[0], ["y", "year", "month"]) };
+  })) : null;
+
+  // Per-unit figures weighted by each site's units; fleet totals summed
+  const units = runs.map(r => r.results.unit_capex.length);
+  const N_units = units.reduce((s, n) => s + n, 0);
+  const perUnit = {};
+  for (const [key, value] of Object.entries(runs[0].results)) {
+    if (typeof value !== "number" || runs.some(r => typeof r.results[key] !== "number")) continue;
+    perUnit[key] = SUMMED_RESULTS.includes(key)
+      ? runs.reduce((s, r) => s + r.results[key], 0)
+      : runs.reduce((s, r, i) => s + r.results[key] * units[i], 0) / N_units;
+  }
+  const unit_capex = runs
+    .flatMap(r => r.results.unit_capex.map((cost, i) => ({ cost, seq: r.seq[i] })))
+    .sort((a, b) => a.seq - b.seq)
+    .map(u => u.cost);
+
+  const equity_irr = solveIRR(years.map(yr => yr.CF));
+  const project_irr = solveIRR(years.map(yr => yr.CF_project));
+  const NPV = cumNPV;
+  const NPV_project = cumNPV_project;
+  const NPV_pretax = years.reduce((s, yr) => s + yr.CF_pretax / Math.pow(1 + r_disc / 100, yr.y), 0);
+  const dscr_values = years.filter(yr => yr.DSCR !== null).map(yr => yr.DSCR);
+  const DSCR_min = dscr_values.length > 0 ? Math.min(...dscr_values) : null;
+  const yr1 = years[1] || years[0];
+
+  const warnings = [];
+  if (NPV < 0) warnings.push(`Portfolio equity NPV is negative at ${r_disc}% discount rate.`);
+  if (NPV_project < 0 && NPV >= 0) warnings.push(`Portfolio project (unlevered) NPV is negative at ${r_disc}% — returns rely on leverage.`);
+  if (equity_irr.status === "multiple") warnings.push(`Portfolio equity cash flows have ${equity_irr.roots.length} IRRs — rely on NPV or MIRR.`);
+  for (const r of runs) warnings.push(...r.results.warnings.map(w => `${r.name}: ${w}`));
+
+  return {
+    ...perUnit,
+    years, months, monthly_operation: null, load_dispatch: null, warnings,
+    unit_capex, CAPEX_unit1: unit_capex[0],
+    tranches: runs.flatMap(r => r.results.tranches.map(t => ({ ...t, start_year: t.year - Y_first, site: r.name }))),
+    loan_table: years
+      .filter(yr => yr.loan_opening > 0 || yr.loan_draw > 0 || yr.loan_closing > 0)
+      .map(yr => ({
+        y: yr.y, year: yr.year, opening: yr.loan_opening, draw: yr.loan_draw, fees: yr.loan_fees, idc: yr.loan_idc,
+        interest: yr.interest, principal: yr.principal, closing: yr.loan_closing,
+      })),
+    peak_debt_service: Math.max(0, ...years.map(yr => yr.DS)),
+    NPV, IRR: equity_irr.irr, IRR_info: equity_irr,
+    MIRR: computeMIRR(years.map(yr => yr.CF), r_mirr_finance / 100, r_mirr_reinvest / 100),
+    NPV_project, IRR_project: project_irr.irr, IRR_project_info: project_irr,
+    MIRR_project: computeMIRR(years.map(yr => yr.CF_project), r_mirr_finance / 100, r_mirr_reinvest / 100),
+    NPV_pretax, IRR_pretax: computeIRR(years.map(yr => yr.CF_pretax)),
+    payback_disc: paybackYear(years.map(yr => yr.DCF)), payback_simple: paybackYear(years.map(yr => yr.CF)),
+    DSCR_min,
+    yr1_revenue: yr1.R_total, yr1_opex: yr1.OPEX, yr1_ebitda: yr1.EBITDA,
+    sites: runs,
+  };
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INPUTS } from "./inputs.js";
+import { runFinancialModel } from "./model.js";
+import { learningSequence, siteInputs, siteOverriddenKeys } from "./portfolio.js";
+
+const run = (overrides) => runFinancialModel({ ...DEFAULT_INPUTS, ...overrides });
+const sum = (rows, key) => rows.reduce((s, r) => s + r[key], 0);
+
+const dairy = { name: "Dairy", N_units: 2 };
+const greenhouse = { name: "Greenhouse", N_units: 2, Y_start: 2027, P_elec: 150, C_cust_power: 0.18 };
+
+describe("portfolio", () => {
+  it("matches the single-site model for one site that overrides nothing", () => {
+    const plain = run({});
+    const r = run({ sites: [{ name: "Only", N_units: DEFAULT_INPUTS.N_units }] });
+    expect(r.years.map(yr => yr.CF)).toEqual(plain.years.map(yr => yr.CF));
+    expect(r.years.map(yr => yr.f_supply)).toEqual(plain.years.map(yr => yr.f_supply));
+    expect(r.NPV).toBeCloseTo(plain.NPV, 6);
+    expect(r.IRR).toBeCloseTo(plain.IRR, 10);
+    expect(r.savings_annual).toBeCloseTo(plain.savings_annual, 6);
+    expect(r.sites).toHaveLength(1);
+  });
+
+  it("numbers units across sites in build order", () => {
+    const sites = [dairy, greenhouse].map(site => siteInputs(DEFAULT_INPUTS, site));
+    expect(learningSequence(sites)).toEqual([[1, 2], [3, 4]]);
+    const r = run({ sites: [dairy, greenhouse] });
+    const unit1 = DEFAULT_INPUTS.C_biochp + DEFAULT_INPUTS.C_enexfuel + DEFAULT_INPUTS.C_install;
+    const lr_exp = Math.log(DEFAULT_INPUTS.LR) / Math.log(2);
+    expect(r.sites[1].results.unit_capex[0]).toBeCloseTo(unit1 * Math.pow(3, lr_exp), 6);
+    expect(r.unit_capex).toHaveLength(4);
+    expect(r.capex_fleet_total).toBeCloseTo(r.unit_capex.reduce((s, cost) => s + cost, 0), 6);
+    // A shared schedule that pauses the first site lets the second site's units in between
+    const shared = [{ name: "Dairy" }, { name: "Greenhouse", Y_start: 2027 }];
+    const paused = shared.map(site => siteInputs({ ...DEFAULT_INPUTS, deploy_schedule: [1, 0, 1] }, site));
+    expect(learningSequence(paused)).toEqual([[1, 3], [2, 4]]);
+  });
+
+  it("builds a site's own unit count instead of the shared schedule", () => {
+    const sites = [{ name: "A", N_units: 1 }, { name: "B", N_units: 1 }, { name: "C" }];
+    const r = run({ deploy_schedule: [2, 2], sites });
+    expect(r.sites.map(s => s.results.unit_capex.length)).toEqual([1, 1, 4]);
+    expect(r.unit_capex).toHaveLength(6);
+    expect(r.sites[0].inputs.deploy_schedule).toBeNull();
+  });
+
+  it("sums the sites' cash flows by calendar year", () => {
+    const r = run({ sites: [dairy, greenhouse] });
+    const [a, b] = r.sites.map(s => s.results);
+    expect(r.years.map(yr => yr.year)).toEqual(Array.from({ length: DEFAULT_INPUTS.T_project + 2 }, (_, y) => 2026 + y));
+    expect(r.years[0].CF).toBeCloseTo(a.years[0].CF, 6);
+    expect(r.years[1].CF).toBeCloseTo(a.years[1].CF + b.years[0].CF, 6);
+    expect(r.years[r.years.length - 1].CF).toBeCloseTo(b.years[b.years.length - 1].CF, 6);
+    expect(r.NPV).toBeCloseTo(a.NPV + b.NPV / (1 + DEFAULT_INPUTS.r_disc / 100), 6);
+    expect(r.years[1].DSCR).toBeCloseTo(r.years[1].CFADS / r.years[1].DS, 10);
+  });
+
+  it("runs each site on its own size and rates", () => {
+    const r = run({ sites: [dairy, greenhouse] });
+    const [a, b] = r.sites.map(s => s.results);
+    expect(b.E_power_yr / a.E_power_yr).toBeCloseTo(150 / DEFAULT_INPUTS.P_elec, 10);
+    expect(b.C_current_power / b.E_power_sold).toBeCloseTo(0.18, 10);
+    expect(r.E_power_yr).toBeCloseTo((a.E_power_yr + b.E_power_yr) / 2, 6);
+    expect(siteOverriddenKeys({ sites: [dairy, greenhouse] })).toEqual(["N_units"]);
+  });
+
+  it("rolls up monthly flows that sum to the portfolio years", () => {
+    const r = run({ time_step: "monthly", sites: [dairy, greenhouse] });
+    for (const yr of r.years) expect(sum(r.months.filter(m => m.year === yr.year), "CF")).toBeCloseTo(yr.CF, 4);
+  });
+});
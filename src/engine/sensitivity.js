@@ -0,0 +1,108 @@
+// ─── Sensitivity ───
+// Tornado: each parameter moved to its low and high value on its own. Spider:
+// each parameter swept across its range in steps. Ranges are percentage or
+// absolute changes from the base value, held inside the slider bounds so a
+// sweep never asks for more than 99% availability.
+import { INPUT_FIELDS, NUMERIC_FIELDS, clampToField } from "./inputs.js";
+import { runFinancialModel } from "./model.js";
+
+// Outputs a sensitivity can report. Rates are in percent so deltas read as points.
+export const SENSITIVITY_METRICS = {
+  NPV: { label: "Equity NPV", unit: "$", get: r => r.NPV },
+  IRR: { label: "Equity IRR", unit: "%", get: r => (r.IRR !== null ? r.IRR * 100 : null) },
+  DSCR_min: { label: "Min DSCR", unit: "×", get: r => r.DSCR_min },
+  payback_disc: { label: "Discounted Payback", unit: "yrs", get: r => r.payback_disc, lowerIsBetter: true },
+  savings_pct: { label: "Customer Savings", unit: "%", get: r => r.savings_pct },
+};
+
+/**
+ * @typedef {Object} SensitivityParam
+ * @property {string} key       Any slider input
+ * @property {"pct"|"abs"} mode  Percentage change, or change in the input's own units
+ * @property {number} lo        Low-case change (usually negative)
+ * @property {number} hi        High-case change
+ */
+
+/** @type {SensitivityParam[]} */
+export const DEFAULT_SENSITIVITY_PARAMS = [
+  { key: "R_power", mode: "pct", lo: -20, hi: 20 },
+  { key: "R_therm", mode: "pct", lo: -20, hi: 20 },
+  { key: "R_tipping", mode: "pct", lo: -20, hi: 20 },
+  { key: "P_carbon", mode: "pct", lo: -20, hi: 20 },
+  { key: "P_carbon_fuel", mode: "pct", lo: -20, hi: 20 },
+  { key: "f_avail", mode: "abs", lo: -0.07, hi: 0.05 },
+  { key: "C_biochp", mode: "pct", lo: -20, hi: 20 },
+  { key: "C_fuel_process", mode: "pct", lo: -20, hi: 20 },
+  { key: "r_disc", mode: "pct", lo: -20, hi: 20 },
+];
+
+export function isValidSensitivityParam(p) {
+  return !!p && NUMERIC_FIELDS.includes(INPUT_FIELDS[p.key]) && (p.mode === "pct" || p.mode === "abs")
+    && Number.isFinite(p.lo) && Number.isFinite(p.hi);
+}
+
+// Input value for a change of `delta` (in the param's mode) from the base value
+export function sensitivityValue(p, base, delta) {
+  return clampToField(p.key, p.mode === "pct" ? base * (1 + delta / 100) : base + delta);
+}
+
+/**
+ * @typedef {Object} SensitivityRow
+ * @property {string} key
+ * @property {string} label
+ * @property {number} lo_input   Input value in the low case
+ * @property {number} hi_input
+ * @property {?number} lo        Metric change in the low case; null when undefined there
+ * @property {?number} hi
+ * @property {number} range      Spread between the cases (0 when either is undefined)
+ */
+
+/**
+ * @param {import("./model.js").ModelInputs} baseInputs
+ * @param {{ params?: SensitivityParam[], metric?: keyof SENSITIVITY_METRICS }} [options]
+ * @returns {SensitivityRow[]} sorted by swing, largest first
+ */
+export function runSensitivity(baseInputs, { params = DEFAULT_SENSITIVITY_PARAMS, metric = "NPV" } = {}) {
+  const get = SENSITIVITY_METRICS[metric].get;
+  const baseValue = get(runFinancialModel(baseInputs));
+  const delta = (v) => (v !== null && baseValue !== null ? v - baseValue : null);
+  return params.filter(isValidSensitivityParam).map(p => {
+    const base = baseInputs[p.key];
+    const lo_input = sensitivityValue(p, base, p.lo);
+    const hi_input = sensitivityValue(p, base, p.hi);
+    const lo = delta(get(runFinancialModel({ ...baseInputs, [p.key]: lo_input })));
+    const hi = delta(get(runFinancialModel({ ...baseInputs, [p.key]: hi_input })));
+    const range = lo !== null && hi !== null ? Math.abs(hi - lo) : 0;
+    return { key: p.key, label: INPUT_FIELDS[p.key].label, lo_input, hi_input, lo, hi, range };
+  }).sort((a, b) => b.range - a.range);
+}
+
+/**
+ * Sweep each parameter from its low to its high value. Points are keyed by the
+ * percentage change of the input from base, so parameters share one x-axis;
+ * parameters whose base value is 0 have no percentage change and are skipped.
+ * @param {import("./model.js").ModelInputs} baseInputs
+ * @param {{ params?: SensitivityParam[], metric?: keyof SENSITIVITY_METRICS, steps?: number }} [options]
+ * @returns {{ base: ?number, series: { key: string, label: string, points: { x: number, input: number, value: ?number }[] }[], skipped: string[] }}
+ */
+export function runSpider(baseInputs, { params = DEFAULT_SENSITIVITY_PARAMS, metric = "NPV", steps = 7 } = {}) {
+  const get = SENSITIVITY_METRICS[metric].get;
+  const series = [];
+  const skipped = [];
+  for (const p of params.filter(isValidSensitivityParam)) {
+    const base = baseInputs[p.key];
+    if (base === 0) {
+      skipped.push(INPUT_FIELDS[p.key].label);
+      continue;
+    }
+    const inputs = new Set([base]);
+    for (let i = 0; i < steps; i++) inputs.add(sensitivityValue(p, base, p.lo + (p.hi - p.lo) * i / Math.max(1, steps - 1)));
+    const points = [...inputs].sort((a, b) => a - b).map(input => ({
+      x: (input - base) / Math.abs(base) * 100,
+      input,
+      value: get(runFinancialModel({ ...baseInputs, [p.key]: input })),
+    }));
+    series.push({ key: p.key, label: INPUT_FIELDS[p.key].label, points });
+  }
+  return { base: get(runFinancialModel(baseInputs)), series, skipped };
+}
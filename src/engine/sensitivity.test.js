@@ -0,0 +1,59 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INPUTS } from "./inputs.js";
+import { runFinancialModel } from "./model.js";
+import { DEFAULT_SENSITIVITY_PARAMS, SENSITIVITY_METRICS, runSensitivity, runSpider } from "./sensitivity.js";
+
+describe("runSensitivity", () => {
+  it("ranks the default parameters by NPV swing", () => {
+    const rows = runSensitivity(DEFAULT_INPUTS);
+    expect(rows).toHaveLength(DEFAULT_SENSITIVITY_PARAMS.length);
+    for (let i = 1; i < rows.length; i++) expect(rows[i - 1].range).toBeGreaterThanOrEqual(rows[i].range);
+    for (const row of rows) expect(row.range).toBeCloseTo(Math.abs(row.hi - row.lo), 6);
+  });
+
+  it("keeps swept values inside the slider bounds", () => {
+    const [row] = runSensitivity(DEFAULT_INPUTS, { params: [{ key: "f_avail", mode: "pct", lo: -20, hi: 20 }] });
+    expect(row.lo_input).toBeCloseTo(0.736, 6);
+    expect(row.hi_input).toBe(0.99);
+  });
+
+  it("supports asymmetric absolute ranges and snaps whole-number inputs", () => {
+    const [row] = runSensitivity(DEFAULT_INPUTS, { params: [{ key: "N_units", mode: "abs", lo: -2, hi: 4.4 }] });
+    expect(row.lo_input).toBe(1);
+    expect(row.hi_input).toBe(7);
+    const expected = runFinancialModel({ ...DEFAULT_INPUTS, N_units: 7 }).NPV - runFinancialModel(DEFAULT_INPUTS).NPV;
+    expect(row.hi).toBeCloseTo(expected, 6);
+  });
+
+  it("reports the chosen metric", () => {
+    for (const metric of Object.keys(SENSITIVITY_METRICS)) {
+      const rows = runSensitivity(DEFAULT_INPUTS, { metric, params: [{ key: "R_power", mode: "pct", lo: -10, hi: 10 }] });
+      expect(rows).toHaveLength(1);
+    }
+    const [row] = runSensitivity(DEFAULT_INPUTS, { metric: "savings_pct", params: [{ key: "R_power", mode: "pct", lo: -10, hi: 10 }] });
+    expect(row.lo).toBeGreaterThan(0);
+    expect(row.hi).toBeLessThan(0);
+  });
+
+  it("ignores parameters that are not slider inputs", () => {
+    expect(runSensitivity(DEFAULT_INPUTS, { params: [{ key: "dep_method", mode: "pct", lo: -1, hi: 1 }] })).toEqual([]);
+  });
+});
+
+describe("runSpider", () => {
+  it("sweeps each parameter through its base value", () => {
+    const { base, series } = runSpider(DEFAULT_INPUTS, { steps: 5 });
+    expect(base).toBeCloseTo(runFinancialModel(DEFAULT_INPUTS).NPV, 6);
+    for (const s of series) {
+      const zero = s.points.find(pt => pt.x === 0);
+      expect(zero.value).toBeCloseTo(base, 6);
+      for (let i = 1; i < s.points.length; i++) expect(s.points[i].x).toBeGreaterThan(s.points[i - 1].x);
+    }
+  });
+
+  it("skips parameters with a zero base value", () => {
+    const { series, skipped } = runSpider({ ...DEFAULT_INPUTS, P_carbon: 0 });
+    expect(skipped).toEqual(["Methane Credit Price"]);
+    expect(series.map(s => s.key)).not.toContain("P_carbon");
+  });
+});
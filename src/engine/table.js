@@ -0,0 +1,102 @@
+// ─── Yearly Table ───
+// Every column of the yearly model, in cash-flow waterfall order
+export const YEAR_COLUMNS = [
+  { key: "year", label: "Year", fmt: "year" },
+  { key: "y", label: "Project Year", fmt: "int" },
+  { key: "N_deployed", label: "Units Deployed", fmt: "int" },
+  { key: "N_operating", label: "Unit-Years Operating", fmt: "dec" },
+  { key: "output_factor", label: "Output Factor", fmt: "pct" },
+  { key: "CC_vintage", label: "Carbon Credits Earned (t)", fmt: "int" },
+  { key: "CC_buffer", label: "Credits to Buffer Pool (t)", fmt: "int" },
+  { key: "CC_issued", label: "Credits Sold (t)", fmt: "int" },
+  { key: "F_used", label: "Feedstock Burned (t)", fmt: "int" },
+  { key: "f_supply", label: "Fuel Demand Met", fmt: "pct" },
+  { key: "Q_char", label: "Biochar Produced (t)", fmt: "int" },
+  { key: "R_pwr", label: "Power Revenue", fmt: "$" },
+  { key: "R_thrm", label: "Thermal Revenue", fmt: "$" },
+  { key: "R_tip", label: "Tipping Revenue", fmt: "$" },
+  { key: "R_crb", label: "Carbon Revenue", fmt: "$" },
+  { key: "R_exp", label: "Export Revenue", fmt: "$" },
+  { key: "R_dem", label: "Demand Revenue", fmt: "$" },
+  { key: "R_char", label: "Biochar Revenue", fmt: "$" },
+  { key: "R_total", label: "Total Revenue", fmt: "$" },
+  { key: "OPEX", label: "OPEX", fmt: "$" },
+  { key: "EBITDA", label: "EBITDA", fmt: "$" },
+  { key: "capex_year", label: "CAPEX", fmt: "$" },
+  { key: "loan_draw", label: "Loan Draw", fmt: "$" },
+  { key: "equity_capex", label: "Equity CAPEX", fmt: "$" },
+  { key: "n_overhauls", label: "Overhauls", fmt: "int" },
+  { key: "capex_overhaul", label: "Overhaul CAPEX", fmt: "$" },
+  { key: "reserve_deposit", label: "Reserve Deposit", fmt: "$" },
+  { key: "reserve_release", label: "Reserve Release", fmt: "$" },
+  { key: "reserve_balance", label: "Reserve Balance", fmt: "$" },
+  { key: "salvage", label: "Salvage Proceeds", fmt: "$" },
+  { key: "decom", label: "Decommissioning", fmt: "$" },
+  { key: "CFADS", label: "Cash Flow Available for Debt Service", fmt: "$" },
+  { key: "loan_opening", label: "Loan Opening Balance", fmt: "$" },
+  { key: "loan_fees", label: "Loan Fees (capitalized)", fmt: "$" },
+  { key: "loan_idc", label: "Construction Interest (capitalized)", fmt: "$" },
+  { key: "interest", label: "Interest", fmt: "$" },
+  { key: "principal", label: "Principal", fmt: "$" },
+  { key: "DS", label: "Debt Service", fmt: "$" },
+  { key: "loan_closing", label: "Loan Closing Balance", fmt: "$" },
+  { key: "DSCR", label: "DSCR", fmt: "x" },
+  { key: "depreciation", label: "Tax Depreciation", fmt: "$" },
+  { key: "taxable_income", label: "Taxable Income", fmt: "$" },
+  { key: "tax_gross", label: "Income Tax before Credits", fmt: "$" },
+  { key: "ITC", label: "ITC Earned", fmt: "$" },
+  { key: "PTC", label: "PTC Earned", fmt: "$" },
+  { key: "credits_applied", label: "Credits Applied to Tax", fmt: "$" },
+  { key: "credit_sale", label: "Credit Transfer Proceeds", fmt: "$" },
+  { key: "tax", label: "Income Tax", fmt: "$" },
+  { key: "tax_project", label: "Income Tax (unlevered)", fmt: "$" },
+  { key: "CF_pretax", label: "Pre-tax Equity Cash Flow", fmt: "$" },
+  { key: "CF", label: "Equity Cash Flow", fmt: "$" },
+  { key: "DCF", label: "Discounted Equity Cash Flow", fmt: "$" },
+  { key: "cumNPV", label: "Cumulative Equity NPV", fmt: "$" },
+  { key: "CF_project", label: "Project Cash Flow", fmt: "$" },
+  { key: "cumNPV_project", label: "Cumulative Project NPV", fmt: "$" },
+];
+
+// Monthly mode: the operating and cash lines that are spread across months
+export const MONTH_COLUMNS = [
+  { key: "year", label: "Year", fmt: "year" },
+  { key: "month", label: "Month", fmt: "int" },
+  { key: "N_deployed", label: "Units Deployed", fmt: "int" },
+  { key: "N_running", label: "Units Running", fmt: "int" },
+  { key: "R_pwr", label: "Power Revenue", fmt: "$" },
+  { key: "R_thrm", label: "Thermal Revenue", fmt: "$" },
+  { key: "R_tip", label: "Tipping Revenue", fmt: "$" },
+  { key: "R_crb", label: "Carbon Revenue", fmt: "$" },
+  { key: "R_exp", label: "Export Revenue", fmt: "$" },
+  { key: "R_dem", label: "Demand Revenue", fmt: "$" },
+  { key: "R_char", label: "Biochar Revenue", fmt: "$" },
+  { key: "R_total", label: "Total Revenue", fmt: "$" },
+  { key: "OPEX", label: "OPEX", fmt: "$" },
+  { key: "EBITDA", label: "EBITDA", fmt: "$" },
+  { key: "interest", label: "Interest", fmt: "$" },
+  { key: "principal", label: "Principal", fmt: "$" },
+  { key: "equity_capex", label: "Equity CAPEX", fmt: "$" },
+  { key: "lifecycle_cash", label: "Overhauls, Reserve & Salvage", fmt: "$" },
+  { key: "tax", label: "Income Tax (net of credit sales)", fmt: "$" },
+  { key: "CF", label: "Equity Cash Flow", fmt: "$" },
+];
+
+export function toCsv(rows) {
+  const esc = (v) => {
+    if (v == null) return "";
+    // Cents for money; fractions such as IRR keep enough digits to be useful
+    const str = typeof v === "number" ? String(Number(v.toFixed(Math.abs(v) >= 1 ? 2 : 6))) : String(v);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return rows.map(r => r.map(esc).join(",")).join("\n") + "\n";
+}
+
+export function yearsToCsv(years) {
+  return toCsv([YEAR_COLUMNS.map(c => c.label), ...years.map(yr => YEAR_COLUMNS.map(c => yr[c.key]))]);
+}
+
+// Months are numbered 1–12 in the file, as a spreadsheet user would expect
+export function monthsToCsv(months) {
+  return toCsv([MONTH_COLUMNS.map(c => c.label), ...months.map(m => MONTH_COLUMNS.map(c => (c.key === "month" ? m.month + 1 : m[c.key])))]);
+}
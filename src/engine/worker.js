@@ -0,0 +1,34 @@
+// ─── Engine Worker ───
+// Runs engine jobs off the main thread. Protocol, keyed by a request id:
+//   in:  { type: "run", id, job, payload } · { type: "cancel", id }
+//   out: { type: "progress", id, done, total } · { type: "result", id, result } · { type: "error", id, message }
+// A cancelled job stops at its next yield and sends nothing further.
+import { startJob, driveJob } from "./jobs.js";
+
+const running = new Set();
+
+self.onmessage = ({ data }) => {
+  if (data.type === "cancel") {
+    running.delete(data.id);
+    return;
+  }
+  const { id, job, payload } = data;
+  running.add(id);
+  let steps;
+  try {
+    steps = startJob(job, payload);
+  } catch (err) {
+    running.delete(id);
+    self.postMessage({ type: "error", id, message: err.message });
+    return;
+  }
+  driveJob(steps, {
+    isCancelled: () => !running.has(id),
+    onProgress: ({ done, total }) => self.postMessage({ type: "progress", id, done, total }),
+  }).then(
+    ({ cancelled, result }) => {
+      if (!cancelled) self.postMessage({ type: "result", id, result });
+    },
+    (err) => self.postMessage({ type: "error", id, message: err.message }),
+  ).finally(() => running.delete(id));
+};